@@ -50,6 +50,12 @@
 #define CONFIDENCE_THRESHOLD  0.55   // Minimum confidence to accept detection (0.0–1.0)
 #define DETECTION_COOLDOWN_MS 5000   // Milliseconds to wait after a vehicle is detected
 
+// Plate lists (settings/allowed_plates, settings/blocked_plates)
+// Blocked plates are always refused. Set REQUIRE_ALLOWED_PLATE to true
+// to also refuse any plate that is not on the allowed list.
+#define REQUIRE_ALLOWED_PLATE false
+#define GMT_OFFSET_SEC        28800  // Local UTC offset for plate validity dates and business days (UTC+8)
+
 // ============================================================
 // Camera Pin Definitions — AI-Thinker ESP32-CAM Board
 // Do NOT change unless using a different ESP32-CAM variant
@@ -91,6 +97,7 @@ void setup() {
 
   initCamera();
   connectWiFi();
+  configTime(GMT_OFFSET_SEC, 0, "pool.ntp.org", "time.nist.gov");  // Wall clock for plate validity dates and business days
   initFirebase();
 
   Serial.println("✅ System ready. Monitoring entrance...");
@@ -321,8 +328,22 @@ void parseRoboflowResponse(String json, String& vehicleType, String& licensePlat
 // Finds an available slot and writes to Firebase
 // ============================================================
 void processVehicleCheckIn(String vehicleType, String licensePlate) {
-  // Find an available slot for this vehicle type in Firebase
-  int slotId = findAvailableSlot(vehicleType);
+  // Refuse blocked plates (and unknown ones when REQUIRE_ALLOWED_PLATE is set)
+  if (!isPlateAuthorized(licensePlate)) {
+    Serial.printf("⛔ Plate %s refused\n", licensePlate.c_str());
+    logAccess("DENIED", vehicleType, licensePlate, -1);
+    reportUnauthorized(licensePlate, vehicleType + " refused at " + CAMERA_ID);
+    return;
+  }
+
+  // A vehicle with a reservation goes to its held slot; everyone else
+  // gets the first free, unreserved slot for their vehicle type
+  int slotId = findReservedSlot(licensePlate);
+  if (slotId >= 0) {
+    fulfillReservation(slotId);
+  } else {
+    slotId = findAvailableSlot(vehicleType);
+  }
 
   if (slotId >= 0) {
     assignSlot(slotId, vehicleType, licensePlate);
@@ -352,6 +373,13 @@ int findAvailableSlot(String vehicleType) {
 
       // Check if type matches and slot is not occupied
       if (slotType == vehicleType) {
+        // Skip slots an admin marked out of service or reserved (missing node = false)
+        if (Firebase.getBool(fbData, path + "/out_of_service") && fbData.boolData()) {
+          continue;
+        }
+        if (Firebase.getBool(fbData, path + "/reserved") && fbData.boolData()) {
+          continue;
+        }
         if (Firebase.getBool(fbData, path + "/occupied")) {
           bool occupied = fbData.boolData();
           if (!occupied) {
@@ -364,6 +392,115 @@ int findAvailableSlot(String vehicleType) {
   return -1; // No slot found
 }
 
+// ============================================================
+// Find the Slot Reserved for This Plate
+// Returns slot index or -1 if the plate has no active reservation
+// ============================================================
+int findReservedSlot(String licensePlate) {
+  String plate = normalizePlate(licensePlate);
+  if (plate.isEmpty()) return -1;
+
+  for (int i = 0; i <= 10; i++) {
+    String path = "parking_spots/slot_" + String(i);
+    if (Firebase.getBool(fbData, path + "/reserved") && fbData.boolData()) {
+      if (Firebase.getString(fbData, path + "/reserved_for") &&
+          normalizePlate(fbData.stringData()) == plate) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+// ============================================================
+// Mark the Slot's Reservation Fulfilled and Release the Hold
+// ============================================================
+void fulfillReservation(int slotId) {
+  String path = "parking_spots/slot_" + String(slotId);
+
+  if (Firebase.getString(fbData, path + "/reservation_id")) {
+    String reservationId = fbData.stringData();
+    if (!reservationId.isEmpty()) {
+      Firebase.setString(fbData, "reservations/" + reservationId + "/status", "fulfilled");
+      Firebase.setString(fbData, "reservations/" + reservationId + "/closed_by", CAMERA_ID);
+    }
+  }
+  Firebase.setBool(fbData,   path + "/reserved",       false);
+  Firebase.setString(fbData, path + "/reserved_for",   "");
+  Firebase.setString(fbData, path + "/reservation_id", "");
+}
+
+// ============================================================
+// Check a Plate Against settings/blocked_plates and allowed_plates
+// Entries are keyed by the normalized plate; valid_from/valid_until
+// are "YYYY-MM-DD" strings, so a plain string compare is enough.
+// ============================================================
+bool isPlateAuthorized(String licensePlate) {
+  String plate = normalizePlate(licensePlate);
+  if (plate.isEmpty()) return !REQUIRE_ALLOWED_PLATE;
+
+  String today = todayDateKey();
+  if (isPlateListed("settings/blocked_plates/" + plate, today)) return false;
+  if (!REQUIRE_ALLOWED_PLATE) return true;
+  return isPlateListed("settings/allowed_plates/" + plate, today);
+}
+
+// True when the entry exists and today falls inside its validity period
+bool isPlateListed(String path, String today) {
+  if (!Firebase.getString(fbData, path + "/plate")) return false;
+
+  if (!today.isEmpty()) {
+    if (Firebase.getString(fbData, path + "/valid_from")) {
+      String from = fbData.stringData();
+      if (!from.isEmpty() && today < from) return false;
+    }
+    if (Firebase.getString(fbData, path + "/valid_until")) {
+      String until = fbData.stringData();
+      if (!until.isEmpty() && today > until) return false;
+    }
+  }
+  return true;
+}
+
+// Local date as "YYYY-MM-DD", or "" if NTP has not synced yet
+String todayDateKey() {
+  struct tm timeinfo;
+  if (!getLocalTime(&timeinfo, 100)) return "";
+  char buf[11];
+  strftime(buf, sizeof(buf), "%Y-%m-%d", &timeinfo);
+  return String(buf);
+}
+
+// ============================================================
+// Report a Refused Plate to alerts/unauthorized
+// Same JSON shape the app parses: message, plate, camera, snapshot_url
+// ============================================================
+void reportUnauthorized(String plate, String message) {
+  DynamicJsonDocument alertDoc(256);
+  alertDoc["message"]      = message;
+  alertDoc["plate"]        = plate;
+  alertDoc["camera"]       = CAMERA_ID;
+  alertDoc["snapshot_url"] = "";
+
+  String alertJson;
+  serializeJson(alertDoc, alertJson);
+  Firebase.pushString(fbData, "alerts/unauthorized", alertJson);
+}
+
+// ============================================================
+// Normalize a Plate (uppercase letters and digits only)
+// Must match normalizePlate() in the app's src/utils/plates.js
+// ============================================================
+String normalizePlate(String plate) {
+  String out = "";
+  plate.toUpperCase();
+  for (unsigned int i = 0; i < plate.length(); i++) {
+    char c = plate.charAt(i);
+    if ((c >= 'A' && c <= 'Z') || (c >= '0' && c <= '9')) out += c;
+  }
+  return out;
+}
+
 // ============================================================
 // Assign Slot in Firebase
 // ============================================================
@@ -373,18 +510,53 @@ void assignSlot(int slotId, String vehicleType, String licensePlate) {
   Firebase.setBool(fbData,   path + "/occupied",      true);
   Firebase.setString(fbData, path + "/vehicle_type",  vehicleType);
   Firebase.setString(fbData, path + "/license_plate", licensePlate);
-  Firebase.setInt(fbData,    path + "/entry_time",    (int)(millis() / 1000));
+  // Server timestamp (ms since epoch) so the app can compute elapsed time and fees
+  Firebase.setTimestamp(fbData, path + "/entry_time");
 }
 
 // ============================================================
 // Increment Check-In Count for Vehicle Type
+// Counts go to the live counter and to the business day's entry
+// under daily_counts/<YYYY-MM-DD>, which the app shows and archives.
+// Server-side increments, so check-outs counted by the app and the
+// app's daily rollover at the same moment are never overwritten.
 // ============================================================
 void incrementCheckinCount(String vehicleType) {
-  String path = "checkin_count/" + vehicleType;
-  if (Firebase.getInt(fbData, path)) {
-    int current = fbData.intData();
-    Firebase.setInt(fbData, path, current + 1);
+  FirebaseJson plusOne;
+  plusOne.setJsonData("{\".sv\":{\"increment\":1}}");
+
+  Firebase.setJSON(fbData, "checkin_count/" + vehicleType, plusOne);
+
+  String day = businessDayKey();
+  if (day.isEmpty()) {
+    Serial.println("⚠️ Clock not synced — daily count skipped");
+    return;
   }
+  Firebase.setJSON(fbData, "daily_counts/" + day + "/checkin/" + vehicleType, plusOne);
+}
+
+// Business day as "YYYY-MM-DD", or "" if NTP has not synced yet.
+// A business day starts at settings/business_day/rollover_time
+// ("HH:MM", default midnight) — must match businessDayKey() in the
+// app's src/utils/time.js
+String businessDayKey() {
+  time_t now;
+  time(&now);
+  if (now < 1600000000) return "";  // Clock not set yet
+
+  int rolloverMinutes = 0;
+  if (Firebase.getString(fbData, "settings/business_day/rollover_time")) {
+    String hhmm = fbData.stringData();
+    int colon = hhmm.indexOf(':');
+    if (colon > 0) rolloverMinutes = hhmm.substring(0, colon).toInt() * 60 + hhmm.substring(colon + 1).toInt();
+  }
+
+  now -= rolloverMinutes * 60;
+  struct tm timeinfo;
+  localtime_r(&now, &timeinfo);
+  char buf[11];
+  strftime(buf, sizeof(buf), "%Y-%m-%d", &timeinfo);
+  return String(buf);
 }
 
 // ============================================================
@@ -396,7 +568,8 @@ void logAccess(String action, String vehicleType, String plate, int slotId) {
   logDoc["type"]      = vehicleType;
   logDoc["plate"]     = plate;
   logDoc["slot"]      = slotId;
-  logDoc["timestamp"] = (int)(millis() / 1000);
+  logDoc["camera"]    = CAMERA_ID;
+  logDoc["timestamp"] = (int)(millis() / 1000);  // Device uptime — the app reads wall-clock time from the push key
 
   String logJson;
   serializeJson(logDoc, logJson);
@@ -409,5 +582,7 @@ void logAccess(String action, String vehicleType, String plate, int slotId) {
 void sendHeartbeat() {
   String basePath = String("cameras/") + CAMERA_ID;
   Firebase.setString(fbData, basePath + "/status", "online");
-  Firebase.setInt(fbData,    basePath + "/last_heartbeat", (int)(millis() / 1000));
+  // Server timestamp — the app marks the camera degraded/offline when this goes stale
+  Firebase.setTimestamp(fbData, basePath + "/last_heartbeat");
+  Firebase.setInt(fbData,    basePath + "/uptime_seconds", (int)(millis() / 1000));
 }
@@ -107,7 +107,9 @@ void loop() {
   // Heartbeat every 30 seconds
   if (millis() - lastHeartbeat > 30000) {
     Firebase.setString(fbData, String("cameras/") + CAMERA_ID + "/status", "online");
-    Firebase.setInt(fbData, String("cameras/") + CAMERA_ID + "/last_heartbeat", (int)(millis() / 1000));
+    // Server timestamp — the app marks the camera degraded/offline when this goes stale
+    Firebase.setTimestamp(fbData, String("cameras/") + CAMERA_ID + "/last_heartbeat");
+    Firebase.setInt(fbData, String("cameras/") + CAMERA_ID + "/uptime_seconds", (int)(millis() / 1000));
     lastHeartbeat = millis();
   }
 
@@ -258,11 +260,15 @@ bool detectVehiclePresence(String json) {
 void updateSlotOccupancy(bool occupied) {
   String path = "parking_spots/slot_" + String(SLOT_ID);
 
+  // Keep a session record for departures nobody checked out in the app
+  if (!occupied) recordDeparture(path);
+
   Firebase.setBool(fbData, path + "/occupied", occupied);
 
   if (occupied) {
     // Vehicle arrived
-    Firebase.setInt(fbData, path + "/entry_time", (int)(millis() / 1000));
+    // Server timestamp (ms since epoch) so the app can compute elapsed time and fees
+    Firebase.setTimestamp(fbData, path + "/entry_time");
     Serial.printf("🔴 Slot %d → OCCUPIED\n", SLOT_ID);
   } else {
     // Vehicle left — clear slot data
@@ -272,3 +278,34 @@ void updateSlotOccupancy(bool occupied) {
     Serial.printf("🟢 Slot %d → AVAILABLE\n", SLOT_ID);
   }
 }
+
+// ============================================================
+// Record a Departure in parking_sessions
+// Skipped when the slot is already free — an attendant checked the
+// vehicle out in the app, which writes its own session record.
+// The app derives duration (and the fee) from entry/exit times.
+// ============================================================
+void recordDeparture(String path) {
+  if (!Firebase.getBool(fbData, path + "/occupied") || !fbData.boolData()) return;
+
+  String vehicleType = Firebase.getString(fbData, path + "/vehicle_type")  ? fbData.stringData() : "";
+  String plate       = Firebase.getString(fbData, path + "/license_plate") ? fbData.stringData() : "";
+  // entry_time is a server timestamp in ms — too big for getInt, so read the raw value
+  uint64_t entryTime = Firebase.get(fbData, path + "/entry_time")
+                       ? strtoull(fbData.payload().c_str(), NULL, 10) : 0;
+
+  DynamicJsonDocument sessionDoc(512);
+  sessionDoc["slot_id"]        = SLOT_ID;
+  sessionDoc["vehicle_type"]   = vehicleType;
+  sessionDoc["license_plate"]  = plate;
+  sessionDoc["camera_id"]      = CAMERA_ID;
+  sessionDoc["entry_time"]     = entryTime;
+  sessionDoc["exit_time"][".sv"] = "timestamp";  // Server timestamp
+  sessionDoc["checked_out_by"] = CAMERA_ID;
+
+  String sessionJson;
+  serializeJson(sessionDoc, sessionJson);
+  FirebaseJson session;
+  session.setJsonData(sessionJson);
+  Firebase.pushJSON(fbData, "parking_sessions", session);
+}
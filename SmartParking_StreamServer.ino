@@ -9,8 +9,9 @@
 // OR: Combine detection + streaming by running both in the same
 // sketch (advanced — see note at bottom of this file).
 //
-// STREAM URL: http://<IP_ADDRESS>:81/stream
-// Store this URL in Firebase: cameras/<id>/stream_url
+// STREAM URL:  http://<IP_ADDRESS>:81/stream
+// CAPTURE URL: http://<IP_ADDRESS>/capture  (single JPEG still)
+// Both are written to Firebase: cameras/<id>/stream_url, capture_url
 // ============================================================
 
 #include "esp_camera.h"
@@ -66,6 +67,7 @@ static const char* _STREAM_PART =
     "Content-Type: image/jpeg\r\nContent-Length: %u\r\n\r\n";
 
 httpd_handle_t stream_httpd = NULL;
+httpd_handle_t capture_httpd = NULL;
 
 FirebaseData fbData;
 FirebaseAuth fbAuth;
@@ -123,6 +125,41 @@ static esp_err_t stream_handler(httpd_req_t* req) {
   return res;
 }
 
+// ============================================================
+// Capture Handler — serves one JPEG still (app snapshots)
+// Runs on its own server (port 80) because the stream handler
+// keeps the port-81 server busy for as long as a client watches.
+// ============================================================
+static esp_err_t capture_handler(httpd_req_t* req) {
+  camera_fb_t* fb = esp_camera_fb_get();
+  if (!fb) {
+    Serial.println("❌ Capture failed");
+    httpd_resp_send_500(req);
+    return ESP_FAIL;
+  }
+
+  httpd_resp_set_type(req, "image/jpeg");
+  httpd_resp_set_hdr(req, "Content-Disposition", "inline; filename=capture.jpg");
+  httpd_resp_set_hdr(req, "Access-Control-Allow-Origin", "*");
+
+  esp_err_t res;
+  if (fb->format == PIXFORMAT_JPEG) {
+    res = httpd_resp_send(req, (const char*)fb->buf, fb->len);
+  } else {
+    uint8_t* jpg_buf = NULL;
+    size_t jpg_len = 0;
+    if (frame2jpg(fb, 80, &jpg_buf, &jpg_len)) {
+      res = httpd_resp_send(req, (const char*)jpg_buf, jpg_len);
+      free(jpg_buf);
+    } else {
+      httpd_resp_send_500(req);
+      res = ESP_FAIL;
+    }
+  }
+  esp_camera_fb_return(fb);
+  return res;
+}
+
 // ============================================================
 // Start HTTP Stream Server on port 81
 // ============================================================
@@ -142,6 +179,22 @@ void startStreamServer() {
     Serial.println("✅ Stream server started on port 81");
     Serial.printf("📺 Stream URL: http://%s:81/stream\n", WiFi.localIP().toString().c_str());
   }
+
+  httpd_config_t captureConfig = HTTPD_DEFAULT_CONFIG();
+  captureConfig.server_port = 80;
+  captureConfig.ctrl_port = config.ctrl_port + 1;  // Each server needs its own control port
+
+  httpd_uri_t capture_uri = {
+    .uri       = "/capture",
+    .method    = HTTP_GET,
+    .handler   = capture_handler,
+    .user_ctx  = NULL
+  };
+
+  if (httpd_start(&capture_httpd, &captureConfig) == ESP_OK) {
+    httpd_register_uri_handler(capture_httpd, &capture_uri);
+    Serial.printf("📸 Capture URL: http://%s/capture\n", WiFi.localIP().toString().c_str());
+  }
 }
 
 // ============================================================
@@ -189,6 +242,7 @@ void setup() {
   String streamUrl = "http://" + WiFi.localIP().toString() + ":81/stream";
   Firebase.setString(fbData, String("cameras/") + CAMERA_ID + "/status",     "online");
   Firebase.setString(fbData, String("cameras/") + CAMERA_ID + "/stream_url", streamUrl);
+  Firebase.setString(fbData, String("cameras/") + CAMERA_ID + "/capture_url", "http://" + WiFi.localIP().toString() + "/capture");
   Firebase.setString(fbData, String("cameras/") + CAMERA_ID + "/ip_address", WiFi.localIP().toString());
 
   startStreamServer();
@@ -201,7 +255,9 @@ unsigned long lastHB = 0;
 void loop() {
   if (millis() - lastHB > 30000) {
     Firebase.setString(fbData, String("cameras/") + CAMERA_ID + "/status", "online");
-    Firebase.setInt(fbData, String("cameras/") + CAMERA_ID + "/last_heartbeat", (int)(millis() / 1000));
+    // Server timestamp — the app marks the camera degraded/offline when this goes stale
+    Firebase.setTimestamp(fbData, String("cameras/") + CAMERA_ID + "/last_heartbeat");
+    Firebase.setInt(fbData, String("cameras/") + CAMERA_ID + "/uptime_seconds", (int)(millis() / 1000));
     lastHB = millis();
   }
   delay(100);
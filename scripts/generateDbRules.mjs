@@ -0,0 +1,122 @@
+// ============================================================
+// generateDbRules.mjs — Build database.rules.json from roles.js
+// ============================================================
+// Run `npm run rules` after changing PERMISSIONS or a database
+// path, then publish database.rules.json in Firebase Console →
+// Realtime Database → Rules. The ESP32 boards sign in with the
+// database secret, which bypasses rules, so these only govern
+// operators using the app.
+// ============================================================
+
+import { writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { DB_PATHS } from '../src/config/dbPaths.js';
+import { ROLES, PERMISSIONS } from '../src/config/roles.js';
+
+const OUTPUT = fileURLToPath(new URL('../database.rules.json', import.meta.url));
+
+// ---- Rule expressions ----
+// The operator's key is derived the same way as userKey() in roles.js
+const OPERATOR_KEY = "auth.token.email.toLowerCase().replace('.', ',')";
+const OPERATOR = `root.child('${DB_PATHS.USERS}').child(${OPERATOR_KEY})`;
+const SIGNED_IN = 'auth != null && auth.token.email != null';
+const NEW_ONLY = '!data.exists()';
+
+// Signed in, not disabled, and holding one of `roles`
+function roleIn(roles) {
+  const anyRole = roles.map((role) => `${OPERATOR}.child('role').val() === '${role}'`).join(' || ');
+  return `(${SIGNED_IN} && ${OPERATOR}.child('disabled').val() !== true && (${anyRole}))`;
+}
+
+const ANY_ROLE = roleIn(ROLES);
+
+// Roles holding any of the given permissions
+function allowed(...permissions) {
+  return roleIn(ROLES.filter((role) => permissions.some((p) => PERMISSIONS[p].includes(role))));
+}
+
+// ---- Write access per path; anything not listed is admin-only ----
+// The background hooks in MainTabNavigator (reservation sweeper,
+// camera-offline watcher, occupancy recorder, count rollover) run in
+// whichever app is open, so the paths they write stay open to every role.
+const SLOT = `${DB_PATHS.PARKING_SPOTS}/$slot`;
+const WRITE_RULES = [
+  // Check-out and Clear Slot both empty the vehicle fields
+  ...['occupied', 'vehicle_type', 'license_plate', 'entry_time'].map((field) => [
+    `${SLOT}/${field}`, allowed('check_out', 'override_slots'),
+  ]),
+  // Check-out empties the slot in one transaction on the whole node;
+  // the slot's own settings must come through it unchanged
+  [SLOT, `${allowed('check_out', 'override_slots')} && ${
+    ['type', 'camera_id', 'out_of_service']
+      .map((field) => `newData.child('${field}').val() === data.child('${field}').val()`)
+      .join(' && ')
+  }`],
+  [`${SLOT}/out_of_service`, allowed('override_slots')],
+  ...['reserved', 'reserved_for', 'reservation_id'].map((field) => [`${SLOT}/${field}`, ANY_ROLE]),
+  [`${DB_PATHS.RESERVATIONS}/$reservation`, `(data.exists() && ${ANY_ROLE}) || ${allowed('reserve_slots')}`],
+
+  [DB_PATHS.CHECKIN_COUNT, ANY_ROLE],
+  [DB_PATHS.CHECKOUT_COUNT, ANY_ROLE],
+  [DB_PATHS.DAILY_COUNTS, ANY_ROLE],
+  [DB_PATHS.COUNT_ROLLOVER, ANY_ROLE],
+  [`${DB_PATHS.OCCUPANCY_HISTORY}/$bucket`, `${ANY_ROLE} && ${NEW_ONLY}`],
+
+  // Sessions and access logs are append-only
+  [`${DB_PATHS.SESSIONS}/$session`, `${allowed('check_out')} && ${NEW_ONLY}`],
+  [`${DB_PATHS.LOGS}/$log`, `${allowed('check_out')} && ${NEW_ONLY}`],
+
+  [`${DB_PATHS.CAMERAS}/$camera/offline_alerted_at`, ANY_ROLE],
+  [`${DB_PATHS.ALERT_OFFLINE}/$alert`, `${ANY_ROLE} && ${NEW_ONLY}`],
+  [DB_PATHS.ALERT_STATE, allowed('handle_alerts')],
+
+  [DB_PATHS.RATES, allowed('edit_rates')],
+  [DB_PATHS.PRICING, allowed('edit_rates')],
+  [DB_PATHS.RATE_HISTORY, allowed('edit_rates')],
+  [DB_PATHS.BUSINESS_DAY, allowed('edit_settings')],
+  [DB_PATHS.CAMERA_HEALTH, allowed('edit_settings')],
+  [DB_PATHS.AUTO_LOCK, allowed('edit_settings')],
+  [DB_PATHS.GUARD_ROSTER, allowed('edit_settings')],
+  [DB_PATHS.ALLOWED_PLATES, allowed('manage_plate_lists')],
+  [DB_PATHS.BLOCKED_PLATES, allowed('manage_plate_lists')],
+  [DB_PATHS.USERS, allowed('manage_users')],
+  [`${DB_PATHS.USER_AUDIT}/$entry`, `${allowed('manage_users')} && ${NEW_ONLY}`],
+];
+
+const INDEXES = [
+  [DB_PATHS.SESSIONS, ['slot_id', 'exit_time']],
+  [DB_PATHS.RESERVATIONS, ['status']],
+  [DB_PATHS.DAILY_COUNTS, ['rolled_over_at']],
+];
+
+function setRule(rules, path, key, value) {
+  const node = path.split('/').reduce((parent, part) => {
+    parent[part] = parent[part] || {};
+    return parent[part];
+  }, rules);
+  node[key] = value;
+}
+
+function buildDatabaseRules() {
+  const rules = {
+    '.read': ANY_ROLE,
+    // Admins hold every permission, so their access is granted once at the root
+    '.write': roleIn(['admin']),
+  };
+
+  WRITE_RULES.forEach(([path, expression]) => setRule(rules, path, '.write', expression));
+  INDEXES.forEach(([path, fields]) => setRule(rules, path, '.indexOn', fields));
+
+  // Accounts without a role may still read their own record, so the
+  // app can tell them they have no access yet
+  setRule(rules, `${DB_PATHS.USERS}/$user`, '.read', `${SIGNED_IN} && $user === ${OPERATOR_KEY}`);
+  setRule(rules, `${DB_PATHS.USERS}/$user/role`, '.validate',
+    `newData.isString() && newData.val().matches(/^(${ROLES.join('|')})$/)`);
+  // A business day is closed once; a second app's rollover is rejected whole
+  setRule(rules, `${DB_PATHS.DAILY_COUNTS}/$day/rolled_over_at`, '.validate', '!data.exists()');
+
+  return { rules };
+}
+
+writeFileSync(OUTPUT, `${JSON.stringify(buildDatabaseRules(), null, 2)}\n`);
+console.log(`Wrote ${OUTPUT}`);
@@ -0,0 +1,26 @@
+// ============================================================
+// AppModal.js — Modal That Counts as Activity for Auto-Lock
+// ============================================================
+// Touches inside a React Native Modal never reach the root view
+// in AppNavigator, so an operator working in a sheet would look
+// idle to useAutoLock(). Use this in place of Modal; it takes
+// the same props.
+// ============================================================
+
+import React from 'react';
+import { Modal, View, StyleSheet } from 'react-native';
+import { captureActivity } from '../hooks/useAutoLock';
+
+export default function AppModal({ children, ...props }) {
+  return (
+    <Modal {...props}>
+      <View style={styles.flex} onStartShouldSetResponderCapture={captureActivity}>
+        {children}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  flex: { flex: 1 },
+});
@@ -0,0 +1,146 @@
+// ============================================================
+// CheckoutSheet.js — Manual Check-Out Bottom Sheet
+// ============================================================
+// Shows plate, duration and fee for an occupied slot and lets
+// the attendant confirm the exit. Confirming calls checkOutSlot(),
+// which clears the slot, bumps checkout_count and records the
+// completed parking session.
+// ============================================================
+
+import React, { useState } from 'react';
+import {
+  View, Text, StyleSheet,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { auth } from '../config/firebase';
+import { checkOutSlot } from '../hooks/useFirebase';
+import { QUEUED_MESSAGE } from '../hooks/useOffline';
+import { useBusinessDay } from '../hooks/useBusinessDay';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { entryTimeToMs } from '../utils/pricing';
+import { formatDuration } from '../utils/time';
+import AppModal from './AppModal';
+
+const VEHICLE_ICONS = { motorcycle: '🏍️', car: '🚗', truck: '🚛' };
+
+// `slotId` is the numeric slot index; `fee` comes from calculateSlotFee()
+export default function CheckoutSheet({ visible, slotId, slot, fee, onClose, onCheckedOut }) {
+  const [submitting, setSubmitting] = useState(false);
+  const { rolloverTime } = useBusinessDay();
+
+  if (!slot) return null;
+
+  const vehicleType = slot.vehicle_type || slot.type || '';
+  const entryTime = entryTimeToMs(slot.entry_time);
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    try {
+      const result = await checkOutSlot(slotId, { slot, fee, rolloverTime }, auth.currentUser?.email);
+      onCheckedOut && onCheckedOut();
+      onClose();
+      if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+    } catch (e) {
+      Alert.alert('Check-Out Failed', e.message || 'Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AppModal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+
+          <Text style={styles.title}>
+            {VEHICLE_ICONS[vehicleType] || '🚘'} Check Out Slot {slotId}
+          </Text>
+
+          <DetailRow label="Plate" value={slot.license_plate || 'Not read'} />
+          <DetailRow
+            label="Vehicle"
+            value={vehicleType ? vehicleType.charAt(0).toUpperCase() + vehicleType.slice(1) : 'Unknown'}
+          />
+          <DetailRow
+            label="Entered"
+            value={entryTime ? new Date(entryTime).toLocaleString() : 'Unknown'}
+          />
+          <DetailRow
+            label="Duration"
+            value={fee ? formatDuration(fee.durationMinutes * 60) : '—'}
+          />
+
+          <View style={styles.feeBox}>
+            <Text style={styles.feeLabel}>Amount Due</Text>
+            <Text style={styles.feeValue}>{fee ? `₱${fee.amount}` : '—'}</Text>
+            {fee && fee.free ? <Text style={styles.feeNote}>Within grace period</Text> : null}
+            {fee && fee.capped ? <Text style={styles.feeNote}>Daily maximum applied</Text> : null}
+            {!fee ? <Text style={styles.feeNote}>Entry time unknown — collect manually</Text> : null}
+          </View>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={onClose} disabled={submitting}>
+              <Text style={styles.btnCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.btn, styles.btnConfirm]} onPress={handleConfirm} disabled={submitting}>
+              {submitting ? (
+                <ActivityIndicator color={COLORS.white} />
+              ) : (
+                <Text style={styles.btnConfirmText}>Confirm Exit</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </AppModal>
+  );
+}
+
+function DetailRow({ label, value }) {
+  return (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <Text style={styles.rowValue}>{value}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: COLORS.overlay },
+  sheet: {
+    backgroundColor: COLORS.card,
+    borderTopLeftRadius: RADIUS.xl, borderTopRightRadius: RADIUS.xl,
+    padding: SPACING.lg, paddingBottom: SPACING.xl,
+    ...SHADOW.large,
+  },
+  handle: {
+    alignSelf: 'center', width: 40, height: 4, borderRadius: 2,
+    backgroundColor: COLORS.border, marginBottom: SPACING.md,
+  },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.md },
+
+  row: {
+    flexDirection: 'row', justifyContent: 'space-between',
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  rowLabel: { fontSize: 14, color: COLORS.textSecondary },
+  rowValue: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary },
+
+  feeBox: {
+    backgroundColor: COLORS.white, borderRadius: RADIUS.md,
+    padding: SPACING.md, alignItems: 'center', marginTop: SPACING.md,
+    ...SHADOW.small,
+  },
+  feeLabel: { fontSize: 12, color: COLORS.textSecondary },
+  feeValue: { fontSize: 32, fontWeight: '800', color: COLORS.primary, marginTop: 2 },
+  feeNote: { fontSize: 12, color: COLORS.textMuted, marginTop: 4 },
+
+  actions: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.lg },
+  btn: { flex: 1, borderRadius: RADIUS.md, paddingVertical: 14, alignItems: 'center' },
+  btnCancel: { backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border },
+  btnCancelText: { color: COLORS.textSecondary, fontWeight: '600', fontSize: 15 },
+  btnConfirm: { backgroundColor: COLORS.checkOut },
+  btnConfirmText: { color: COLORS.white, fontWeight: '700', fontSize: 15 },
+});
@@ -0,0 +1,47 @@
+// ============================================================
+// ConnectionIndicator.js — Online / Offline Pill for the Header
+// ============================================================
+// Shown at the right of the tab header on every tab, so a dropped
+// connection is visible wherever the operator is. Green while
+// connected, white while queued offline changes are being sent,
+// amber while (re)connecting and red once offline.
+// ============================================================
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useConnection } from '../hooks/useOffline';
+import { COLORS, SPACING, RADIUS } from '../config/theme';
+
+export default function ConnectionIndicator() {
+  const { connected, offline, pending } = useConnection();
+
+  let label = 'Connecting';
+  let color = COLORS.warning;
+  if (connected && pending > 0) {
+    label = `Syncing ${pending}`;
+    color = COLORS.white;
+  } else if (connected) {
+    label = 'Online';
+    color = COLORS.checkIn;
+  } else if (offline) {
+    label = pending > 0 ? `Offline · ${pending} queued` : 'Offline';
+    color = COLORS.danger;
+  }
+
+  return (
+    <View style={styles.pill} accessibilityRole="text" accessibilityLabel={`Connection: ${label}`}>
+      <View style={[styles.dot, { backgroundColor: color }]} />
+      <Text style={styles.label}>{label}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  pill: {
+    flexDirection: 'row', alignItems: 'center',
+    backgroundColor: 'rgba(255,255,255,0.15)', borderRadius: RADIUS.full,
+    paddingVertical: 4, paddingHorizontal: SPACING.sm, marginRight: SPACING.md,
+  },
+  dot: { width: 8, height: 8, borderRadius: 4, marginRight: 6 },
+  label: { fontSize: 12, fontWeight: '600', color: COLORS.white },
+});
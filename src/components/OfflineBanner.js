@@ -0,0 +1,59 @@
+// ============================================================
+// OfflineBanner.js — "Offline, last synced ..." Strip
+// ============================================================
+// Sits under a screen's header. Hidden while connected with no
+// queued writes. Offline, it says when the shown data was last
+// synced and how many changes are waiting; back online, it shows
+// while the queue is being sent. Pass `syncedAt` when the screen
+// shows a copy cached on this device, otherwise the time the
+// connection dropped is used; `style` adjusts its margins.
+// ============================================================
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useConnection } from '../hooks/useOffline';
+import { useNow } from '../hooks/useFirebase';
+import { COLORS, SPACING, RADIUS } from '../config/theme';
+import { formatDuration } from '../utils/time';
+
+export default function OfflineBanner({ syncedAt = null, style }) {
+  const { connected, offline, lastOnlineAt, pending } = useConnection();
+  const now = useNow();
+
+  const changes = `${pending} change${pending === 1 ? '' : 's'}`;
+
+  if (offline) {
+    const lastSync = syncedAt || lastOnlineAt;
+    const age = lastSync ? (now - lastSync) / 1000 : 0;
+    const synced = lastSync
+      ? `last synced ${new Date(lastSync).toLocaleTimeString()} (${age < 60 ? 'just now' : `${formatDuration(age)} ago`})`
+      : 'not synced yet on this device';
+    return (
+      <View style={[styles.banner, styles.offline, style]}>
+        <Text style={styles.title}>📡 Offline — {synced}</Text>
+        {pending > 0 ? <Text style={styles.detail}>{changes} waiting to sync</Text> : null}
+      </View>
+    );
+  }
+
+  if (connected && pending > 0) {
+    return (
+      <View style={[styles.banner, styles.syncing, style]}>
+        <Text style={styles.title}>🔄 Back online — sending {changes}</Text>
+      </View>
+    );
+  }
+
+  return null;
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    borderRadius: RADIUS.md, paddingVertical: SPACING.sm, paddingHorizontal: SPACING.md,
+    marginBottom: SPACING.md,
+  },
+  offline: { backgroundColor: COLORS.warning },
+  syncing: { backgroundColor: COLORS.primary },
+  title: { fontSize: 13, fontWeight: '700', color: COLORS.white },
+  detail: { fontSize: 12, color: COLORS.white, marginTop: 2 },
+});
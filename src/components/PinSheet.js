@@ -0,0 +1,134 @@
+// ============================================================
+// PinSheet.js — Set or Change the Unlock PIN
+// ============================================================
+// Bottom sheet opened from Settings → Screen Lock. The PIN is
+// typed twice and saved for the signed-in operator on this
+// device only (see useAutoLock.js).
+// ============================================================
+
+import React, { useState } from 'react';
+import {
+  View, Text, StyleSheet, TextInput,
+  TouchableOpacity, ActivityIndicator,
+} from 'react-native';
+import { auth } from '../config/firebase';
+import { validatePin, savePin } from '../hooks/useAutoLock';
+import { AUTH_ERROR_MESSAGES, authErrorMessage } from '../utils/authErrors';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import AppModal from './AppModal';
+
+export default function PinSheet({ visible, replacing, onClose, onSaved }) {
+  const [pin, setPin] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const close = () => {
+    setPin('');
+    setConfirmation('');
+    setError(null);
+    onClose();
+  };
+
+  const handleSave = async () => {
+    const code = validatePin(pin, confirmation);
+    if (code) {
+      setError(AUTH_ERROR_MESSAGES[code]);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await savePin(auth.currentUser?.email, pin);
+      onSaved?.();
+      close();
+    } catch (e) {
+      setError(authErrorMessage(e));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <AppModal visible={visible} transparent animationType="slide" onRequestClose={close}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <Text style={styles.title}>{replacing ? 'Change PIN' : 'Set a PIN'}</Text>
+          <Text style={styles.note}>
+            4 to 8 digits. Used to unlock the app on this device after it locks itself.
+          </Text>
+
+          <Text style={styles.label}>New PIN</Text>
+          <TextInput
+            style={styles.input}
+            value={pin}
+            onChangeText={(text) => { setPin(text.replace(/\D/g, '')); setError(null); }}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={8}
+            editable={!saving}
+          />
+
+          <Text style={styles.label}>Confirm PIN</Text>
+          <TextInput
+            style={styles.input}
+            value={confirmation}
+            onChangeText={(text) => { setConfirmation(text.replace(/\D/g, '')); setError(null); }}
+            keyboardType="number-pad"
+            secureTextEntry
+            maxLength={8}
+            editable={!saving}
+          />
+
+          {error ? <Text style={styles.error}>{error}</Text> : null}
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={close} disabled={saving}>
+              <Text style={styles.btnCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.btn, styles.btnConfirm]} onPress={handleSave} disabled={saving}>
+              {saving ? (
+                <ActivityIndicator color={COLORS.white} />
+              ) : (
+                <Text style={styles.btnConfirmText}>Save PIN</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </AppModal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: COLORS.overlay },
+  sheet: {
+    backgroundColor: COLORS.card,
+    borderTopLeftRadius: RADIUS.xl, borderTopRightRadius: RADIUS.xl,
+    padding: SPACING.lg, paddingBottom: SPACING.xl,
+    ...SHADOW.large,
+  },
+  handle: {
+    alignSelf: 'center', width: 40, height: 4, borderRadius: 2,
+    backgroundColor: COLORS.border, marginBottom: SPACING.md,
+  },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.textPrimary, marginBottom: 4 },
+  note: { fontSize: 12, color: COLORS.textMuted, marginBottom: SPACING.sm },
+
+  label: { fontSize: 13, fontWeight: '600', color: COLORS.textSecondary, marginBottom: 6, marginTop: SPACING.sm },
+  input: {
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md, paddingVertical: 12,
+    fontSize: 20, letterSpacing: 8, color: COLORS.textPrimary,
+  },
+  error: { fontSize: 12, color: COLORS.danger, marginTop: SPACING.sm },
+
+  actions: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.lg },
+  btn: { flex: 1, borderRadius: RADIUS.md, paddingVertical: 14, alignItems: 'center' },
+  btnCancel: { backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border },
+  btnCancelText: { color: COLORS.textSecondary, fontWeight: '600', fontSize: 15 },
+  btnConfirm: { backgroundColor: COLORS.primary },
+  btnConfirmText: { color: COLORS.white, fontWeight: '700', fontSize: 15 },
+});
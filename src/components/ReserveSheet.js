@@ -0,0 +1,159 @@
+// ============================================================
+// ReserveSheet.js — Create a Slot Reservation
+// ============================================================
+// Bottom sheet for holding a slot for one plate. The window is
+// picked from presets (start offset + length) to avoid pulling
+// in a date-picker dependency.
+// ============================================================
+
+import React, { useState } from 'react';
+import {
+  View, Text, StyleSheet, TextInput,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { auth } from '../config/firebase';
+import { createReservation, NO_SHOW_GRACE_MINUTES } from '../hooks/useReservations';
+import { QUEUED_MESSAGE } from '../hooks/useOffline';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { MINUTE_MS, HOUR_MS } from '../utils/time';
+import AppModal from './AppModal';
+
+const START_OPTIONS = [
+  { label: 'Now', offset: 0 },
+  { label: 'In 30m', offset: 30 * MINUTE_MS },
+  { label: 'In 1h', offset: HOUR_MS },
+  { label: 'In 2h', offset: 2 * HOUR_MS },
+];
+
+const LENGTH_OPTIONS = [
+  { label: '1h', length: HOUR_MS },
+  { label: '2h', length: 2 * HOUR_MS },
+  { label: '4h', length: 4 * HOUR_MS },
+  { label: '8h', length: 8 * HOUR_MS },
+];
+
+export default function ReserveSheet({ visible, slotId, onClose }) {
+  const [plate, setPlate] = useState('');
+  const [startIdx, setStartIdx] = useState(0);
+  const [lengthIdx, setLengthIdx] = useState(1);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleReserve = async () => {
+    const startsAt = Date.now() + START_OPTIONS[startIdx].offset;
+    const endsAt = startsAt + LENGTH_OPTIONS[lengthIdx].length;
+
+    setSubmitting(true);
+    try {
+      const result = await createReservation(slotId, { plate, startsAt, endsAt }, auth.currentUser?.email);
+      setPlate('');
+      onClose();
+      if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+    } catch (e) {
+      Alert.alert('Reservation Failed', e.message || 'Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AppModal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <Text style={styles.title}>Reserve Slot {slotId}</Text>
+
+          <Text style={styles.label}>Plate</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="ABC 1234"
+            placeholderTextColor={COLORS.textMuted}
+            value={plate}
+            onChangeText={setPlate}
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+
+          <Text style={styles.label}>Starts</Text>
+          <OptionRow options={START_OPTIONS} selected={startIdx} onSelect={setStartIdx} />
+
+          <Text style={styles.label}>Hold for</Text>
+          <OptionRow options={LENGTH_OPTIONS} selected={lengthIdx} onSelect={setLengthIdx} />
+
+          <Text style={styles.note}>
+            The reservation expires if the vehicle has not arrived {NO_SHOW_GRACE_MINUTES} minutes after it starts.
+          </Text>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={onClose} disabled={submitting}>
+              <Text style={styles.btnCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.btn, styles.btnConfirm]} onPress={handleReserve} disabled={submitting}>
+              {submitting ? (
+                <ActivityIndicator color={COLORS.white} />
+              ) : (
+                <Text style={styles.btnConfirmText}>Reserve</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </AppModal>
+  );
+}
+
+function OptionRow({ options, selected, onSelect }) {
+  return (
+    <View style={styles.optionRow}>
+      {options.map((option, idx) => (
+        <TouchableOpacity
+          key={option.label}
+          style={[styles.option, selected === idx && styles.optionActive]}
+          onPress={() => onSelect(idx)}
+        >
+          <Text style={[styles.optionText, selected === idx && styles.optionTextActive]}>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: COLORS.overlay },
+  sheet: {
+    backgroundColor: COLORS.card,
+    borderTopLeftRadius: RADIUS.xl, borderTopRightRadius: RADIUS.xl,
+    padding: SPACING.lg, paddingBottom: SPACING.xl,
+    ...SHADOW.large,
+  },
+  handle: {
+    alignSelf: 'center', width: 40, height: 4, borderRadius: 2,
+    backgroundColor: COLORS.border, marginBottom: SPACING.md,
+  },
+  title: { fontSize: 20, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.md },
+
+  label: { fontSize: 13, fontWeight: '600', color: COLORS.textSecondary, marginBottom: 6, marginTop: SPACING.sm },
+  input: {
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md, paddingVertical: 12,
+    fontSize: 15, color: COLORS.textPrimary,
+  },
+
+  optionRow: { flexDirection: 'row', gap: SPACING.sm },
+  option: {
+    flex: 1, borderRadius: RADIUS.md, paddingVertical: 10, alignItems: 'center',
+    backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border,
+  },
+  optionActive: { backgroundColor: COLORS.reserved, borderColor: COLORS.reserved },
+  optionText: { fontSize: 13, fontWeight: '600', color: COLORS.textSecondary },
+  optionTextActive: { color: COLORS.white },
+
+  note: { fontSize: 12, color: COLORS.textMuted, marginTop: SPACING.md },
+
+  actions: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.lg },
+  btn: { flex: 1, borderRadius: RADIUS.md, paddingVertical: 14, alignItems: 'center' },
+  btnCancel: { backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border },
+  btnCancelText: { color: COLORS.textSecondary, fontWeight: '600', fontSize: 15 },
+  btnConfirm: { backgroundColor: COLORS.reserved },
+  btnConfirmText: { color: COLORS.white, fontWeight: '700', fontSize: 15 },
+});
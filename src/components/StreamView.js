@@ -0,0 +1,313 @@
+// ============================================================
+// StreamView.js — MJPEG Stream Player
+// ============================================================
+// Wraps the ESP32-CAM MJPEG stream in a WebView, because React
+// Native's Image component does not support MJPEG natively.
+// The ESP32 streams at http://<IP>:81/stream — that URL is
+// stored in Firebase cameras/<id>/stream_url.
+//
+// The page recovers on its own when the stream drops: it detects
+// errors and stalls, reconnects with exponential backoff, and after
+// repeated failures falls back to polling the camera's still-image
+// endpoint (when one is given) while probing for the stream to
+// come back. Its state is shown as an overlay and reported through
+// onStatusChange.
+// ============================================================
+
+import React, { forwardRef, useRef, useState, useImperativeHandle } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { WebView } from 'react-native-webview';
+import { COLORS, SPACING } from '../config/theme';
+
+// ---- Recovery tuning ----
+export const STREAM_RECOVERY = {
+  stallMs: 8000,          // No new frame for this long → reconnect
+  baseDelayMs: 1000,      // First retry delay, doubled per attempt
+  maxDelayMs: 30000,      // Retry delay cap
+  maxAttempts: 5,         // Failures before falling back to stills / "failed"
+  stillIntervalMs: 2000,  // Still-image polling interval in fallback mode
+  probeIntervalMs: 30000, // How often to check whether the stream is back
+};
+
+// ---- Player script ----
+// Frames are detected by sampling the <img> into a tiny canvas once
+// a second; sensor noise keeps live frames from ever being
+// identical. Sampling needs the <img> loaded with crossorigin, which
+// is only set for cameras that send a CORS header (the stream
+// server sends Access-Control-Allow-Origin: *) — on any other camera
+// the attribute would block the image entirely. Without it the
+// canvas is tainted, stall detection switches off and only load
+// errors are acted on.
+const PLAYER_SCRIPT = `
+  (function () {
+    var img = document.getElementById('stream');
+    var canvas = document.createElement('canvas');
+    canvas.width = 32; canvas.height = 24;
+    var ctx = canvas.getContext('2d');
+
+    var mode = 'stream', status = null, attempt = 0;
+    var canSample = true, lastSum = null, lastFrameAt = null, connectedAt = Date.now();
+    var retryTimer = null, stillTimer = null, probeTimer = null, waiting = false;
+
+    // Posts only on state changes, so a live stream is not chatty
+    function report(next) {
+      var key = next + ':' + attempt;
+      if (key === status) return;
+      status = key;
+      window.ReactNativeWebView.postMessage(JSON.stringify({
+        type: 'status', status: next, attempt: attempt, lastFrameAt: lastFrameAt,
+      }));
+    }
+
+    function bust(url) {
+      return url + (url.indexOf('?') < 0 ? '?' : '&') + '_t=' + Date.now();
+    }
+
+    function stopTimers() {
+      clearTimeout(retryTimer); clearInterval(stillTimer); clearInterval(probeTimer);
+      waiting = false;
+    }
+
+    function connect() {
+      stopTimers();
+      mode = 'stream'; lastSum = null; connectedAt = Date.now();
+      report(attempt === 0 ? 'connecting' : 'reconnecting');
+      img.src = bust(cfg.streamUrl);
+    }
+
+    function scheduleRetry() {
+      if (waiting) return;
+      attempt += 1;
+      img.removeAttribute('src');  // Drop the dead connection; ESP32 serves few clients at once
+
+      if (attempt > cfg.maxAttempts && cfg.stillUrl) {
+        startStills();
+        return;
+      }
+      waiting = true;
+      report(attempt > cfg.maxAttempts ? 'failed' : 'reconnecting');
+      var delay = Math.min(cfg.baseDelayMs * Math.pow(2, attempt - 1), cfg.maxDelayMs);
+      retryTimer = setTimeout(connect, delay);
+    }
+
+    function startStills() {
+      stopTimers();
+      mode = 'stills';
+      report('stills');
+      loadStill();
+      stillTimer = setInterval(loadStill, cfg.stillIntervalMs);
+      probeTimer = setInterval(probeStream, cfg.probeIntervalMs);
+    }
+
+    function loadStill() {
+      img.src = bust(cfg.stillUrl);
+    }
+
+    // Any answer from the stream port means it is worth reconnecting
+    function probeStream() {
+      var controller = window.AbortController ? new AbortController() : null;
+      fetch(bust(cfg.streamUrl), { mode: 'no-cors', signal: controller && controller.signal })
+        .then(function () {
+          if (controller) controller.abort();
+          if (mode === 'stills') { attempt = 0; connect(); }
+        })
+        .catch(function () {});
+    }
+
+    function frame() {
+      lastFrameAt = Date.now();
+      if (mode === 'stream') attempt = 0;
+      report(mode === 'stream' ? 'live' : 'stills');
+    }
+
+    img.onload = function () {
+      if (mode === 'stills' || !canSample) frame();
+    };
+    img.onerror = function () {
+      if (mode === 'stills') report('failed');
+      else scheduleRetry();
+    };
+
+    setInterval(function () {
+      if (mode !== 'stream' || waiting) return;
+      if (canSample && img.naturalWidth) {
+        try {
+          ctx.drawImage(img, 0, 0, 32, 24);
+          var data = ctx.getImageData(0, 0, 32, 24).data, sum = 0;
+          for (var i = 0; i < data.length; i += 4) sum += data[i] + data[i + 1] * 3 + data[i + 2] * 7;
+          if (sum !== lastSum) { lastSum = sum; frame(); }
+        } catch (e) {
+          canSample = false;
+          frame();
+        }
+      }
+      if (!canSample) return;
+      var since = Math.max(lastFrameAt || 0, connectedAt);
+      if (Date.now() - since > cfg.stallMs) scheduleRetry();
+    }, 1000);
+
+    connect();
+  })();
+`;
+
+// ---- Inline HTML that loads the MJPEG stream in an <img> tag ----
+// `zoomable` lets the page itself be pinch-zoomed and panned.
+// `stillUrl` (optional) is polled when the stream cannot be restored.
+// `cors` loads the image with crossorigin so frames can be sampled.
+export function buildStreamHtml(streamUrl, { zoomable = false, stillUrl = null, cors = false } = {}) {
+  const viewport = zoomable
+    ? 'width=device-width, initial-scale=1, minimum-scale=1, maximum-scale=5, user-scalable=yes'
+    : 'width=device-width, initial-scale=1';
+  const config = { ...STREAM_RECOVERY, streamUrl, stillUrl };
+  return `<!DOCTYPE html><html><head>
+      <meta name="viewport" content="${viewport}">
+      <style>
+        body { margin:0; background:#000; display:flex; align-items:center; justify-content:center; height:100vh; }
+        img { width:100%; max-height:100vh; object-fit:contain; }
+      </style>
+    </head><body>
+      <img id="stream"${cors ? ' crossorigin="anonymous"' : ''} />
+      <script>
+        var cfg = ${JSON.stringify(config)};
+        ${PLAYER_SCRIPT}
+      </script>
+    </body></html>`;
+}
+
+// ---- Grab the frame currently shown, as base64 JPEG ----
+// Used for snapshots when a camera has no still-image endpoint.
+const CAPTURE_SCRIPT = `
+  (function () {
+    var img = document.getElementById('stream');
+    try {
+      var canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth; canvas.height = img.naturalHeight;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      var data = canvas.toDataURL('image/jpeg', 0.92).split(',')[1];
+      window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'frame', data: data }));
+    } catch (e) {
+      window.ReactNativeWebView.postMessage(JSON.stringify({ type: 'frame', error: String(e) }));
+    }
+  })();
+  true;
+`;
+
+const CAPTURE_TIMEOUT_MS = 5000;
+
+// ---- Overlay text for each player state (null = no overlay) ----
+export function statusText({ status, attempt, lastFrameAt }) {
+  const lastFrame = lastFrameAt ? `Last frame ${new Date(lastFrameAt).toLocaleTimeString()}` : 'No frame yet';
+  switch (status) {
+    case 'connecting':
+      return 'Connecting to camera…';
+    case 'reconnecting':
+      return `Reconnecting (attempt ${attempt})… · ${lastFrame}`;
+    case 'failed':
+      return `Stream unavailable — still retrying · ${lastFrame}`;
+    case 'stills':
+      return `Stream down — stills every ${STREAM_RECOVERY.stillIntervalMs / 1000}s · ${lastFrame}`;
+    default:
+      return null;
+  }
+}
+
+// Props:
+//   stillUrl        — optional still-image URL for the fallback mode
+//   onStatusChange  — ({ status, attempt, lastFrameAt }) on every state change;
+//                     status is connecting | live | reconnecting | failed | stills
+//   zoomable        — enables pinch-zoom and pan (full-screen viewer)
+//   showStatus      — draw the state overlay (off for small grid tiles)
+//   cors            — the camera sends a CORS header (see streamSendsCors())
+// The ref exposes captureFrame() → Promise<base64 JPEG>.
+const StreamView = forwardRef(function StreamView(
+  { streamUrl, stillUrl = null, style, onError, onStatusChange, zoomable = false, showStatus = true, cors = false },
+  forwardedRef
+) {
+  const webviewRef = useRef(null);
+  const pendingCapture = useRef(null);
+  const [playerStatus, setPlayerStatus] = useState({ status: 'connecting', attempt: 0, lastFrameAt: null });
+
+  useImperativeHandle(forwardedRef, () => ({
+    captureFrame: () => new Promise((resolve, reject) => {
+      if (!webviewRef.current) {
+        reject(new Error('The stream is not loaded.'));
+        return;
+      }
+      const timer = setTimeout(() => {
+        pendingCapture.current = null;
+        reject(new Error('The stream did not return a frame.'));
+      }, CAPTURE_TIMEOUT_MS);
+      pendingCapture.current = { resolve, reject, timer };
+      webviewRef.current.injectJavaScript(CAPTURE_SCRIPT);
+    }),
+  }), []);
+
+  if (!streamUrl) return null;
+
+  const handleMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.nativeEvent.data);
+    } catch (e) {
+      return; // Ignore messages that are not ours
+    }
+
+    if (message.type === 'status') {
+      const next = { status: message.status, attempt: message.attempt, lastFrameAt: message.lastFrameAt };
+      setPlayerStatus(next);
+      if (onStatusChange) onStatusChange(next);
+    }
+
+    if (message.type === 'frame' && pendingCapture.current) {
+      const { resolve, reject, timer } = pendingCapture.current;
+      clearTimeout(timer);
+      pendingCapture.current = null;
+      if (message.data) resolve(message.data);
+      else reject(new Error('The current frame could not be read.'));
+    }
+  };
+
+  const overlay = showStatus ? statusText(playerStatus) : null;
+  const overlayColor = playerStatus.status === 'failed'
+    ? COLORS.checkOut
+    : playerStatus.status === 'stills' ? COLORS.available : COLORS.warning;
+
+  return (
+    <View style={[styles.container, style]}>
+      <WebView
+        ref={webviewRef}
+        source={{ html: buildStreamHtml(streamUrl, { zoomable, stillUrl, cors }) }}
+        style={styles.webview}
+        scrollEnabled={zoomable}
+        bounces={false}
+        scalesPageToFit={zoomable}
+        setBuiltInZoomControls={zoomable}
+        setDisplayZoomControls={false}
+        onError={onError}
+        onMessage={handleMessage}
+        javaScriptEnabled={true}
+        mixedContentMode="always"  // Required for HTTP streams on Android
+      />
+      {overlay && (
+        <View style={[styles.statusBar, { backgroundColor: overlayColor }]} pointerEvents="none">
+          <Text style={styles.statusText} numberOfLines={1}>
+            {overlay}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+});
+
+export default StreamView;
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#000' },
+  webview: { flex: 1, backgroundColor: '#000' },
+  statusBar: {
+    position: 'absolute', left: 0, right: 0, bottom: 0,
+    paddingHorizontal: SPACING.sm, paddingVertical: 4,
+    opacity: 0.9,
+  },
+  statusText: { color: COLORS.white, fontSize: 12, fontWeight: '600', textAlign: 'center' },
+});
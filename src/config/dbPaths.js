@@ -11,11 +11,30 @@ export const DB_PATHS = {
   PARKING_SPOTS: 'parking_spots',
   SLOT: (id) => `parking_spots/slot_${id}`,
 
-  // Vehicle counts
+  // Vehicle counts for the current business day, reset at rollover
   CHECKIN_COUNT: 'checkin_count',              // { motorcycle: 0, car: 0, truck: 0 }
   CHECKOUT_COUNT: 'checkout_count',            // { motorcycle: 0, car: 0, truck: 0 }
+  // Counts per business day, incremented alongside the live counters above
+  DAILY_COUNTS: 'daily_counts',                // { "2026-10-19": { checkin: {...}, checkout: {...}, rolled_over_at } }
+  DAILY_COUNT: (day) => `daily_counts/${day}`,
+  // Business day the live counters currently belong to
+  COUNT_ROLLOVER: 'count_rollover',            // { business_day: "2026-10-19", first_day, rolled_over_at, rolled_over_by }
+
+  // Completed parking sessions — written by the app on check-out, and by
+  // slot cameras when a vehicle leaves unchecked (those have no amount)
+  SESSIONS: 'parking_sessions',                // push-keyed { slot_id, vehicle_type, license_plate, entry_time, exit_time, amount, ... }
+
+  // Occupancy history, one snapshot per 15-minute bucket (keyed by bucket start, ms)
+  OCCUPANCY_HISTORY: 'occupancy_history',      // { "1760860800000": { time, occupied, total, by_type: { car: { occupied, total } } } }
+  OCCUPANCY_SNAPSHOT: (time) => `occupancy_history/${time}`,
+
+  // Slot reservations (push-keyed, created and cancelled from the app)
+  RESERVATIONS: 'reservations',                // { slot_id, license_plate, starts_at, ends_at, status: active|fulfilled|expired|cancelled }
+  RESERVATION: (id) => `reservations/${id}`,
 
   // Camera statuses and stream URLs
+  // last_heartbeat is a server timestamp (ms); uptime_seconds is the camera's time since boot
+  // capture_url (stream server only) returns a single JPEG still
   CAMERAS: 'cameras',                          // { entrance: {...}, exit: {...}, slot_0: {...} }
   CAMERA: (id) => `cameras/${id}`,
 
@@ -23,15 +42,35 @@ export const DB_PATHS = {
   ALERTS: 'alerts',
   ALERT_FULL: 'alerts/full_capacity',
   ALERT_OFFLINE: 'alerts/camera_offline',
-  ALERT_UNAUTHORIZED: 'alerts/unauthorized',
+  ALERT_UNAUTHORIZED: 'alerts/unauthorized',   // push-keyed JSON strings: { message, plate, camera, snapshot_url }
+  // Lifecycle per alert, keyed like the alert itself
+  ALERT_STATE: 'alert_state',                  // { full_capacity: { "-Nx...": { acknowledged, resolved, assignee, ... } } }
+  ALERT_STATE_ENTRY: (category, id) => `alert_state/${category}/${id}`,
 
   // App settings
   SETTINGS: 'settings',
   RATES: 'settings/rates',                     // { motorcycle: 10, car: 20, truck: 30 }
-  ADMIN_USERS: 'settings/admin_users',
+  PRICING: 'settings/pricing',                 // optional per-type extras: { car: { first_hour, grace_minutes, daily_max, ... } }
+  RATE_HISTORY: 'settings/rate_history',       // push-keyed { vehicle_type, old_value, new_value, editor, timestamp }
+  // Plate lists, keyed by normalized plate: { plate, owner_name, valid_from: "YYYY-MM-DD", valid_until: "YYYY-MM-DD", notes }
+  ALLOWED_PLATES: 'settings/allowed_plates',
+  ALLOWED_PLATE: (plate) => `settings/allowed_plates/${plate}`,
+  BLOCKED_PLATES: 'settings/blocked_plates',
+  BLOCKED_PLATE: (plate) => `settings/blocked_plates/${plate}`,
+  CAMERA_HEALTH: 'settings/camera_health',     // { degraded_after_seconds: 75, offline_after_seconds: 180 }
+  BUSINESS_DAY: 'settings/business_day',       // { rollover_time: "06:00" } — when one business day ends and the next begins
+  AUTO_LOCK: 'settings/auto_lock',             // { timeout_minutes: 5 } — 0 never locks the app
+  GUARD_ROSTER: 'settings/guard_roster',       // { guard_1: { name, on_duty, shift_start: "06:00", shift_end: "14:00" } }
 
-  // Access logs
-  LOGS: 'logs/access',
+  // Operator accounts, keyed by userKey(email) from config/roles.js;
+  // role is admin | supervisor | guard | cashier
+  USERS: 'users',                              // { "guard,one@parking,com": { email, name, role, disabled, invited_by, invited_at } }
+  USER: (key) => `users/${key}`,
+  // Every change made from the Operators screen
+  USER_AUDIT: 'user_audit',                    // push-keyed { action, email, old_value, new_value, editor, timestamp }
+
+  // Access logs (push-keyed JSON strings from the entrance camera)
+  LOGS: 'logs/access',                         // { "-Nx...": "{action, type, plate, slot, camera, timestamp}" }
 };
 
 // ============================================================
@@ -40,6 +79,7 @@ export const DB_PATHS = {
 // ============================================================
 // {
 //   "parking_spots": {
+//     // Optional per-slot flags set from the app: "reserved", "reserved_for", "reservation_id", "out_of_service"
 //     "slot_0": { "type": "motorcycle", "occupied": false, "vehicle_type": "", "license_plate": "", "entry_time": 0, "camera_id": "slot_cam_0" },
 //     "slot_1": { "type": "motorcycle", "occupied": false, "vehicle_type": "", "license_plate": "", "entry_time": 0, "camera_id": "slot_cam_1" },
 //     "slot_2": { "type": "car",        "occupied": false, "vehicle_type": "", "license_plate": "", "entry_time": 0, "camera_id": "slot_cam_2" },
@@ -49,14 +89,32 @@ export const DB_PATHS = {
 //   },
 //   "checkin_count":  { "motorcycle": 0, "car": 0, "truck": 0 },
 //   "checkout_count": { "motorcycle": 0, "car": 0, "truck": 0 },
+//   "daily_counts": {
+//     "2026-10-19": { "checkin": { "motorcycle": 0, "car": 0, "truck": 0 }, "checkout": { "motorcycle": 0, "car": 0, "truck": 0 } }
+//   },
+//   "count_rollover": { "business_day": "2026-10-19" },
 //   "cameras": {
-//     "entrance": { "status": "online", "stream_url": "http://192.168.1.101:81/stream", "last_heartbeat": 0 },
-//     "exit":     { "status": "online", "stream_url": "http://192.168.1.102:81/stream", "last_heartbeat": 0 },
-//     "slot_cam_0": { "status": "online", "stream_url": "http://192.168.1.103:81/stream", "last_heartbeat": 0 }
+//     "entrance": { "status": "online", "stream_url": "http://192.168.1.101:81/stream", "last_heartbeat": 0, "uptime_seconds": 0 },
+//     "exit":     { "status": "online", "stream_url": "http://192.168.1.102:81/stream", "last_heartbeat": 0, "uptime_seconds": 0 },
+//     "slot_cam_0": { "status": "online", "stream_url": "http://192.168.1.103:81/stream", "last_heartbeat": 0, "uptime_seconds": 0 }
 //   },
-//   "alerts": { "full_capacity": [], "camera_offline": [], "unauthorized": [] },
+//   // Firmware pushes alert strings, so each category is push-ID keyed: { "-Nx...": "car parking full — 12345" }
+//   "alerts": { "full_capacity": {}, "camera_offline": {}, "unauthorized": {} },
 //   "settings": {
 //     "rates": { "motorcycle": 10, "car": 20, "truck": 30 },
-//     "admin_users": ["admin@parking.com"]
+//     "pricing": {
+//       "car": { "first_hour": 30, "grace_minutes": 10, "increment_minutes": 60, "rounding": "up",
+//                "daily_max": 200, "overnight": { "start": "22:00", "end": "06:00", "flat": 50 } }
+//     },
+//     "camera_health": { "degraded_after_seconds": 75, "offline_after_seconds": 180 },
+//     "business_day": { "rollover_time": "00:00" },
+//     "auto_lock": { "timeout_minutes": 5 },
+//     "guard_roster": {
+//       "guard_1": { "name": "Day Guard", "on_duty": true, "shift_start": "06:00", "shift_end": "18:00" }
+//     }
+//   },
+//   // Operators and their roles; the first admin has to be added by hand
+//   "users": {
+//     "admin@parking,com": { "email": "admin@parking.com", "role": "admin" }
 //   }
 // }
@@ -28,8 +28,14 @@ const firebaseConfig = {
 // Initialize Firebase only once (prevents re-initialization errors)
 const app = getApps().length === 0 ? initializeApp(firebaseConfig) : getApps()[0];
 
+// Second instance used only to create operator accounts — creating a
+// user signs that user in, which on the main instance would sign the
+// admin out
+const inviteApp = getApps().find((a) => a.name === 'invites') || initializeApp(firebaseConfig, 'invites');
+
 // Export the services used throughout the app
 export const database = getDatabase(app);  // Realtime Database
 export const auth = getAuth(app);          // Authentication
+export const inviteAuth = getAuth(inviteApp);
 
 export default app;
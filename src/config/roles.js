@@ -0,0 +1,56 @@
+// ============================================================
+// roles.js — Operator Roles and Permissions
+// ============================================================
+// Every operator has one role, stored at users/<userKey>/role.
+// PERMISSIONS lists the roles allowed to do each thing; the app
+// hides tabs and actions with can(), and
+// scripts/generateDbRules.mjs builds database.rules.json from the
+// same table so the database enforces it too.
+// Keep this file free of imports: the rules script loads it with
+// plain Node.
+// ============================================================
+
+export const ROLES = ['admin', 'supervisor', 'guard', 'cashier'];
+
+export const ROLE_INFO = {
+  admin: { label: 'Admin', description: 'Everything, including rates, settings and operator accounts' },
+  supervisor: { label: 'Supervisor', description: 'Slot overrides, plate lists, analytics and reports' },
+  guard: { label: 'Guard', description: 'Cameras, alerts and access logs' },
+  cashier: { label: 'Cashier', description: 'Check-outs, reservations and revenue' },
+};
+
+// ---- Permission → roles allowed ----
+export const PERMISSIONS = {
+  view_cctv: ['admin', 'supervisor', 'guard'],
+  view_security: ['admin', 'supervisor', 'guard'],
+  handle_alerts: ['admin', 'supervisor', 'guard'],
+  manage_plate_lists: ['admin', 'supervisor'],
+  view_analytics: ['admin', 'supervisor', 'cashier'],
+  view_revenue: ['admin', 'supervisor', 'cashier'],
+  export_reports: ['admin', 'supervisor'],
+  check_out: ['admin', 'supervisor', 'cashier'],
+  reserve_slots: ['admin', 'supervisor', 'cashier'],
+  override_slots: ['admin', 'supervisor'],
+  edit_rates: ['admin'],
+  edit_settings: ['admin'],
+  manage_users: ['admin'],
+};
+
+// Tabs that need a permission; Dashboard and Settings are open to every role
+export const TAB_PERMISSIONS = {
+  CCTV: 'view_cctv',
+  Security: 'view_security',
+  Analytics: 'view_analytics',
+};
+
+// ---- Utility: May `role` do `permission`? ----
+export function can(role, permission) {
+  return !!role && (PERMISSIONS[permission] || []).includes(role);
+}
+
+// ---- Utility: Database key for an operator's email ----
+// Keys cannot contain '.', so "guard.one@parking.com" → "guard,one@parking,com".
+// The database rules derive the same key from auth.token.email.
+export function userKey(email) {
+  return String(email || '').trim().toLowerCase().replace(/\./g, ',');
+}
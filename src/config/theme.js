@@ -45,6 +45,10 @@ export const COLORS = {
   slotReservedBorder: '#FFE082',
   slotReservedText: '#F57F17',
 
+  slotOutOfServiceBg: '#ECEFF1',
+  slotOutOfServiceBorder: '#B0BEC5',
+  slotOutOfServiceText: '#546E7A',
+
   // Alerts and danger
   danger: '#FF4757',
   warning: '#FFA502',
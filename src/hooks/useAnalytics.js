@@ -0,0 +1,117 @@
+// ============================================================
+// useAnalytics.js — Occupancy History and Session Queries
+// ============================================================
+// Nothing else records how full the lot was over time, so while
+// the app is open it writes one occupancy snapshot per
+// OCCUPANCY_INTERVAL_MINUTES bucket to occupancy_history. A
+// transaction keeps the first write per bucket, so several open
+// apps still store one snapshot each. The Analytics tab reads
+// those snapshots and the completed parking_sessions for a range.
+// ============================================================
+
+import { useState, useEffect, useRef } from 'react';
+import {
+  ref, onValue, runTransaction,
+  query, orderByKey, orderByChild, startAt, endBefore,
+} from 'firebase/database';
+import { database } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { useParkingSpots, useNow } from './useFirebase';
+import { useConnection } from './useOffline';
+import { buildOccupancySnapshot, snapshotBucket } from '../utils/analytics';
+
+// ---- Hook: Record an occupancy snapshot every bucket ----
+// Mounted once in the main navigator.
+export function useOccupancyRecorder() {
+  const { spots, loading } = useParkingSpots();
+  const { connected } = useConnection();
+  const now = useNow();
+  const recorded = useRef(null);
+
+  useEffect(() => {
+    // Offline, spots are stale or come from the device cache
+    if (loading || !connected) return;
+    const bucket = snapshotBucket(now);
+    if (recorded.current === bucket) return;
+
+    const snapshot = buildOccupancySnapshot(spots);
+    if (snapshot.total === 0) return;
+    recorded.current = bucket;
+
+    recordOccupancySnapshot(bucket, snapshot).catch((e) => {
+      console.log('Could not record occupancy:', e.message);
+    });
+  }, [spots, loading, now, connected]);
+}
+
+async function recordOccupancySnapshot(bucket, snapshot) {
+  const snapshotRef = ref(database, DB_PATHS.OCCUPANCY_SNAPSHOT(bucket));
+  return runTransaction(snapshotRef, (current) => (
+    current === null ? { time: bucket, ...snapshot } : undefined
+  ));
+}
+
+// ---- Hook: Occupancy snapshots taken since `since` (ms), oldest first ----
+// Keys are bucket start times, all 13 digits, so key order is time order.
+export function useOccupancyHistory(since) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    const historyQuery = query(
+      ref(database, DB_PATHS.OCCUPANCY_HISTORY),
+      orderByKey(),
+      startAt(String(since))
+    );
+
+    const unsubscribe = onValue(
+      historyQuery,
+      (snap) => {
+        const entries = [];
+        snap.forEach((child) => {
+          entries.push({ time: Number(child.key), ...child.val() });
+        });
+        setSnapshots(entries);
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+
+    return () => unsubscribe();
+  }, [since]);
+
+  return { snapshots, loading };
+}
+
+// ---- Hook: Parking sessions that ended since `since` (ms) ----
+// `until` (ms, exclusive) optionally bounds the range.
+// Needs ".indexOn": ["exit_time"] on parking_sessions.
+export function useSessionHistory(since, until = null) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    const constraints = [orderByChild('exit_time'), startAt(since)];
+    if (until !== null) constraints.push(endBefore(until));
+    const sessionsQuery = query(ref(database, DB_PATHS.SESSIONS), ...constraints);
+
+    const unsubscribe = onValue(
+      sessionsQuery,
+      (snap) => {
+        const entries = [];
+        snap.forEach((child) => {
+          entries.push({ id: child.key, ...child.val() });
+        });
+        setSessions(entries);
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+
+    return () => unsubscribe();
+  }, [since, until]);
+
+  return { sessions, loading };
+}
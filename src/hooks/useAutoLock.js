@@ -0,0 +1,204 @@
+// ============================================================
+// useAutoLock.js — Inactivity Auto-Lock, PIN and Biometric Unlock
+// ============================================================
+// Gate tablets are shared, so the app locks itself after
+// settings/auto_lock/timeout_minutes without a touch, or when it
+// comes back from the background after that long. Locking keeps
+// the Firebase session and the navigation state; it only covers
+// the app until the operator unlocks.
+//
+// Unlocking takes the operator's PIN or device biometrics, both
+// set up per operator on this device from Settings, or the account
+// password. The PIN is stored salted and hashed in the device's
+// secure store; it never leaves the device.
+// ============================================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { AppState } from 'react-native';
+import { ref, onValue, update, serverTimestamp } from 'firebase/database';
+import * as SecureStore from 'expo-secure-store';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as Crypto from 'expo-crypto';
+import { database } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { userKey } from '../config/roles';
+import { lockError } from '../utils/authErrors';
+import { MINUTE_MS } from '../utils/time';
+
+export const AUTO_LOCK_DEFAULTS = { timeout_minutes: 5 };
+// Choices offered in Settings; 0 = never lock
+export const AUTO_LOCK_OPTIONS = [0, 2, 5, 10, 15, 30];
+// Wrong PINs allowed before the PIN stops working until a password unlock
+export const MAX_PIN_ATTEMPTS = 5;
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// Last touch anywhere in the app, including inside Modals (AppModal.js)
+let lastActivityAt = Date.now();
+
+// ---- Utility: Note a touch ----
+export function recordActivity() {
+  lastActivityAt = Date.now();
+}
+
+// ---- Utility: onStartShouldSetResponderCapture handler ----
+// Capture phase sees every touch without taking it from the views below.
+export function captureActivity() {
+  recordActivity();
+  return false;
+}
+
+// ---- Hook: Auto-lock settings (settings/auto_lock) ----
+export function useAutoLockSettings() {
+  const [settings, setSettings] = useState(AUTO_LOCK_DEFAULTS);
+
+  useEffect(() => {
+    const settingsRef = ref(database, DB_PATHS.AUTO_LOCK);
+
+    const unsubscribe = onValue(
+      settingsRef,
+      (snap) => setSettings({ ...AUTO_LOCK_DEFAULTS, ...(snap.val() || {}) }),
+      () => setSettings(AUTO_LOCK_DEFAULTS)
+    );
+
+    return () => unsubscribe();
+  }, []);
+
+  return { settings };
+}
+
+// ---- Hook: Lock after inactivity while `active` (signed in with a role) ----
+// Returns { locked, lock, unlock, recordActivity, timeoutMinutes }.
+// Call recordActivity() on every touch.
+export function useAutoLock(active) {
+  const { settings } = useAutoLockSettings();
+  const [locked, setLocked] = useState(false);
+  const timeoutMinutes = Number(settings.timeout_minutes) || 0;
+  const timeoutMs = timeoutMinutes * MINUTE_MS;
+
+  // A new sign-in starts unlocked
+  useEffect(() => {
+    setLocked(false);
+    recordActivity();
+  }, [active]);
+
+  // Idle in the foreground
+  useEffect(() => {
+    if (!active || locked || !timeoutMs) return undefined;
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivityAt >= timeoutMs) setLocked(true);
+    }, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [active, locked, timeoutMs]);
+
+  // Back from the background (timers do not run there)
+  useEffect(() => {
+    if (!active || !timeoutMs) return undefined;
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active' && Date.now() - lastActivityAt >= timeoutMs) setLocked(true);
+    });
+    return () => subscription.remove();
+  }, [active, timeoutMs]);
+
+  const lock = useCallback(() => setLocked(true), []);
+  const unlock = useCallback(() => {
+    recordActivity();
+    setLocked(false);
+  }, []);
+
+  return { locked, lock, unlock, recordActivity, timeoutMinutes };
+}
+
+// ---- Utility: Save the auto-lock timeout (minutes, 0 = never) ----
+export async function saveAutoLockTimeout(minutes, editorEmail) {
+  return update(ref(database, DB_PATHS.AUTO_LOCK), {
+    timeout_minutes: minutes,
+    updated_by: editorEmail || 'unknown',
+    updated_at: serverTimestamp(),
+  });
+}
+
+// SecureStore keys allow only letters, digits, ".", "-" and "_"
+function storeKey(prefix, email) {
+  return `${prefix}_${userKey(email).replace(/[^\w.-]/g, '_')}`;
+}
+
+async function hashPin(pin, salt) {
+  return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+}
+
+// ---- Utility: Validate a PIN typed in Settings ----
+// Returns a "lock/..." error code, or null when the PINs are acceptable.
+export function validatePin(pin, confirmation) {
+  if (!/^\d{4,8}$/.test(pin)) return 'lock/invalid-pin';
+  if (pin !== confirmation) return 'lock/pin-mismatch';
+  return null;
+}
+
+// ---- Utility: Does this operator have a PIN on this device? ----
+export async function hasPin(email) {
+  return !!(await SecureStore.getItemAsync(storeKey('unlock_pin', email)));
+}
+
+// ---- Utility: Set or replace this operator's PIN ----
+export async function savePin(email, pin) {
+  if (!/^\d{4,8}$/.test(pin)) throw lockError('lock/invalid-pin');
+  const salt = Crypto.randomUUID();
+  const hash = await hashPin(pin, salt);
+  await SecureStore.setItemAsync(storeKey('unlock_pin', email), JSON.stringify({ salt, hash }));
+}
+
+// ---- Utility: Remove this operator's PIN ----
+export async function clearPin(email) {
+  await SecureStore.deleteItemAsync(storeKey('unlock_pin', email));
+}
+
+// ---- Utility: Check a PIN; throws lock/wrong-pin when it does not match ----
+export async function verifyPin(email, pin) {
+  const stored = await SecureStore.getItemAsync(storeKey('unlock_pin', email));
+  if (!stored) throw lockError('lock/wrong-pin');
+  const { salt, hash } = JSON.parse(stored);
+  if ((await hashPin(pin, salt)) !== hash) throw lockError('lock/wrong-pin');
+}
+
+// ---- Utility: What biometrics this device offers ----
+// Returns { available, label } — label names the kind of biometric to show on buttons.
+export async function getBiometricSupport() {
+  const [hardware, enrolled, types] = await Promise.all([
+    LocalAuthentication.hasHardwareAsync(),
+    LocalAuthentication.isEnrolledAsync(),
+    LocalAuthentication.supportedAuthenticationTypesAsync(),
+  ]);
+  const face = types.includes(LocalAuthentication.AuthenticationType.FACIAL_RECOGNITION);
+  return { available: hardware && enrolled, label: face ? 'Face Unlock' : 'Fingerprint' };
+}
+
+// ---- Utility: Biometric unlock switched on for this operator? ----
+export async function isBiometricEnabled(email) {
+  return (await SecureStore.getItemAsync(storeKey('unlock_biometric', email))) === 'on';
+}
+
+export async function setBiometricEnabled(email, enabled) {
+  if (enabled) {
+    // Prove the biometrics work before relying on them
+    await authenticateBiometric('Confirm to turn on biometric unlock');
+    await SecureStore.setItemAsync(storeKey('unlock_biometric', email), 'on');
+  } else {
+    await SecureStore.deleteItemAsync(storeKey('unlock_biometric', email));
+  }
+}
+
+// ---- Utility: Prompt for biometrics; throws a lock/... error on failure ----
+export async function authenticateBiometric(promptMessage = 'Unlock Smart Parking') {
+  const { available } = await getBiometricSupport();
+  if (!available) throw lockError('lock/biometric-unavailable');
+
+  const result = await LocalAuthentication.authenticateAsync({
+    promptMessage,
+    cancelLabel: 'Cancel',
+    disableDeviceFallback: true,
+  });
+  if (result.success) return;
+  if (result.error === 'lockout') throw lockError('lock/biometric-lockout');
+  throw lockError('lock/biometric-failed');
+}
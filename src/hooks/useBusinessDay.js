@@ -0,0 +1,189 @@
+// ============================================================
+// useBusinessDay.js — Business Day Counters and Rollover
+// ============================================================
+// Vehicle counts are kept per business day. A business day starts
+// at settings/business_day/rollover_time ("HH:MM", default
+// midnight), so late-night traffic can count toward the day before.
+//
+// Every check-in / check-out increments both the live counters
+// (checkin_count, checkout_count) and daily_counts/<day>. The
+// dated node is the archive and is what the Dashboard shows. At
+// rollover the app takes the finished days' totals back off the
+// live counters, so they restart from zero without losing a
+// count made while the rollover was running. The subtraction and
+// the day's rolled_over_at stamp are one multi-path update, so a
+// day is either closed completely or left for the next run, on
+// any device, to retry.
+// ============================================================
+
+import { useState, useEffect } from 'react';
+import {
+  ref, onValue, get, update, increment, serverTimestamp,
+  query, orderByChild, equalTo,
+} from 'firebase/database';
+import { database, auth } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { useNow } from './useFirebase';
+import { useOfflineCache } from './useOffline';
+import { businessDayKey, parseClockTime } from '../utils/time';
+
+export const BUSINESS_DAY_DEFAULTS = { rollover_time: '00:00' };
+
+const VEHICLE_TYPES = ['motorcycle', 'car', 'truck'];
+const EMPTY_COUNTS = { motorcycle: 0, car: 0, truck: 0 };
+
+// ---- Hook: Business day settings (settings/business_day) ----
+export function useBusinessDaySettings() {
+  const [settings, setSettings] = useState(BUSINESS_DAY_DEFAULTS);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const settingsRef = ref(database, DB_PATHS.BUSINESS_DAY);
+
+    const unsubscribe = onValue(
+      settingsRef,
+      (snap) => {
+        setSettings({ ...BUSINESS_DAY_DEFAULTS, ...(snap.val() || {}) });
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+
+    return () => unsubscribe();
+  }, []);
+
+  // Check-outs made offline still need the rollover time
+  const cached = useOfflineCache('business_day', settings, !loading);
+  if (loading && cached) return { settings: cached.value, loading: false };
+  return { settings, loading };
+}
+
+// ---- Hook: The current business day, updated at rollover ----
+// Returns { dayKey: "YYYY-MM-DD", rolloverTime: "HH:MM", loading }.
+export function useBusinessDay() {
+  const { settings, loading } = useBusinessDaySettings();
+  const now = useNow();
+  return {
+    dayKey: businessDayKey(now, settings.rollover_time),
+    rolloverTime: settings.rollover_time,
+    loading,
+  };
+}
+
+// ---- Hook: Check-in / check-out counts of one business day (real-time) ----
+export function useDailyCounts(dayKey) {
+  const [counts, setCounts] = useState({ checkIn: EMPTY_COUNTS, checkOut: EMPTY_COUNTS, rolledOverAt: null });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    const dayRef = ref(database, DB_PATHS.DAILY_COUNT(dayKey));
+
+    const unsubscribe = onValue(
+      dayRef,
+      (snap) => {
+        const day = snap.val() || {};
+        setCounts({
+          checkIn: { ...EMPTY_COUNTS, ...(day.checkin || {}) },
+          checkOut: { ...EMPTY_COUNTS, ...(day.checkout || {}) },
+          rolledOverAt: day.rolled_over_at || null,
+        });
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+
+    return () => unsubscribe();
+  }, [dayKey]);
+
+  // Until the live counts arrive, show the copy saved on this device
+  const cached = useOfflineCache(`daily_counts_${dayKey}`, counts, !loading);
+  if (loading && cached) return { ...cached.value, loading: false, syncedAt: cached.synced_at };
+  return { ...counts, loading, syncedAt: null };
+}
+
+// ---- Hook: Roll the live counters over when the business day changes ----
+// Mounted once in the main navigator.
+export function useCountRollover() {
+  const { dayKey, loading } = useBusinessDay();
+
+  useEffect(() => {
+    if (loading) return;
+    rollOverCounts(dayKey, auth.currentUser?.email).catch((e) => {
+      console.log('Could not roll over counters:', e.message);
+    });
+  }, [dayKey, loading]);
+}
+
+// ---- Utility: Close every business day before `currentDay` not closed yet ----
+async function rollOverCounts(currentDay, userEmail) {
+  const marker = (await get(ref(database, DB_PATHS.COUNT_ROLLOVER))).val() || {};
+  const updates = {
+    [`${DB_PATHS.COUNT_ROLLOVER}/rolled_over_at`]: serverTimestamp(),
+    [`${DB_PATHS.COUNT_ROLLOVER}/rolled_over_by`]: userEmail || 'unknown',
+  };
+  // A device whose day is behind (e.g. the rollover time was just moved
+  // later) closes nothing and leaves the marker alone
+  if (!marker.business_day || marker.business_day < currentDay) {
+    updates[`${DB_PATHS.COUNT_ROLLOVER}/business_day`] = currentDay;
+  }
+
+  if (!marker.business_day) {
+    // First rollover ever: the live counters still hold lifetime totals,
+    // so restart them from what has been counted for the current day.
+    // Earlier days are not in the counters and are never subtracted.
+    const snap = await get(ref(database, DB_PATHS.DAILY_COUNT(currentDay)));
+    const day = snap.val() || {};
+    updates[`${DB_PATHS.COUNT_ROLLOVER}/first_day`] = currentDay;
+    updates[DB_PATHS.CHECKIN_COUNT] = { ...EMPTY_COUNTS, ...(day.checkin || {}) };
+    updates[DB_PATHS.CHECKOUT_COUNT] = { ...EMPTY_COUNTS, ...(day.checkout || {}) };
+    return update(ref(database), updates);
+  }
+
+  // Every finished day without a rolled_over_at stamp — more than one if
+  // no app was open at the previous rollover times, or a rollover failed
+  const firstDay = marker.first_day || marker.business_day;
+  const openQuery = query(ref(database, DB_PATHS.DAILY_COUNTS), orderByChild('rolled_over_at'), equalTo(null));
+  const snap = await get(openQuery);
+  const totals = { checkin: { ...EMPTY_COUNTS }, checkout: { ...EMPTY_COUNTS } };
+  let closing = 0;
+  snap.forEach((child) => {
+    if (child.key < firstDay || child.key >= currentDay) return;
+    const day = child.val() || {};
+    ['checkin', 'checkout'].forEach((kind) => {
+      VEHICLE_TYPES.forEach((type) => {
+        totals[kind][type] += Number(day[kind]?.[type]) || 0;
+      });
+    });
+    updates[`${DB_PATHS.DAILY_COUNT(child.key)}/rolled_over_at`] = serverTimestamp();
+    closing += 1;
+  });
+  if (closing === 0) return;
+
+  VEHICLE_TYPES.forEach((type) => {
+    if (totals.checkin[type]) updates[`${DB_PATHS.CHECKIN_COUNT}/${type}`] = increment(-totals.checkin[type]);
+    if (totals.checkout[type]) updates[`${DB_PATHS.CHECKOUT_COUNT}/${type}`] = increment(-totals.checkout[type]);
+  });
+
+  return update(ref(database), updates);
+}
+
+// ---- Utility: Validate a rollover time typed by an admin ----
+// Returns an error message, or null when the value is acceptable.
+export function validateRolloverTime(text) {
+  return parseClockTime(text) === null ? 'Use 24-hour time, e.g. 06:00.' : null;
+}
+
+// ---- Utility: Save the business day rollover time ----
+export async function saveRolloverTime(text, editorEmail) {
+  const minutes = parseClockTime(text);
+  if (minutes === null) throw new Error(validateRolloverTime(text));
+
+  const hh = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mm = String(minutes % 60).padStart(2, '0');
+  return update(ref(database, DB_PATHS.BUSINESS_DAY), {
+    rollover_time: `${hh}:${mm}`,
+    updated_by: editorEmail || 'unknown',
+    updated_at: serverTimestamp(),
+  });
+}
@@ -0,0 +1,166 @@
+// ============================================================
+// useCameraHealth.js — Camera Health from Heartbeat Staleness
+// ============================================================
+// cameras/<id>/status is set to "online" by the firmware and never
+// reset when a camera dies, so health is derived instead from how
+// old the server-timestamped last_heartbeat is, compared against
+// settings/camera_health thresholds:
+//   online   → heartbeat younger than degraded_after_seconds
+//   degraded → older than that, but younger than offline_after_seconds
+//   offline  → older still, or no server-timestamped heartbeat at all
+// The watcher also pushes one alerts/camera_offline entry per outage.
+// ============================================================
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { ref, onValue, push, runTransaction } from 'firebase/database';
+import { database } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { useCameras, useNow } from './useFirebase';
+import { useConnection } from './useOffline';
+
+// Firmware heartbeats every 30 s: degraded after two missed beats,
+// offline after six.
+export const CAMERA_HEALTH_DEFAULTS = {
+  degraded_after_seconds: 75,
+  offline_after_seconds: 180,
+};
+
+export const CAMERA_HEALTH_STATES = ['online', 'degraded', 'offline'];
+
+const HEALTH_TICK_MS = 5000;
+
+// ---- Hook: Staleness thresholds (settings/camera_health) ----
+export function useCameraHealthSettings() {
+  const [settings, setSettings] = useState(CAMERA_HEALTH_DEFAULTS);
+
+  useEffect(() => {
+    const settingsRef = ref(database, DB_PATHS.CAMERA_HEALTH);
+
+    const unsubscribe = onValue(settingsRef, (snap) => {
+      setSettings({ ...CAMERA_HEALTH_DEFAULTS, ...(snap.val() || {}) });
+    });
+
+    return () => unsubscribe();
+  }, []);
+
+  return settings;
+}
+
+// ---- Hook: Difference between the server clock and this device ----
+// Heartbeats are server timestamps, so staleness must be measured
+// against server time rather than a possibly-skewed phone clock.
+// The offset is measured once for the app in useOffline.js.
+export function useServerTimeOffset() {
+  return useConnection().serverTimeOffset;
+}
+
+// ---- Utility: Server time (ms) of a camera's last heartbeat ----
+// Older firmware wrote millis()/1000 here; that is uptime, not a
+// wall-clock time, so it is ignored.
+export function heartbeatTime(cam) {
+  const value = Number(cam && cam.last_heartbeat);
+  return value > 1e12 ? value : null;
+}
+
+// ---- Utility: Health of one camera at `serverNow` ----
+export function cameraHealth(cam, settings = CAMERA_HEALTH_DEFAULTS, serverNow = Date.now()) {
+  const lastSeen = heartbeatTime(cam);
+  if (lastSeen === null) return 'offline';
+
+  const ageSeconds = (serverNow - lastSeen) / 1000;
+  if (ageSeconds <= settings.degraded_after_seconds) return 'online';
+  if (ageSeconds <= settings.offline_after_seconds) return 'degraded';
+  return 'offline';
+}
+
+// ---- Hook: Cameras annotated with derived health ----
+// Each camera gains `health`, `last_seen` (server ms or null) and
+// `stale_seconds`. `counts` tallies cameras per health state.
+export function useCameraHealth() {
+  const { cameras, loading, syncedAt } = useCameras();
+  const settings = useCameraHealthSettings();
+  const offset = useServerTimeOffset();
+  const now = useNow(HEALTH_TICK_MS);
+
+  return useMemo(() => {
+    const serverNow = now + offset;
+    const annotated = {};
+    const counts = { online: 0, degraded: 0, offline: 0, total: 0 };
+
+    Object.entries(cameras).forEach(([camId, cam]) => {
+      if (!cam || typeof cam !== 'object') return;
+      const lastSeen = heartbeatTime(cam);
+      const health = cameraHealth(cam, settings, serverNow);
+      annotated[camId] = {
+        ...cam,
+        health,
+        last_seen: lastSeen,
+        stale_seconds: lastSeen === null ? null : Math.max(0, Math.round((serverNow - lastSeen) / 1000)),
+      };
+      counts[health] += 1;
+      counts.total += 1;
+    });
+
+    return { cameras: annotated, counts, settings, loading, syncedAt };
+  }, [cameras, settings, offset, now, loading, syncedAt]);
+}
+
+// ---- Hook: Push an alert when a camera goes offline ----
+// Mounted once for the signed-in app. A transaction on
+// cameras/<id>/offline_alerted_at records which heartbeat was already
+// reported, so several open apps raise only one alert per outage.
+export function useCameraOfflineWatcher() {
+  const { cameras, loading } = useCameraHealth();
+  const { connected } = useConnection();
+  const reported = useRef({});
+
+  useEffect(() => {
+    // Offline, every heartbeat goes stale on this device only
+    if (loading || !connected) return;
+
+    Object.entries(cameras).forEach(([camId, cam]) => {
+      if (cam.health !== 'offline') {
+        delete reported.current[camId];
+        return;
+      }
+      // A camera that has never sent a server-timestamped heartbeat is
+      // not an outage we can date, so it is not reported.
+      if (cam.last_seen === null || reported.current[camId] === cam.last_seen) return;
+      reported.current[camId] = cam.last_seen;
+
+      reportCameraOffline(camId, cam).catch((e) => {
+        console.log('Could not report offline camera:', e.message);
+      });
+    });
+  }, [cameras, loading, connected]);
+}
+
+async function reportCameraOffline(camId, cam) {
+  const markerRef = ref(database, `${DB_PATHS.CAMERA(camId)}/offline_alerted_at`);
+  const result = await runTransaction(markerRef, (current) => (
+    current === cam.last_seen ? undefined : cam.last_seen
+  ));
+  if (!result.committed) return;
+
+  const alert = JSON.stringify({
+    message: `${camId.replace(/_/g, ' ')} camera offline — last heartbeat ${new Date(cam.last_seen).toLocaleString()}`,
+    camera: camId,
+    last_seen: cam.last_seen,
+  });
+  await push(ref(database, DB_PATHS.ALERT_OFFLINE), alert);
+}
+
+// ---- Utility: Camera uptime summary ----
+// uptime_seconds is each camera's seconds since boot, so the smallest
+// value among online cameras is how long every camera has been up.
+export function computeCameraUptime(cameras) {
+  const list = Object.values(cameras || {});
+  const online = list.filter((cam) => cam && cam.health === 'online');
+  const uptimes = online.map((cam) => Number(cam.uptime_seconds) || 0).filter((s) => s > 0);
+
+  return {
+    online: online.length,
+    total: list.length,
+    uptimeSeconds: uptimes.length > 0 ? Math.min(...uptimes) : 0,
+  };
+}
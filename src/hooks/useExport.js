@@ -0,0 +1,131 @@
+// ============================================================
+// useExport.js — Export Records as CSV / PDF to the Share Sheet
+// ============================================================
+// Reads access logs, parking sessions and alerts for a date range
+// once (no live listener), then writes a CSV per dataset or one
+// PDF report to the cache directory and opens the device share
+// sheet with it. Builders live in utils/reports.js.
+// ============================================================
+
+import { useState } from 'react';
+import { ref, get, query, orderByKey, orderByChild, startAt, endBefore } from 'firebase/database';
+import * as FileSystem from 'expo-file-system';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { database } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { ALERT_CATEGORIES, normalizeAlerts, parseAccessLog } from './useFirebase';
+import { pushIdPrefix } from '../utils/pushId';
+import { toCsv, csvRecords, buildReportHtml, exportFileName, EXPORT_DATASETS } from '../utils/reports';
+
+const inRange = (time, start, end) => time !== null && time >= start && time < end;
+
+// ---- Utility: Fetch the records for the chosen datasets ----
+// `start` / `end` are ms, end exclusive. Returns { <dataset>: records }
+// for each requested key; `revenue` holds the sessions it is built from.
+export async function fetchExportData(datasets, start, end) {
+  const data = {};
+
+  if (datasets.includes('access_logs')) {
+    const logsQuery = query(
+      ref(database, DB_PATHS.LOGS),
+      orderByKey(),
+      startAt(pushIdPrefix(start)),
+      endBefore(pushIdPrefix(end))
+    );
+    const snap = await get(logsQuery);
+    const logs = [];
+    snap.forEach((child) => {
+      const entry = parseAccessLog(child.key, child.val());
+      if (entry && inRange(entry.time, start, end)) logs.push(entry);
+    });
+    data.access_logs = logs;
+  }
+
+  if (datasets.includes('sessions') || datasets.includes('revenue')) {
+    const sessionsQuery = query(
+      ref(database, DB_PATHS.SESSIONS),
+      orderByChild('exit_time'),
+      startAt(start),
+      endBefore(end)
+    );
+    const snap = await get(sessionsQuery);
+    const sessions = [];
+    snap.forEach((child) => {
+      sessions.push({ id: child.key, ...child.val() });
+    });
+    if (datasets.includes('sessions')) data.sessions = sessions;
+    if (datasets.includes('revenue')) data.revenue = sessions;
+  }
+
+  if (datasets.includes('alerts')) {
+    const [alertSnap, stateSnap] = await Promise.all([
+      get(ref(database, DB_PATHS.ALERTS)),
+      get(ref(database, DB_PATHS.ALERT_STATE)),
+    ]);
+    const raw = alertSnap.val() || {};
+    const states = stateSnap.val() || {};
+    data.alerts = ALERT_CATEGORIES
+      .flatMap((category) => normalizeAlerts(raw[category], category, states[category]))
+      .filter((alert) => inRange(alert.time, start, end))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  return data;
+}
+
+async function shareFile(uri, mimeType, UTI, dialogTitle) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not supported on this device.');
+  }
+  await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle });
+}
+
+// ---- Utility: Write one dataset as CSV and share it ----
+export async function shareCsv(datasetKey, start, end) {
+  const data = await fetchExportData([datasetKey], start, end);
+  const records = csvRecords(datasetKey, data, start, end);
+  const uri = FileSystem.cacheDirectory + exportFileName(datasetKey, start, end, 'csv');
+  await FileSystem.writeAsStringAsync(uri, toCsv(datasetKey, records));
+
+  const label = EXPORT_DATASETS.find((d) => d.key === datasetKey).label;
+  await shareFile(uri, 'text/csv', 'public.comma-separated-values-text', `${label} (CSV)`);
+  return records.length;
+}
+
+// ---- Utility: Print the chosen datasets to one PDF and share it ----
+export async function sharePdf(datasets, start, end, generatedBy) {
+  const data = await fetchExportData(datasets, start, end);
+  const { uri: printed } = await Print.printToFileAsync({
+    html: buildReportHtml(data, { start, end, generatedBy }),
+  });
+
+  // printToFileAsync picks a random name; give the file a readable one
+  const uri = FileSystem.cacheDirectory + exportFileName('report', start, end, 'pdf');
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+  await FileSystem.moveAsync({ from: printed, to: uri });
+
+  await shareFile(uri, 'application/pdf', 'com.adobe.pdf', 'Smart Parking Report (PDF)');
+}
+
+// ---- Hook: Run one export at a time, tracking which is in progress ----
+// `busy` is the running job's key ('pdf' or a dataset key) or null.
+export function useExport() {
+  const [busy, setBusy] = useState(null);
+
+  const run = async (jobKey, job) => {
+    if (busy) return undefined;
+    setBusy(jobKey);
+    try {
+      return await job();
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return {
+    busy,
+    exportCsv: (datasetKey, start, end) => run(datasetKey, () => shareCsv(datasetKey, start, end)),
+    exportPdf: (datasets, start, end, generatedBy) => run('pdf', () => sharePdf(datasets, start, end, generatedBy)),
+  };
+}
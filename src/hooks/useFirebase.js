@@ -3,12 +3,25 @@
 // ============================================================
 // These hooks subscribe to Firebase paths and return live data.
 // Components using these hooks auto-update when data changes.
+// Slots, cameras and alerts fall back to the copy cached on this
+// device (useOffline.js) until the live value arrives; `syncedAt`
+// is then the time of that copy, otherwise null. Admin writes go
+// through writeOrQueue() so they are queued while offline and
+// resolve to { queued }.
 // ============================================================
 
-import { useState, useEffect } from 'react';
-import { ref, onValue, off, set, update, get } from 'firebase/database';
+import { useState, useEffect, useMemo } from 'react';
+import {
+  ref, onValue, push,
+  query, orderByKey, orderByChild, equalTo, limitToLast, startAt, endAt,
+  serverTimestamp, increment,
+} from 'firebase/database';
 import { database } from '../config/firebase';
 import { DB_PATHS } from '../config/dbPaths';
+import { pushIdToTime, pushIdPrefix } from '../utils/pushId';
+import { startOfDay, msUntilNextDay, businessDayKey, MINUTE_MS } from '../utils/time';
+import { buildSchedule } from '../utils/pricing';
+import { useOfflineCache, writeOrQueue, canWriteLive, sendGuardedWrite } from './useOffline';
 
 // ---- Hook: All parking spots (real-time) ----
 export function useParkingSpots() {
@@ -32,38 +45,34 @@ export function useParkingSpots() {
     );
 
     // Cleanup listener when component unmounts
-    return () => off(spotsRef);
+    return () => unsubscribe();
   }, []);
 
-  return { spots, loading, error };
+  const cached = useOfflineCache('parking_spots', spots, !loading && !error);
+  if (loading && cached) {
+    return { spots: cached.value || {}, loading: false, error, syncedAt: cached.synced_at };
+  }
+  return { spots, loading, error, syncedAt: null };
 }
 
-// ---- Hook: Check-in and check-out counts (real-time) ----
-export function useVehicleCounts() {
-  const [checkIn, setCheckIn] = useState({ motorcycle: 0, car: 0, truck: 0 });
-  const [checkOut, setCheckOut] = useState({ motorcycle: 0, car: 0, truck: 0 });
+// ---- Hook: A single parking spot (real-time) ----
+// `slotId` is the numeric slot index, as used by DB_PATHS.SLOT().
+export function useSlot(slotId) {
+  const [slot, setSlot] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const inRef = ref(database, DB_PATHS.CHECKIN_COUNT);
-    const outRef = ref(database, DB_PATHS.CHECKOUT_COUNT);
+    const slotRef = ref(database, DB_PATHS.SLOT(slotId));
 
-    const unsubIn = onValue(inRef, (snap) => {
-      setCheckIn(snap.val() || { motorcycle: 0, car: 0, truck: 0 });
+    const unsubscribe = onValue(slotRef, (snap) => {
+      setSlot(snap.val());
       setLoading(false);
     });
 
-    const unsubOut = onValue(outRef, (snap) => {
-      setCheckOut(snap.val() || { motorcycle: 0, car: 0, truck: 0 });
-    });
-
-    return () => {
-      off(inRef);
-      off(outRef);
-    };
-  }, []);
+    return () => unsubscribe();
+  }, [slotId]);
 
-  return { checkIn, checkOut, loading };
+  return { slot, loading };
 }
 
 // ---- Hook: Camera statuses and stream URLs (real-time) ----
@@ -79,53 +88,580 @@ export function useCameras() {
       setLoading(false);
     });
 
-    return () => off(camRef);
+    return () => unsubscribe();
   }, []);
 
-  return { cameras, loading };
+  const cached = useOfflineCache('cameras', cameras, !loading);
+  if (loading && cached) {
+    return { cameras: cached.value || {}, loading: false, syncedAt: cached.synced_at };
+  }
+  return { cameras, loading, syncedAt: null };
 }
 
 // ---- Hook: Alerts (real-time) ----
+// Returns normalized alert records per category, newest first.
+// Lifecycle state (acknowledged / resolved / assignee) lives in
+// alert_state/<category>/<id> because the firmware pushes alerts as
+// plain strings, which cannot carry extra fields.
+export const ALERT_CATEGORIES = ['full_capacity', 'camera_offline', 'unauthorized'];
+
 export function useAlerts() {
-  const [alerts, setAlerts] = useState({ full_capacity: [], camera_offline: [], unauthorized: [] });
+  const [raw, setRaw] = useState({});
+  const [states, setStates] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [statesLoaded, setStatesLoaded] = useState(false);
 
   useEffect(() => {
     const alertRef = ref(database, DB_PATHS.ALERTS);
+    const stateRef = ref(database, DB_PATHS.ALERT_STATE);
+
+    const unsubAlerts = onValue(alertRef, (snap) => {
+      setRaw(snap.val() || {});
+      setLoading(false);
+    });
+
+    const unsubStates = onValue(stateRef, (snap) => {
+      setStates(snap.val() || {});
+      setStatesLoaded(true);
+    });
+
+    return () => {
+      unsubAlerts();
+      unsubStates();
+    };
+  }, []);
+
+  const cachedRaw = useOfflineCache('alerts', raw, !loading);
+  const cachedStates = useOfflineCache('alert_state', states, statesLoaded);
+  const fromCache = loading && !!cachedRaw;
+  const shownRaw = fromCache ? cachedRaw.value || {} : raw;
+  const shownStates = !statesLoaded && cachedStates ? cachedStates.value || {} : states;
+
+  const alerts = useMemo(() => {
+    const result = {};
+    ALERT_CATEGORIES.forEach((category) => {
+      result[category] = normalizeAlerts(shownRaw[category], category, shownStates[category]);
+    });
+    return result;
+  }, [shownRaw, shownStates]);
+
+  return { alerts, loading: loading && !fromCache, syncedAt: fromCache ? cachedRaw.synced_at : null };
+}
+
+// ---- Utility: Normalize one alert category into records ----
+// Accepts both shapes seen in the database: push-ID keyed objects
+// (Firebase.pushString from the firmware) and plain arrays (imported
+// JSON). Values may be strings or objects with a `message` field.
+export function normalizeAlerts(node, category, categoryStates = {}) {
+  if (!node || typeof node !== 'object') return [];
+
+  const records = Object.entries(node)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => {
+      const data = typeof value === 'object' ? value : parseAlertString(value);
+      const state = (categoryStates && categoryStates[key]) || {};
+      const ownTime = Number(data.timestamp);
+      return {
+        ...data,
+        id: key,
+        category,
+        message: data.message || '',
+        time: pushIdToTime(key) ?? (ownTime > 1e12 ? ownTime : null),
+        acknowledged: !!state.acknowledged,
+        acknowledged_by: state.acknowledged_by || '',
+        resolved: !!state.resolved,
+        resolved_by: state.resolved_by || '',
+        resolved_at: state.resolved_at || null,
+        assignee: state.assignee || '',
+        escalated: !!state.escalated,
+        escalated_by: state.escalated_by || '',
+      };
+    });
+
+  // Newest first; untimed (array) entries keep their stored order, last
+  return records.sort((a, b) => {
+    if (a.time !== null && b.time !== null) return b.time - a.time;
+    if (a.time !== null) return -1;
+    if (b.time !== null) return 1;
+    return Number(b.id) - Number(a.id);
+  });
+}
+
+// ---- Utility: Alert strings may be plain text or a JSON payload ----
+// Unauthorized-entry alerts carry { message, plate, camera, snapshot_url }.
+function parseAlertString(value) {
+  const text = String(value);
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // Fall through to plain text
+    }
+  }
+  return { message: text };
+}
+
+// ---- Utility: Unresolved alerts only ----
+export function activeAlerts(records) {
+  return (records || []).filter((alert) => !alert.resolved);
+}
+
+// ---- Utility: Turn { field: value } under `path` into a multi-path update ----
+function atPath(path, fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, value]) => [`${path}/${field}`, value]));
+}
+
+// ---- Utility: Alert lifecycle actions ----
+export async function acknowledgeAlert(category, alertId, userEmail) {
+  return writeOrQueue(atPath(DB_PATHS.ALERT_STATE_ENTRY(category, alertId), {
+    acknowledged: true,
+    acknowledged_by: userEmail || 'unknown',
+    acknowledged_at: serverTimestamp(),
+  }), `Acknowledge ${category} alert`);
+}
+
+export async function assignAlert(category, alertId, assigneeEmail) {
+  return writeOrQueue(atPath(DB_PATHS.ALERT_STATE_ENTRY(category, alertId), {
+    assignee: assigneeEmail || '',
+  }), `Assign ${category} alert`);
+}
+
+export async function escalateAlert(category, alertId, userEmail) {
+  return writeOrQueue(atPath(DB_PATHS.ALERT_STATE_ENTRY(category, alertId), {
+    acknowledged: true,
+    escalated: true,
+    escalated_by: userEmail || 'unknown',
+    escalated_at: serverTimestamp(),
+  }), `Escalate ${category} alert`);
+}
+
+export async function resolveAlert(category, alertId, userEmail) {
+  return writeOrQueue(atPath(DB_PATHS.ALERT_STATE_ENTRY(category, alertId), {
+    acknowledged: true,
+    resolved: true,
+    resolved_by: userEmail || 'unknown',
+    resolved_at: serverTimestamp(),
+  }), `Resolve ${category} alert`);
+}
+
+// ---- Hook: Access logs (real-time, newest first, paged) ----
+// The entrance camera pushes one JSON string per event to logs/access.
+// `since` / `until` are ms timestamps (until is exclusive) and are
+// applied server-side through the push-ID keys. Call loadMore() to
+// extend the window by another page of older entries.
+export function useAccessLogs({ pageSize = 50, since = null, until = null } = {}) {
+  const [logs, setLogs] = useState([]);
+  const [limit, setLimit] = useState(pageSize);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Start again from the first page whenever the window changes
+  useEffect(() => {
+    setLimit(pageSize);
+  }, [pageSize, since, until]);
+
+  useEffect(() => {
+    const constraints = [orderByKey()];
+    if (since) constraints.push(startAt(pushIdPrefix(since)));
+    if (until) constraints.push(endAt(pushIdPrefix(until)));
+    // Fetch one extra entry so we know whether an older page exists
+    constraints.push(limitToLast(limit + 1));
+
+    const logsQuery = query(ref(database, DB_PATHS.LOGS), ...constraints);
+    setLoading(true);
+
+    const unsubscribe = onValue(
+      logsQuery,
+      (snap) => {
+        const entries = [];
+        snap.forEach((child) => {
+          const entry = parseAccessLog(child.key, child.val());
+          if (entry) entries.push(entry);
+        });
+        setHasMore(entries.length > limit);
+        setLogs(entries.slice(-limit).reverse());
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [limit, since, until]);
+
+  const loadMore = () => {
+    if (hasMore && !loading) setLimit((current) => current + pageSize);
+  };
+
+  return { logs, loading, error, hasMore, loadMore };
+}
+
+// ---- Hook: Start of the current local day (ms), updated at midnight ----
+export function useStartOfToday() {
+  const [today, setToday] = useState(startOfDay());
+
+  useEffect(() => {
+    const timer = setTimeout(() => setToday(startOfDay()), msUntilNextDay() + 1000);
+    return () => clearTimeout(timer);
+  }, [today]);
+
+  return today;
+}
+
+// ---- Hook: Authorized / denied entries for the current local day ----
+// Authorized = check-ins pushed to logs/access today.
+// Denied = entries pushed to alerts/unauthorized today.
+export function useTodayAccessCounts() {
+  const today = useStartOfToday();
+  const [authorized, setAuthorized] = useState(0);
+  const [denied, setDenied] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const sinceKey = pushIdPrefix(today);
+    const logsQuery = query(ref(database, DB_PATHS.LOGS), orderByKey(), startAt(sinceKey));
+    const deniedQuery = query(ref(database, DB_PATHS.ALERT_UNAUTHORIZED), orderByKey(), startAt(sinceKey));
+
+    const unsubLogs = onValue(logsQuery, (snap) => {
+      let count = 0;
+      snap.forEach((child) => {
+        const entry = parseAccessLog(child.key, child.val());
+        if (entry && entry.action === 'CHECK_IN') count += 1;
+      });
+      setAuthorized(count);
+      setLoading(false);
+    });
+
+    const unsubDenied = onValue(deniedQuery, (snap) => {
+      setDenied(snap.size);
+    });
 
-    const unsubscribe = onValue(alertRef, (snap) => {
-      setAlerts(snap.val() || { full_capacity: [], camera_offline: [], unauthorized: [] });
+    return () => {
+      unsubLogs();
+      unsubDenied();
+    };
+  }, [today]);
+
+  return { authorized, denied, loading };
+}
+
+// ---- Hook: Guard roster from settings (real-time) ----
+export function useGuardRoster() {
+  const [roster, setRoster] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const rosterRef = ref(database, DB_PATHS.GUARD_ROSTER);
+
+    const unsubscribe = onValue(rosterRef, (snap) => {
+      setRoster(snap.val() || {});
+      setLoading(false);
     });
 
-    return () => off(alertRef);
+    return () => unsubscribe();
   }, []);
 
-  return { alerts };
+  return { roster, loading };
+}
+
+// ---- Utility: Count guards on duty right now ----
+// An explicit on_duty flag wins; otherwise the guard is on duty when
+// the current local time falls inside shift_start–shift_end ("HH:MM",
+// overnight shifts such as 22:00–06:00 are supported).
+export function computeGuardsOnDuty(roster, now = new Date()) {
+  const minutesNow = now.getHours() * 60 + now.getMinutes();
+  const toMinutes = (hhmm) => {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return Number.isFinite(h) ? h * 60 + (m || 0) : null;
+  };
+
+  return Object.values(roster || {}).filter((guard) => {
+    if (!guard) return false;
+    if (typeof guard.on_duty === 'boolean') return guard.on_duty;
+
+    const start = toMinutes(guard.shift_start);
+    const end = toMinutes(guard.shift_end);
+    if (start === null || end === null) return false;
+    return start <= end
+      ? minutesNow >= start && minutesNow < end
+      : minutesNow >= start || minutesNow < end;
+  }).length;
+}
+
+// ---- Utility: Parse one pushed access-log entry ----
+// Firmware writes a JSON string; an already-decoded object is accepted too.
+// `time` is the wall-clock time from the push ID; `device_time` is the
+// camera's seconds-since-boot and is only useful for ordering on one device.
+export function parseAccessLog(key, raw) {
+  let data = raw;
+  if (typeof raw === 'string') {
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!data || typeof data !== 'object') return null;
+
+  return {
+    id: key,
+    time: pushIdToTime(key),
+    action: data.action || '',
+    vehicle_type: data.type || '',
+    license_plate: data.plate || '',
+    slot: data.slot ?? null,
+    camera_id: data.camera || '',
+    device_time: data.timestamp || 0,
+  };
+}
+
+// ---- Hook: Rate schedules per vehicle type (real-time) ----
+// Combines the flat hourly price in settings/rates with the optional
+// extras in settings/pricing into schedules for utils/pricing.js.
+export function usePricing() {
+  const [rates, setRates] = useState({});
+  const [extras, setExtras] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const ratesRef = ref(database, DB_PATHS.RATES);
+    const pricingRef = ref(database, DB_PATHS.PRICING);
+
+    const unsubRates = onValue(ratesRef, (snap) => {
+      setRates(snap.val() || {});
+      setLoading(false);
+    });
+
+    const unsubPricing = onValue(pricingRef, (snap) => {
+      setExtras(snap.val() || {});
+    });
+
+    return () => {
+      unsubRates();
+      unsubPricing();
+    };
+  }, []);
+
+  const schedules = useMemo(() => {
+    const types = new Set([...Object.keys(rates), ...Object.keys(extras)]);
+    const result = {};
+    types.forEach((type) => {
+      result[type] = buildSchedule(rates[type], extras[type]);
+    });
+    return result;
+  }, [rates, extras]);
+
+  return { schedules, loading };
+}
+
+// ---- Hook: Current time (ms), ticking every `intervalMs` ----
+// Used for running fees and elapsed times that must advance on screen.
+export function useNow(intervalMs = MINUTE_MS) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+}
+
+// ---- Hook: Recent completed sessions for one slot (newest first) ----
+// Requires ".indexOn": ["slot_id"] on parking_sessions in the database rules.
+export function useSlotSessions(slotId, count = 10) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const sessionsQuery = query(
+      ref(database, DB_PATHS.SESSIONS),
+      orderByChild('slot_id'),
+      equalTo(Number(slotId)),
+      limitToLast(count)
+    );
+
+    const unsubscribe = onValue(
+      sessionsQuery,
+      (snap) => {
+        const entries = [];
+        snap.forEach((child) => {
+          entries.push({ id: child.key, ...child.val() });
+        });
+        setSessions(entries.reverse());
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+
+    return () => unsubscribe();
+  }, [slotId, count]);
+
+  return { sessions, loading };
+}
+
+// ---- Hook: Recent parking-rate changes (real-time, newest first) ----
+export function useRateHistory(count = 5) {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    const historyQuery = query(ref(database, DB_PATHS.RATE_HISTORY), orderByKey(), limitToLast(count));
+
+    const unsubscribe = onValue(historyQuery, (snap) => {
+      const entries = [];
+      snap.forEach((child) => {
+        entries.push({ id: child.key, ...child.val() });
+      });
+      setHistory(entries.reverse());
+    });
+
+    return () => unsubscribe();
+  }, [count]);
+
+  return { history };
 }
 
 // ---- Utility: Compute available slot counts from spots data ----
 export function computeAvailableCounts(spots) {
   const counts = { motorcycle: 0, car: 0, truck: 0 };
   Object.values(spots).forEach((slot) => {
-    if (!slot.occupied && slot.type) {
+    if (!slot.occupied && !slot.reserved && !slot.out_of_service && slot.type) {
       counts[slot.type] = (counts[slot.type] || 0) + 1;
     }
   });
   return counts;
 }
 
+// ---- Utility: Group slots by the camera that covers them ----
+// Returns { slot_cam_2: [{ key: 'slot_2', slotId: '2', ...slot }], ... },
+// each list in slot order. Slots without a camera_id are left out.
+export function groupSlotsByCamera(spots) {
+  const groups = {};
+  Object.entries(spots || {}).forEach(([key, slot]) => {
+    if (!slot || !slot.camera_id) return;
+    const slotId = key.replace('slot_', '');
+    (groups[slot.camera_id] = groups[slot.camera_id] || []).push({ ...slot, key, slotId });
+  });
+  Object.values(groups).forEach((list) => list.sort((a, b) => Number(a.slotId) - Number(b.slotId)));
+  return groups;
+}
+
 // ---- Utility: Manually update a slot (for admin overrides) ----
 export async function updateSlot(slotId, data) {
-  const slotRef = ref(database, DB_PATHS.SLOT(slotId));
-  return update(slotRef, data);
+  return writeOrQueue(atPath(DB_PATHS.SLOT(slotId), data), `Update slot ${slotId}`);
 }
 
 // ---- Utility: Clear a slot (admin action) ----
 export async function clearSlot(slotId) {
-  const slotRef = ref(database, DB_PATHS.SLOT(slotId));
-  return update(slotRef, {
+  return writeOrQueue(atPath(DB_PATHS.SLOT(slotId), {
     occupied: false,
     vehicle_type: '',
     license_plate: '',
     entry_time: 0,
+  }), `Clear slot ${slotId}`);
+}
+
+// ---- Utility: Check a vehicle out of a slot (attendant action) ----
+// Clears the slot, increments checkout_count/<type> and the business day's
+// daily count, stores the completed session and logs a CHECK_OUT entry.
+// `slot` is the slot as shown to the attendant, `fee` the result of
+// calculateSlotFee() at the moment of confirmation and `rolloverTime`
+// comes from useBusinessDay(); all three work from the device cache, so
+// an offline check-out is queued rather than refused.
+// The slot is emptied by a transaction that first checks it still holds
+// the same vehicle, so when two operators (or an operator and the exit
+// camera) check out the same vehicle only one records the session and
+// counts. A queued check-out runs the same check when it is replayed.
+export async function checkOutSlot(slotId, { slot, fee, rolloverTime }, operatorEmail) {
+  if (!slot || !slot.occupied) {
+    throw new Error('This slot is no longer occupied.');
+  }
+
+  const slotPath = DB_PATHS.SLOT(slotId);
+  const dayKey = businessDayKey(Date.now(), rolloverTime);
+  const sessionKey = push(ref(database, DB_PATHS.SESSIONS)).key;
+  const logKey = push(ref(database, DB_PATHS.LOGS)).key;
+
+  // A check-out and new check-in in between fail the guard instead of
+  // being overwritten
+  const guard = {
+    path: slotPath,
+    expect: {
+      occupied: true,
+      vehicle_type: slot.vehicle_type ?? null,
+      license_plate: slot.license_plate ?? null,
+      entry_time: slot.entry_time ?? null,
+    },
+    set: { occupied: false, vehicle_type: '', license_plate: '', entry_time: 0 },
+    refusal: 'This vehicle is no longer parked in this slot.',
+  };
+
+  // Counters, session and log, from the slot as the check-out found it
+  const checkOutUpdates = (parked) => {
+    const vehicleType = parked.vehicle_type || parked.type;
+    return {
+      [`${DB_PATHS.CHECKOUT_COUNT}/${vehicleType}`]: increment(1),
+      [`${DB_PATHS.DAILY_COUNT(dayKey)}/checkout/${vehicleType}`]: increment(1),
+      [`${DB_PATHS.SESSIONS}/${sessionKey}`]: {
+        slot_id: Number(slotId),
+        vehicle_type: vehicleType,
+        license_plate: parked.license_plate || '',
+        camera_id: parked.camera_id || '',
+        entry_time: parked.entry_time || 0,
+        exit_time: serverTimestamp(),
+        duration_minutes: fee ? fee.durationMinutes : null,
+        amount: fee ? fee.amount : null,
+        checked_out_by: operatorEmail || 'unknown',
+      },
+      [`${DB_PATHS.LOGS}/${logKey}`]: JSON.stringify({
+        action: 'CHECK_OUT',
+        type: vehicleType,
+        plate: parked.license_plate || '',
+        slot: Number(slotId),
+        camera: 'app',
+        timestamp: Math.floor(Date.now() / 1000),
+      }),
+    };
+  };
+
+  if (await canWriteLive()) {
+    await sendGuardedWrite(guard, checkOutUpdates);
+    return { queued: false };
+  }
+  // Offline: the guard matches the slot on screen, so the same updates
+  // are built from it; replay runs the guard again before sending them
+  return writeOrQueue(checkOutUpdates(slot), `Check out slot ${slotId}`, `checkout:${slotId}`, guard);
+}
+
+// ---- Utility: Validate a parking rate typed by an admin ----
+// Returns an error message, or null when the value is acceptable.
+export function validateRate(value) {
+  const text = String(value).trim();
+  if (text === '') return 'Rate is required.';
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) return 'Use a positive number with at most 2 decimals.';
+  if (Number(text) > 10000) return 'Rate cannot exceed 10,000.';
+  return null;
+}
+
+// ---- Utility: Update parking rates and record an audit entry per change ----
+// `changes` is { <type>: { from, to } }. Rates and history are written in
+// one multi-path update so a rate never changes without its audit record.
+export async function updateRates(changes, editorEmail) {
+  const updates = {};
+  Object.entries(changes).forEach(([type, { from, to }]) => {
+    const historyKey = push(ref(database, DB_PATHS.RATE_HISTORY)).key;
+    updates[`${DB_PATHS.RATES}/${type}`] = to;
+    updates[`${DB_PATHS.RATE_HISTORY}/${historyKey}`] = {
+      vehicle_type: type,
+      old_value: from,
+      new_value: to,
+      editor: editorEmail || 'unknown',
+      timestamp: serverTimestamp(),
+    };
   });
+  return writeOrQueue(updates, 'Change parking rates');
 }
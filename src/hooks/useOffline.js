@@ -0,0 +1,343 @@
+// ============================================================
+// useOffline.js — Connection State, Local Cache and Write Queue
+// ============================================================
+// The gatehouse has patchy coverage. Three things keep the app
+// useful while the Realtime Database is unreachable:
+//
+// - Connection state from .info/connected and the measured server
+//   clock offset, shared by every screen, with the time the app was
+//   last online.
+// - useOfflineCache(): the last server copy of slots, counts,
+//   cameras and alerts, kept as JSON files under
+//   <documentDirectory>/offline/ so a screen opened while offline
+//   shows them instead of a spinner.
+// - writeOrQueue(): admin writes made while offline are stored in
+//   offline/queue.json and replayed in order by useQueuedWriteReplay()
+//   once the connection is back, and only by the operator who made
+//   them. Server timestamps in a queued write are fixed to the moment
+//   it was made, not the moment it is sent. A write with a guard (a
+//   check-out) checks the slot again before it is sent.
+// ============================================================
+
+import { useState, useEffect, useRef } from 'react';
+import { ref, onValue, update, runTransaction } from 'firebase/database';
+import * as FileSystem from 'expo-file-system';
+import { database, auth } from '../config/firebase';
+
+const OFFLINE_DIR = `${FileSystem.documentDirectory}offline/`;
+const QUEUE_FILE = `${OFFLINE_DIR}queue.json`;
+const STATE_FILE = `${OFFLINE_DIR}state.json`;
+
+// Live values change often; save at most this often per cache key
+const CACHE_WRITE_DELAY_MS = 3000;
+
+// .info/connected starts false and blips during hand-overs; wait
+// this long before calling the app offline
+const OFFLINE_GRACE_MS = 3000;
+
+export const QUEUED_MESSAGE = 'You are offline. The change is saved on this device and will be sent when the connection comes back.';
+
+// ---- Files ----
+async function ensureDir() {
+  const info = await FileSystem.getInfoAsync(OFFLINE_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(OFFLINE_DIR, { intermediates: true });
+  }
+}
+
+async function readJson(file) {
+  await ensureDir();
+  const info = await FileSystem.getInfoAsync(file);
+  if (!info.exists) return null;
+  try {
+    return JSON.parse(await FileSystem.readAsStringAsync(file));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function writeJson(file, value) {
+  await ensureDir();
+  await FileSystem.writeAsStringAsync(file, JSON.stringify(value));
+}
+
+const cacheFile = (key) => `${OFFLINE_DIR}cache_${key.replace(/[^\w-]/g, '_')}.json`;
+
+// ---- Shared connection state ----
+// One .info listener for the whole app; hooks subscribe to changes.
+// Never detach these with off(): that would remove every listener on
+// the .info path, this one included.
+let status = {
+  connected: false, offline: false, lastOnlineAt: null,
+  serverTimeOffset: 0, pending: 0, replaying: false,
+};
+let watching = false;
+let offlineTimer = null;
+const listeners = new Set();
+
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  listeners.forEach((listener) => listener(status));
+}
+
+function scheduleOffline() {
+  clearTimeout(offlineTimer);
+  offlineTimer = setTimeout(() => {
+    if (!status.connected) setStatus({ offline: true });
+  }, OFFLINE_GRACE_MS);
+}
+
+function watchConnection() {
+  if (watching) return;
+  watching = true;
+
+  readJson(STATE_FILE).then((saved) => {
+    if (saved && !status.connected && !status.lastOnlineAt) setStatus({ lastOnlineAt: saved.last_online_at || null });
+  });
+  loadQueue().then(() => setStatus({ pending: ownEntries().length }));
+  scheduleOffline();
+
+  onValue(ref(database, '.info/connected'), (snap) => {
+    const connected = snap.val() === true;
+    if (connected === status.connected) return;
+    // While offline this is when the connection dropped, i.e. the last sync
+    const lastOnlineAt = Date.now();
+    if (connected) {
+      clearTimeout(offlineTimer);
+      setStatus({ connected, offline: false, lastOnlineAt });
+    } else {
+      setStatus({ connected, lastOnlineAt });
+      scheduleOffline();
+      writeJson(STATE_FILE, { last_online_at: lastOnlineAt }).catch(() => {});
+    }
+  });
+
+  onValue(ref(database, '.info/serverTimeOffset'), (snap) => {
+    setStatus({ serverTimeOffset: Number(snap.val()) || 0 });
+  });
+}
+
+// ---- Hook: Connection state ----
+// Returns { connected, offline, lastOnlineAt, serverTimeOffset, pending,
+// replaying }. `offline` turns true once disconnected for longer than a
+// brief blip — use it for anything shown to the operator. lastOnlineAt
+// is when the connection last went up or down (ms), serverTimeOffset
+// the server clock minus this device's (ms), pending the number of
+// queued writes.
+export function useConnection() {
+  const [current, setCurrent] = useState(status);
+
+  useEffect(() => {
+    watchConnection();
+    listeners.add(setCurrent);
+    setCurrent(status);
+    return () => listeners.delete(setCurrent);
+  }, []);
+
+  return current;
+}
+
+// ---- Hook: Last server copy of a live value, kept on this device ----
+// Call with the live value and whether it has loaded. Returns the cached
+// { value, synced_at } (or null) to show until the live value arrives.
+// Only values received while connected are saved, so the cache never
+// holds data the SDK replayed from memory after the connection dropped.
+export function useOfflineCache(key, value, ready) {
+  const { connected } = useConnection();
+  const [cached, setCached] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setCached(null);
+    readJson(cacheFile(key)).then((entry) => {
+      if (active && entry) setCached(entry);
+    });
+    return () => { active = false; };
+  }, [key]);
+
+  useEffect(() => {
+    if (!ready || !connected) return undefined;
+    const timer = setTimeout(() => {
+      writeJson(cacheFile(key), { value, synced_at: Date.now() }).catch((e) => {
+        console.log('Could not cache', key, e.message);
+      });
+    }, CACHE_WRITE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [key, value, ready, connected]);
+
+  return cached;
+}
+
+// ---- Write queue ----
+let queue = null;   // loaded from QUEUE_FILE on first use
+let nextSeq = 0;
+
+async function loadQueue() {
+  if (queue === null) queue = (await readJson(QUEUE_FILE)) || [];
+  return queue;
+}
+
+async function saveQueue() {
+  await writeJson(QUEUE_FILE, queue);
+  setStatus({ pending: ownEntries().length });
+}
+
+// Writes queued by the signed-in operator; another operator's stay
+// queued on the device until they sign in again
+function ownEntries() {
+  const uid = auth.currentUser?.uid;
+  return (queue || []).filter((entry) => uid && entry.queued_uid === uid);
+}
+
+// serverTimestamp() is { ".sv": "timestamp" }; replace it with the
+// server time of now so a queued check-out keeps its real exit time
+function freezeServerTimestamps(value, serverNow) {
+  if (!value || typeof value !== 'object') return value;
+  if (value['.sv'] === 'timestamp') return serverNow;
+  if (value['.sv']) return value;  // increment() and other server values stay as they are
+  return Object.fromEntries(
+    Object.entries(value).map(([key, child]) => [key, freezeServerTimestamps(child, serverNow)])
+  );
+}
+
+// ---- Utility: Whether a write made now goes straight to the server ----
+// False while offline or while this operator's older writes are still queued.
+export async function canWriteLive() {
+  watchConnection();
+  await loadQueue();
+  return status.connected && ownEntries().length === 0;
+}
+
+// ---- Guarded writes ----
+// A guard makes a write depend on a node still holding what the operator
+// saw: { path, expect: { field: value }, set: { field: value }, refusal }.
+// `set` is applied in one transaction on the node only if every `expect`
+// field still matches; the rest of the write follows, and `set` is undone
+// if that fails.
+function guardMatches(node, expect) {
+  return !!node && Object.entries(expect).every(([field, value]) => (node[field] ?? null) === value);
+}
+
+async function runGuard(guard) {
+  let before = null;
+  const result = await runTransaction(ref(database, guard.path), (current) => {
+    before = current;
+    // null is the SDK's guess before it has the server value; writing it
+    // back changes nothing and the transaction reruns with the real one
+    if (current === null) return null;
+    if (!guardMatches(current, guard.expect)) return undefined;
+    return { ...current, ...guard.set };
+  });
+  return result.committed && guardMatches(before, guard.expect) ? before : null;
+}
+
+function undoGuard(guard, before) {
+  const restore = {};
+  Object.keys(guard.set).forEach((field) => {
+    restore[`${guard.path}/${field}`] = before[field] ?? null;
+  });
+  return update(ref(database), restore);
+}
+
+// ---- Utility: Guarded write sent now ----
+// `buildUpdates(node)` receives the node as the transaction found it and
+// returns the rest of the multi-path update. Rejects with guard.refusal
+// when the node no longer matches.
+export async function sendGuardedWrite(guard, buildUpdates) {
+  const before = await runGuard(guard);
+  if (!before) throw new Error(guard.refusal);
+  try {
+    await update(ref(database), buildUpdates(before));
+  } catch (e) {
+    await undoGuard(guard, before).catch((undoError) => {
+      console.log('Could not undo', guard.path, undoError.message);
+    });
+    throw e;
+  }
+}
+
+// ---- Utility: Multi-path update now, or queued while offline ----
+// `updates` is a root-relative multi-path update; `label` describes the
+// change in replay error messages. Resolves to { queued }. A write made
+// while older ones are still queued is queued behind them to keep order.
+// Only one queued write per `onceKey` is allowed, for changes that must
+// not be applied twice (e.g. a check-out). With a `guard` the write is
+// sent through sendGuardedWrite(), now or at replay.
+export async function writeOrQueue(updates, label, onceKey = null, guard = null) {
+  if (await canWriteLive()) {
+    await sendQueued({ updates, guard });
+    return { queued: false };
+  }
+
+  if (onceKey && queue.some((entry) => entry.once_key === onceKey)) {
+    throw new Error(`${label} is already waiting to be sent.`);
+  }
+
+  queue.push({
+    id: `${Date.now()}-${nextSeq++}`,
+    label,
+    once_key: onceKey,
+    updates: freezeServerTimestamps(updates, Date.now() + status.serverTimeOffset),
+    guard,
+    queued_by: auth.currentUser?.email || 'unknown',
+    queued_uid: auth.currentUser?.uid || null,
+    queued_at: Date.now(),
+  });
+  await saveQueue();
+  return { queued: true };
+}
+
+function sendQueued({ updates, guard }) {
+  return guard ? sendGuardedWrite(guard, () => updates) : update(ref(database), updates);
+}
+
+// ---- Utility: Send the signed-in operator's queued writes in order ----
+// Stops when the connection drops again. A write the server refuses
+// (e.g. the rules changed) or whose guard no longer matches is dropped
+// so it cannot block the rest; the refused entries are returned.
+async function replayQueue() {
+  if (status.replaying) return [];
+  setStatus({ replaying: true });
+  const refused = [];
+
+  try {
+    await loadQueue();
+    while (status.connected && auth.currentUser) {
+      const [entry] = ownEntries();
+      if (!entry) break;
+      try {
+        await sendQueued(entry);
+      } catch (e) {
+        refused.push({ ...entry, error: e.message });
+      }
+      queue.splice(queue.indexOf(entry), 1);
+      await saveQueue();
+    }
+  } finally {
+    setStatus({ replaying: false });
+  }
+  return refused;
+}
+
+// ---- Hook: Replay queued writes whenever the connection comes back ----
+// Mounted once in the main navigator, so writes are only sent by a
+// signed-in operator. `onRefused` receives writes the server rejected.
+export function useQueuedWriteReplay(onRefused) {
+  const { connected, pending } = useConnection();
+  const onRefusedRef = useRef(onRefused);
+  onRefusedRef.current = onRefused;
+
+  // The pending count is per operator; recount for the one signed in
+  useEffect(() => {
+    loadQueue().then(() => setStatus({ pending: ownEntries().length }));
+  }, []);
+
+  useEffect(() => {
+    if (!connected || pending === 0) return;
+    replayQueue()
+      .then((refused) => {
+        if (refused.length > 0 && onRefusedRef.current) onRefusedRef.current(refused);
+      })
+      .catch((e) => console.log('Could not replay queued writes:', e.message));
+  }, [connected, pending]);
+}
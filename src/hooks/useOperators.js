@@ -0,0 +1,175 @@
+// ============================================================
+// useOperators.js — Operator Accounts and Their Audit Log
+// ============================================================
+// Backs the Operators screen. An operator is a Firebase Auth
+// account plus a users/<userKey> record holding the role. Inviting
+// creates both and emails a password-reset link, so the new
+// operator picks their own password. Disabling only sets a flag —
+// the client SDK cannot disable Auth accounts — but the database
+// rules refuse a disabled operator everything.
+// Every change is written together with a user_audit entry in one
+// multi-path update.
+// ============================================================
+
+import { useState, useEffect } from 'react';
+import {
+  ref, onValue, get, update, push, query, orderByKey, limitToLast, serverTimestamp,
+} from 'firebase/database';
+import { createUserWithEmailAndPassword, sendPasswordResetEmail, signOut } from 'firebase/auth';
+import { database, auth, inviteAuth } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { ROLES, userKey } from '../config/roles';
+
+// ---- Hook: All operators (real-time, sorted by email) ----
+export function useOperators() {
+  const [operators, setOperators] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const usersRef = ref(database, DB_PATHS.USERS);
+
+    const unsubscribe = onValue(
+      usersRef,
+      (snap) => {
+        const value = snap.val() || {};
+        setOperators(
+          Object.entries(value)
+            .map(([key, operator]) => ({ ...operator, key }))
+            .sort((a, b) => (a.email || a.key).localeCompare(b.email || b.key))
+        );
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+
+    return () => unsubscribe();
+  }, []);
+
+  return { operators, loading };
+}
+
+// ---- Hook: Recent operator changes (real-time, newest first) ----
+export function useUserAudit(count = 20) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    const auditQuery = query(ref(database, DB_PATHS.USER_AUDIT), orderByKey(), limitToLast(count));
+
+    const unsubscribe = onValue(auditQuery, (snap) => {
+      const list = [];
+      snap.forEach((child) => {
+        list.push({ id: child.key, ...child.val() });
+      });
+      setEntries(list.reverse());
+    });
+
+    return () => unsubscribe();
+  }, [count]);
+
+  return { entries };
+}
+
+// ---- Utility: Validate an invite typed by an admin ----
+// Returns an error message, or null when the invite is acceptable.
+export function validateInvite({ email, role }) {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim())) return 'Enter a valid email address.';
+  if (/[#$[\]/]/.test(email)) return 'Email addresses with # $ [ ] or / are not supported.';
+  if (!ROLES.includes(role)) return 'Choose a role.';
+  return null;
+}
+
+// Audit entry written alongside each change
+function auditUpdate(action, email, oldValue, newValue, editorEmail) {
+  const auditKey = push(ref(database, DB_PATHS.USER_AUDIT)).key;
+  return {
+    [`${DB_PATHS.USER_AUDIT}/${auditKey}`]: {
+      action,
+      email,
+      old_value: oldValue ?? null,
+      new_value: newValue ?? null,
+      editor: editorEmail || 'unknown',
+      timestamp: serverTimestamp(),
+    },
+  };
+}
+
+function assertNotSelf(operator, editorEmail) {
+  if (userKey(operator.email || operator.key) === userKey(editorEmail)) {
+    throw new Error('You cannot change your own account. Ask another admin.');
+  }
+}
+
+// Never shown to anyone: the operator sets a real password from the
+// reset email, which replaces this one
+function throwawayPassword() {
+  return `${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}Aa1!`;
+}
+
+// ---- Utility: Invite a new operator ----
+// Creates the Auth account (or reuses one made in the console), stores
+// the role and emails a link to set a password. Once the account exists
+// the email is sent even if storing the role fails, so the account is
+// never left with a password nobody knows; inviting again then reuses it.
+export async function inviteOperator({ email, name, role }, editorEmail) {
+  const error = validateInvite({ email, role });
+  if (error) throw new Error(error);
+
+  const address = email.trim().toLowerCase();
+  const key = userKey(address);
+  if ((await get(ref(database, DB_PATHS.USER(key)))).exists()) {
+    throw new Error('This email is already an operator.');
+  }
+
+  try {
+    await createUserWithEmailAndPassword(inviteAuth, address, throwawayPassword());
+    // The invite app only signed in to create the account; a failed
+    // sign-out there does not affect the invite
+    signOut(inviteAuth).catch((e) => console.log('Could not sign out the invite session:', e.message));
+  } catch (e) {
+    if (e.code !== 'auth/email-already-in-use') throw e;
+  }
+
+  try {
+    await update(ref(database), {
+      [DB_PATHS.USER(key)]: {
+        email: address,
+        name: (name || '').trim(),
+        role,
+        disabled: false,
+        invited_by: editorEmail || 'unknown',
+        invited_at: serverTimestamp(),
+      },
+      ...auditUpdate('invited', address, null, role, editorEmail),
+    });
+  } finally {
+    await sendPasswordResetEmail(auth, address);
+  }
+}
+
+// ---- Utility: Change an operator's role ----
+export async function setOperatorRole(operator, role, editorEmail) {
+  assertNotSelf(operator, editorEmail);
+  if (!ROLES.includes(role)) throw new Error('Choose a role.');
+  if (operator.role === role) return undefined;
+
+  return update(ref(database), {
+    [`${DB_PATHS.USER(operator.key)}/role`]: role,
+    ...auditUpdate('role_changed', operator.email, operator.role, role, editorEmail),
+  });
+}
+
+// ---- Utility: Disable or re-enable an operator ----
+export async function setOperatorDisabled(operator, disabled, editorEmail) {
+  assertNotSelf(operator, editorEmail);
+
+  return update(ref(database), {
+    [`${DB_PATHS.USER(operator.key)}/disabled`]: disabled,
+    ...auditUpdate(disabled ? 'disabled' : 'enabled', operator.email, null, null, editorEmail),
+  });
+}
+
+// ---- Utility: Email an operator a password-reset link ----
+export async function sendOperatorPasswordReset(operator, editorEmail) {
+  await sendPasswordResetEmail(auth, operator.email);
+  return update(ref(database), auditUpdate('password_reset', operator.email, null, null, editorEmail));
+}
@@ -0,0 +1,55 @@
+// ============================================================
+// usePermissions.js — Signed-in Operator's Role and Permissions
+// ============================================================
+// Reads users/<userKey> for the signed-in email and exposes
+// can(permission) from config/roles.js. An account without a
+// role record, or one disabled by an admin, gets no access at all. Hiding a tab or button is
+// only the first line — database.rules.json enforces the same
+// table on the server.
+// ============================================================
+
+import { useState, useEffect } from 'react';
+import { ref, onValue } from 'firebase/database';
+import { database, auth } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { ROLES, can, userKey } from '../config/roles';
+
+// ---- Hook: The signed-in operator's record (real-time) ----
+// Returns { operator, role, loading }; role is null when the account
+// has no (or an unknown) role or is disabled.
+export function useCurrentOperator(email = auth.currentUser?.email) {
+  // Remember whose record was loaded, so a new sign-in reads as loading
+  // instead of briefly showing the previous account's (or no) role
+  const [loaded, setLoaded] = useState({ email: null, operator: null });
+
+  useEffect(() => {
+    if (!email) return undefined;
+    const operatorRef = ref(database, DB_PATHS.USER(userKey(email)));
+
+    // Mounted from several screens at once, so detach only this
+    // listener rather than every listener on the path
+    const unsubscribe = onValue(
+      operatorRef,
+      (snap) => setLoaded({ email, operator: snap.val() }),
+      () => setLoaded({ email, operator: null })
+    );
+
+    return () => unsubscribe();
+  }, [email]);
+
+  const loading = !!email && loaded.email !== email;
+  const operator = email && !loading ? loaded.operator : null;
+  const role = operator && !operator.disabled && ROLES.includes(operator.role) ? operator.role : null;
+  return { operator, role, loading };
+}
+
+// ---- Hook: Role plus a can(permission) check ----
+export function usePermissions(email) {
+  const { operator, role, loading } = useCurrentOperator(email);
+  return {
+    operator,
+    role,
+    loading,
+    can: (permission) => can(role, permission),
+  };
+}
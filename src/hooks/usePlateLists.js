@@ -0,0 +1,150 @@
+// ============================================================
+// usePlateLists.js — Allowed and Blocked Plate Lists
+// ============================================================
+// settings/allowed_plates and settings/blocked_plates decide
+// which plates count as authorized. Entries are keyed by the
+// normalized plate so the app and the entrance firmware can look
+// a plate up directly. Validity dates are local "YYYY-MM-DD"
+// strings (inclusive), which compare correctly as plain strings
+// on both sides. Changes made offline are queued (useOffline.js).
+// ============================================================
+
+import { useState, useEffect } from 'react';
+import { ref, onValue, serverTimestamp } from 'firebase/database';
+import { database } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { writeOrQueue } from './useOffline';
+import { normalizePlate } from '../utils/plates';
+import { toDateKey, isDateKey } from '../utils/time';
+
+export const PLATE_LISTS = {
+  allowed: { path: DB_PATHS.ALLOWED_PLATES, entry: DB_PATHS.ALLOWED_PLATE },
+  blocked: { path: DB_PATHS.BLOCKED_PLATES, entry: DB_PATHS.BLOCKED_PLATE },
+};
+
+// ---- Hook: One plate list (real-time, sorted by plate) ----
+export function usePlateList(list) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const listRef = ref(database, PLATE_LISTS[list].path);
+    setLoading(true);
+
+    const unsubscribe = onValue(listRef, (snap) => {
+      const value = snap.val() || {};
+      setEntries(
+        Object.entries(value)
+          .map(([key, entry]) => ({ ...entry, plate: key }))
+          .sort((a, b) => a.plate.localeCompare(b.plate))
+      );
+      setLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [list]);
+
+  return { entries, loading };
+}
+
+// ---- Hook: Both lists, for checking plates in the app ----
+export function usePlateLists() {
+  const { entries: allowed } = usePlateList('allowed');
+  const { entries: blocked } = usePlateList('blocked');
+  return { allowed, blocked };
+}
+
+// ---- Utility: Is a list entry valid on `today` ("YYYY-MM-DD")? ----
+export function isEntryValid(entry, today = toDateKey()) {
+  if (!entry) return false;
+  if (entry.valid_from && today < entry.valid_from) return false;
+  if (entry.valid_until && today > entry.valid_until) return false;
+  return true;
+}
+
+// ---- Utility: Check a plate against both lists ----
+// Returns 'blocked', 'allowed' or 'unknown'. A valid blocked entry
+// always wins over an allowed one.
+export function checkPlate(plate, allowed, blocked, today = toDateKey()) {
+  const key = normalizePlate(plate);
+  if (!key) return 'unknown';
+
+  const find = (entries) => (entries || []).find((entry) => entry.plate === key);
+  if (isEntryValid(find(blocked), today)) return 'blocked';
+  if (isEntryValid(find(allowed), today)) return 'allowed';
+  return 'unknown';
+}
+
+// ---- Utility: Validate plate entry fields typed by an admin ----
+// Returns an error message, or null when the entry is acceptable.
+export function validatePlateEntry({ plate, valid_from, valid_until }) {
+  if (!normalizePlate(plate)) return 'Enter a valid plate.';
+  if (valid_from && !isDateKey(valid_from)) return 'Valid-from must be a date like 2026-01-31.';
+  if (valid_until && !isDateKey(valid_until)) return 'Valid-until must be a date like 2026-12-31.';
+  if (valid_from && valid_until && valid_until < valid_from) return 'Valid-until is before valid-from.';
+  return null;
+}
+
+function buildEntry(plate, details, addedBy) {
+  return {
+    plate: normalizePlate(plate),
+    owner_name: (details.owner_name || '').trim(),
+    valid_from: details.valid_from || null,
+    valid_until: details.valid_until || null,
+    notes: (details.notes || '').trim(),
+    added_by: addedBy || 'unknown',
+    added_at: serverTimestamp(),
+  };
+}
+
+// ---- Utility: Add or update one plate in a list ----
+export async function addPlate(list, plate, details = {}, addedBy) {
+  const error = validatePlateEntry({ plate, ...details });
+  if (error) throw new Error(error);
+
+  const entry = buildEntry(plate, details, addedBy);
+  return writeOrQueue({ [PLATE_LISTS[list].entry(entry.plate)]: entry }, `Add ${entry.plate} to ${list} plates`);
+}
+
+// ---- Utility: Add or update an allowed plate ----
+export async function addAllowedPlate(plate, details = {}, addedBy) {
+  return addPlate('allowed', plate, details, addedBy);
+}
+
+// ---- Utility: Remove one plate from a list ----
+export async function removePlate(list, plate) {
+  return writeOrQueue({ [PLATE_LISTS[list].entry(normalizePlate(plate))]: null }, `Remove ${normalizePlate(plate)} from ${list} plates`);
+}
+
+// ---- Utility: Parse bulk-import text ----
+// One plate per line: PLATE, owner name, valid from, valid until, notes
+// (everything after the plate is optional). Returns { entries, errors }.
+export function parsePlateImport(text) {
+  const entries = [];
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const [plate = '', owner_name = '', valid_from = '', valid_until = '', ...notes] = line.split(',').map((part) => part.trim());
+    const details = { owner_name, valid_from, valid_until, notes: notes.join(', ') };
+    const error = validatePlateEntry({ plate, ...details });
+
+    if (error) {
+      errors.push(`Line ${idx + 1}: ${error}`);
+    } else {
+      entries.push({ plate: normalizePlate(plate), ...details });
+    }
+  });
+
+  return { entries, errors };
+}
+
+// ---- Utility: Write many parsed entries to a list in one update ----
+export async function importPlates(list, entries, addedBy) {
+  const updates = {};
+  entries.forEach(({ plate, ...details }) => {
+    updates[PLATE_LISTS[list].entry(normalizePlate(plate))] = buildEntry(plate, details, addedBy);
+  });
+  return writeOrQueue(updates, `Import ${entries.length} ${list} plates`);
+}
@@ -0,0 +1,201 @@
+// ============================================================
+// useReservations.js — Slot Reservations
+// ============================================================
+// A reservation holds a slot for one plate during a time window.
+// From the start of the window the slot carries reserved /
+// reserved_for / reservation_id, which the entrance camera uses to
+// route the matching vehicle to its bay and to keep other vehicles
+// out. Before that the slot stays available.
+//
+// There is no server-side job, so the app sweeps reservations
+// while it is open: holds are applied once a window starts,
+// no-shows expire NO_SHOW_GRACE_MINUTES after the window starts,
+// and arrivals with a matching plate are marked fulfilled. The
+// sweep pauses while the app is offline, since it would act on
+// stale slots.
+// ============================================================
+
+import { useState, useEffect, useRef } from 'react';
+import {
+  ref, onValue, get, push,
+  query, orderByChild, equalTo, serverTimestamp,
+} from 'firebase/database';
+import { database } from '../config/firebase';
+import { DB_PATHS } from '../config/dbPaths';
+import { useParkingSpots, useNow } from './useFirebase';
+import { useConnection, writeOrQueue, canWriteLive } from './useOffline';
+import { normalizePlate, platesMatch } from '../utils/plates';
+import { MINUTE_MS } from '../utils/time';
+
+export const NO_SHOW_GRACE_MINUTES = 15;
+
+// ---- Hook: Active reservations (real-time, soonest first) ----
+export function useReservations() {
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const activeQuery = query(ref(database, DB_PATHS.RESERVATIONS), orderByChild('status'), equalTo('active'));
+
+    const unsubscribe = onValue(
+      activeQuery,
+      (snap) => {
+        const entries = [];
+        snap.forEach((child) => {
+          entries.push({ id: child.key, ...child.val() });
+        });
+        entries.sort((a, b) => (a.starts_at || 0) - (b.starts_at || 0));
+        setReservations(entries);
+        setLoading(false);
+      },
+      () => setLoading(false)
+    );
+
+    return () => unsubscribe();
+  }, []);
+
+  return { reservations, loading };
+}
+
+// ---- Hook: Hold slots, expire no-shows and fulfil arrivals while the app is open ----
+// Mounted once in the main navigator.
+export function useReservationSweeper() {
+  const { reservations } = useReservations();
+  const { spots } = useParkingSpots();
+  const { connected } = useConnection();
+  const now = useNow();
+  const holding = useRef({});
+
+  useEffect(() => {
+    if (!connected) return;
+    reservations.forEach((reservation) => {
+      const slot = spots[`slot_${reservation.slot_id}`];
+      const outcome = reservationOutcome(reservation, slot, now);
+      if (outcome) {
+        closeReservation(reservation, outcome, 'system').catch((e) => {
+          console.log('Could not close reservation:', e.message);
+        });
+        return;
+      }
+      // Each hold is written once per app session; the spots listener
+      // shows it before the next tick.
+      if (needsHold(reservation, slot, now) && !holding.current[reservation.id]) {
+        holding.current[reservation.id] = true;
+        holdSlot(reservation).catch((e) => {
+          delete holding.current[reservation.id];
+          console.log('Could not hold reserved slot:', e.message);
+        });
+      }
+    });
+  }, [reservations, spots, now, connected]);
+}
+
+// ---- Utility: Whether a started reservation still has to hold its slot ----
+// A slot already held by another reservation (or by a legacy flag) is
+// left alone.
+export function needsHold(reservation, slot, now = Date.now()) {
+  if (!slot || slot.out_of_service) return false;
+  if (now < (reservation.starts_at || 0)) return false;
+  return !slot.reserved;
+}
+
+// ---- Utility: Decide whether an active reservation should close ----
+// Returns 'fulfilled', 'expired' or null (still active).
+export function reservationOutcome(reservation, slot, now = Date.now()) {
+  if (slot && slot.occupied && platesMatch(slot.license_plate, reservation.license_plate)) {
+    return 'fulfilled';
+  }
+  const noShowAt = (reservation.starts_at || 0) + NO_SHOW_GRACE_MINUTES * MINUTE_MS;
+  if (now > noShowAt || now > (reservation.ends_at || 0)) {
+    return 'expired';
+  }
+  return null;
+}
+
+// ---- Utility: Reserve a slot for a plate and time window ----
+export async function createReservation(slotId, { plate, startsAt, endsAt }, createdBy) {
+  const licensePlate = normalizePlate(plate);
+  if (!licensePlate) throw new Error('Enter the plate the slot is reserved for.');
+  if (!(endsAt > startsAt)) throw new Error('The reservation must end after it starts.');
+
+  // The slot and its other reservations must be read from the server
+  if (!(await canWriteLive())) {
+    throw new Error('Reserving a slot needs a connection to check it is free. Try again once back online.');
+  }
+
+  const slotPath = DB_PATHS.SLOT(slotId);
+  const slot = (await get(ref(database, slotPath))).val();
+  if (!slot) throw new Error('This slot does not exist.');
+  if (slot.out_of_service) throw new Error('This slot is out of service.');
+  // A slot that is busy now can still be booked for later; later
+  // windows only have to stay clear of other reservations
+  const startsNow = startsAt <= Date.now();
+  if (startsNow && slot.occupied) throw new Error('This slot is occupied.');
+  if (startsNow && slot.reserved) throw new Error('This slot is already reserved.');
+
+  const activeQuery = query(ref(database, DB_PATHS.RESERVATIONS), orderByChild('status'), equalTo('active'));
+  const active = (await get(activeQuery)).val() || {};
+  const clash = Object.values(active).some((other) => (
+    Number(other.slot_id) === Number(slotId) && other.starts_at < endsAt && other.ends_at > startsAt
+  ));
+  if (clash) throw new Error('This slot is already reserved for part of that time.');
+
+  const reservationId = push(ref(database, DB_PATHS.RESERVATIONS)).key;
+  const updates = {
+    [DB_PATHS.RESERVATION(reservationId)]: {
+      slot_id: Number(slotId),
+      license_plate: licensePlate,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      status: 'active',
+      created_by: createdBy || 'unknown',
+      created_at: serverTimestamp(),
+    },
+  };
+  // A window starting later is held by the sweeper when it starts
+  if (startsNow) {
+    Object.assign(updates, holdUpdates(slotPath, reservationId, licensePlate));
+  }
+  return writeOrQueue(updates, `Reserve slot ${slotId}`);
+}
+
+// ---- Utility: Hold a slot for a reservation whose window has started ----
+async function holdSlot(reservation) {
+  const slotPath = DB_PATHS.SLOT(reservation.slot_id);
+  return writeOrQueue(
+    holdUpdates(slotPath, reservation.id, reservation.license_plate),
+    `Hold slot ${reservation.slot_id} for reservation`
+  );
+}
+
+function holdUpdates(slotPath, reservationId, licensePlate) {
+  return {
+    [`${slotPath}/reserved`]: true,
+    [`${slotPath}/reserved_for`]: licensePlate,
+    [`${slotPath}/reservation_id`]: reservationId,
+  };
+}
+
+// ---- Utility: Cancel a reservation from the app ----
+export async function cancelReservation(reservation, cancelledBy) {
+  return closeReservation(reservation, 'cancelled', cancelledBy);
+}
+
+// ---- Utility: Close a reservation and release its slot hold ----
+// The slot is only released if it is still held by this reservation.
+async function closeReservation(reservation, status, closedBy) {
+  const slotPath = DB_PATHS.SLOT(reservation.slot_id);
+  const slot = (await get(ref(database, slotPath))).val();
+
+  const updates = {
+    [`${DB_PATHS.RESERVATION(reservation.id)}/status`]: status,
+    [`${DB_PATHS.RESERVATION(reservation.id)}/closed_by`]: closedBy || 'unknown',
+    [`${DB_PATHS.RESERVATION(reservation.id)}/closed_at`]: serverTimestamp(),
+  };
+  if (slot && slot.reservation_id === reservation.id) {
+    updates[`${slotPath}/reserved`] = false;
+    updates[`${slotPath}/reserved_for`] = '';
+    updates[`${slotPath}/reservation_id`] = '';
+  }
+  return writeOrQueue(updates, `Close reservation for slot ${reservation.slot_id}`);
+}
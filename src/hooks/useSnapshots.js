@@ -0,0 +1,145 @@
+// ============================================================
+// useSnapshots.js — CCTV Snapshot Capture and Gallery Storage
+// ============================================================
+// Snapshots are JPEGs kept on this device under
+// <documentDirectory>/snapshots/, with an index.json holding each
+// one's camera ID, capture time and who took it. A frame comes
+// from the camera's still-image endpoint when it has one, and is
+// otherwise grabbed from the MJPEG stream already on screen.
+// ============================================================
+
+import { useState, useEffect } from 'react';
+import * as FileSystem from 'expo-file-system';
+
+const SNAPSHOT_DIR = `${FileSystem.documentDirectory}snapshots/`;
+const INDEX_FILE = `${SNAPSHOT_DIR}index.json`;
+
+// Gallery screens re-read the index whenever a snapshot is added or removed
+const listeners = new Set();
+const notify = () => listeners.forEach((listener) => listener());
+
+async function ensureDir() {
+  const info = await FileSystem.getInfoAsync(SNAPSHOT_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(SNAPSHOT_DIR, { intermediates: true });
+  }
+}
+
+async function readIndex() {
+  await ensureDir();
+  const info = await FileSystem.getInfoAsync(INDEX_FILE);
+  if (!info.exists) return [];
+  try {
+    return JSON.parse(await FileSystem.readAsStringAsync(INDEX_FILE)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+async function writeIndex(records) {
+  await ensureDir();
+  await FileSystem.writeAsStringAsync(INDEX_FILE, JSON.stringify(records));
+}
+
+// ---- Hook: All saved snapshots, newest first ----
+export function useSnapshots() {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+    const load = () => {
+      readIndex()
+        .then((records) => {
+          if (!active) return;
+          setSnapshots(
+            records
+              .map((record) => ({ ...record, uri: SNAPSHOT_DIR + record.file }))
+              .sort((a, b) => b.taken_at - a.taken_at)
+          );
+          setLoading(false);
+        })
+        .catch(() => active && setLoading(false));
+    };
+
+    load();
+    listeners.add(load);
+    return () => {
+      active = false;
+      listeners.delete(load);
+    };
+  }, []);
+
+  return { snapshots, loading };
+}
+
+// ---- Utility: Still-image URL for a camera, or null ----
+// The stream server publishes capture_url; older cameras only have
+// stream_url (http://<ip>:81/stream), whose still endpoint is
+// http://<ip>/capture on the same board.
+export function stillImageUrl(cam) {
+  if (!cam) return null;
+  if (cam.capture_url) return cam.capture_url;
+  const match = /^(https?:\/\/[^/:]+)(?::81)?\/stream$/.exec(cam.stream_url || '');
+  return match ? `${match[1]}/capture` : null;
+}
+
+// ---- Utility: Whether a camera's stream sends a CORS header ----
+// Only the stream server does, and only it publishes capture_url.
+export function streamSendsCors(cam) {
+  return !!(cam && cam.capture_url);
+}
+
+// ---- Utility: Capture and save one frame ----
+// streamRef is the on-screen StreamView, used when no still image
+// can be fetched. Resolves with the saved snapshot record.
+export async function captureSnapshot(camId, cam, streamRef, takenBy) {
+  await ensureDir();
+
+  const takenAt = Date.now();
+  const file = `${camId}_${takenAt}.jpg`;
+  const uri = SNAPSHOT_DIR + file;
+  let source = null;
+
+  const stillUrl = stillImageUrl(cam);
+  if (stillUrl) {
+    try {
+      const result = await FileSystem.downloadAsync(stillUrl, uri);
+      if (result.status === 200) source = 'still';
+    } catch (e) {
+      // Fall back to the stream below
+    }
+  }
+
+  if (!source) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+    if (!streamRef || !streamRef.current) {
+      throw new Error('This camera has no still image and its stream is not open.');
+    }
+    const base64 = await streamRef.current.captureFrame();
+    await FileSystem.writeAsStringAsync(uri, base64, { encoding: FileSystem.EncodingType.Base64 });
+    source = 'stream';
+  }
+
+  const record = {
+    id: `${camId}_${takenAt}`,
+    camera_id: camId,
+    taken_at: takenAt,
+    taken_by: takenBy || 'unknown',
+    source,
+    file,  // Stored relative: the documents path can change between app updates
+  };
+
+  const records = await readIndex();
+  await writeIndex([...records, record]);
+  notify();
+  return { ...record, uri };
+}
+
+// ---- Utility: Delete one snapshot and its file ----
+export async function deleteSnapshot(snapshot) {
+  await FileSystem.deleteAsync(SNAPSHOT_DIR + snapshot.file, { idempotent: true });
+  const records = await readIndex();
+  await writeIndex(records.filter((record) => record.id !== snapshot.id));
+  notify();
+}
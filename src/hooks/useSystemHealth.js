@@ -0,0 +1,138 @@
+// ============================================================
+// useSystemHealth.js — Real Status for the System Health Card
+// ============================================================
+// Collects what can actually be measured from the app:
+//   database — .info/connected, and since when it is down
+//   clock    — .info/serverTimeOffset (server minus device)
+//   auth     — expiry of the signed-in operator's ID token; the
+//              SDK refreshes it hourly, which needs a connection
+//   cameras  — online / degraded / offline from heartbeat age
+//   queue    — offline writes still waiting to be sent
+// Each entry is { ok, status } ready for display.
+// ============================================================
+
+import { useState, useEffect, useMemo } from 'react';
+import { onIdTokenChanged } from 'firebase/auth';
+import { auth } from '../config/firebase';
+import { useConnection } from './useOffline';
+import { useCameraHealth } from './useCameraHealth';
+import { useNow } from './useFirebase';
+import { formatDuration } from '../utils/time';
+
+// Beyond this the device clock is reported as wrong
+export const CLOCK_SKEW_LIMIT_MS = 60 * 1000;
+// Token expiry closer than this is shown as a problem
+const TOKEN_WARNING_MS = 5 * 60 * 1000;
+const HEALTH_TICK_MS = 5000;
+
+// ---- Hook: The signed-in operator's ID token times ----
+// Returns { expiresAt, issuedAt } in ms (null when signed out) and
+// `error` when the token could not be read, e.g. offline after expiry.
+export function useAuthToken() {
+  const [token, setToken] = useState({ expiresAt: null, issuedAt: null, error: null });
+
+  useEffect(() => {
+    let active = true;
+
+    const unsubscribe = onIdTokenChanged(auth, (user) => {
+      if (!user) {
+        setToken({ expiresAt: null, issuedAt: null, error: null });
+        return;
+      }
+      user.getIdTokenResult()
+        .then((result) => {
+          if (!active) return;
+          setToken({
+            expiresAt: Date.parse(result.expirationTime),
+            issuedAt: Date.parse(result.issuedAtTime),
+            error: null,
+          });
+        })
+        .catch((e) => {
+          if (active) setToken((prev) => ({ ...prev, error: e.code || e.message }));
+        });
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return token;
+}
+
+// ---- Utility: Describe a clock offset, e.g. "1.2 s behind server" ----
+export function describeClockOffset(offsetMs) {
+  const seconds = Math.abs(offsetMs) / 1000;
+  if (seconds < 0.5) return 'In sync';
+  const amount = seconds < 60 ? `${seconds.toFixed(1)} s` : formatDuration(seconds);
+  // A positive offset means the server is ahead, i.e. this device is behind
+  return `${amount} ${offsetMs > 0 ? 'behind' : 'ahead of'} server`;
+}
+
+// ---- Hook: Everything the System Health card shows ----
+export function useSystemHealth() {
+  const { connected, offline, lastOnlineAt, serverTimeOffset, pending, replaying } = useConnection();
+  const { cameras, counts, settings } = useCameraHealth();
+  const token = useAuthToken();
+  const now = useNow(HEALTH_TICK_MS);
+
+  return useMemo(() => {
+    let database;
+    if (connected) {
+      database = { ok: true, status: 'Connected' };
+    } else if (offline) {
+      database = {
+        ok: false,
+        status: lastOnlineAt ? `Offline since ${new Date(lastOnlineAt).toLocaleTimeString()}` : 'Offline',
+      };
+    } else {
+      database = { ok: false, status: 'Connecting…' };
+    }
+
+    const clock = {
+      ok: Math.abs(serverTimeOffset) <= CLOCK_SKEW_LIMIT_MS,
+      status: describeClockOffset(serverTimeOffset),
+    };
+
+    let authStatus;
+    if (!token.expiresAt) {
+      authStatus = { ok: false, status: token.error ? 'Token unavailable' : 'Checking…' };
+    } else if (token.expiresAt <= now) {
+      authStatus = { ok: false, status: connected ? 'Token expired — refreshing' : 'Token expired — reconnect to refresh' };
+    } else {
+      authStatus = {
+        ok: token.expiresAt - now > TOKEN_WARNING_MS || connected,
+        status: `Token valid, expires in ${formatDuration((token.expiresAt - now) / 1000)}`,
+      };
+    }
+
+    // Newest heartbeat across all cameras
+    const ages = Object.values(cameras)
+      .map((cam) => cam.stale_seconds)
+      .filter((age) => age !== null && age !== undefined);
+    const newest = ages.length > 0 ? Math.min(...ages) : null;
+
+    const cameraStatus = {
+      ok: counts.total > 0 && counts.online === counts.total,
+      status: counts.total === 0
+        ? 'No cameras registered'
+        : `${counts.online} / ${counts.total} online${counts.degraded > 0 ? `, ${counts.degraded} degraded` : ''}`,
+    };
+
+    const heartbeat = {
+      ok: newest !== null && newest <= settings.degraded_after_seconds,
+      status: newest === null
+        ? 'No heartbeats yet'
+        : `Latest ${newest < 60 ? `${newest} s` : formatDuration(newest)} ago`,
+    };
+
+    const queue = {
+      ok: pending === 0,
+      status: pending === 0 ? 'Nothing waiting' : `${pending} waiting${replaying ? ', sending…' : ''}`,
+    };
+
+    return { database, clock, auth: authStatus, cameras: cameraStatus, heartbeat, queue };
+  }, [connected, offline, lastOnlineAt, serverTimeOffset, pending, replaying, cameras, counts, settings, token, now]);
+}
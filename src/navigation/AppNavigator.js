@@ -4,6 +4,11 @@
 // Listens to Firebase Auth state changes.
 // If user is logged in → show main tab navigator
 // If user is logged out → show login screen
+// Tabs and pushed screens are registered only for roles allowed
+// to use them; an account without a role gets NoAccessScreen.
+// After a stretch without touches the app is covered by
+// LockScreen until the operator unlocks (useAutoLock.js).
+// The tabs share a slim header carrying the connection indicator.
 // This pattern ensures the app reacts automatically to
 // signIn() and signOut() calls from anywhere in the app.
 // ============================================================
@@ -12,17 +17,38 @@ import React, { useState, useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
-import { View, Text, ActivityIndicator, StyleSheet } from 'react-native';
+import { View, Text, ActivityIndicator, StyleSheet, Alert } from 'react-native';
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from '../config/firebase';
 import { COLORS } from '../config/theme';
+import { useReservationSweeper } from '../hooks/useReservations';
+import { useCameraOfflineWatcher } from '../hooks/useCameraHealth';
+import { useOccupancyRecorder } from '../hooks/useAnalytics';
+import { useCountRollover } from '../hooks/useBusinessDay';
+import { usePermissions } from '../hooks/usePermissions';
+import { useAutoLock, captureActivity } from '../hooks/useAutoLock';
+import { useQueuedWriteReplay } from '../hooks/useOffline';
+import ConnectionIndicator from '../components/ConnectionIndicator';
+import { TAB_PERMISSIONS } from '../config/roles';
 
 // Screens
 import LoginScreen from '../screens/LoginScreen';
 import DashboardScreen from '../screens/DashboardScreen';
 import CCTVScreen from '../screens/CCTVScreen';
 import SecurityScreen from '../screens/SecurityScreen';
+import AnalyticsScreen from '../screens/AnalyticsScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import AccessLogScreen from '../screens/AccessLogScreen';
+import SlotDetailScreen from '../screens/SlotDetailScreen';
+import UnauthorizedAlertScreen from '../screens/UnauthorizedAlertScreen';
+import PlateListsScreen from '../screens/PlateListsScreen';
+import CameraStreamScreen from '../screens/CameraStreamScreen';
+import SnapshotGalleryScreen from '../screens/SnapshotGalleryScreen';
+import RevenueScreen from '../screens/RevenueScreen';
+import ExportScreen from '../screens/ExportScreen';
+import NoAccessScreen from '../screens/NoAccessScreen';
+import UserManagementScreen from '../screens/UserManagementScreen';
+import LockScreen from '../screens/LockScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -32,15 +58,43 @@ const TAB_ICONS = {
   Dashboard: '📊',
   CCTV: '📷',
   Security: '🛡️',
+  Analytics: '📈',
   Settings: '⚙️',
 };
 
+// ---- Queued offline changes the server would not accept ----
+function reportRefusedWrites(refused) {
+  Alert.alert(
+    'Offline Changes Not Saved',
+    refused.map((entry) => `• ${entry.label}: ${entry.error}`).join('\n')
+  );
+}
+
 // ---- Main Tab Navigator (shown when logged in) ----
 function MainTabNavigator() {
+  // Expire no-show reservations and fulfil arrivals while signed in
+  useReservationSweeper();
+  // Raise alerts/camera_offline when a camera's heartbeat goes stale
+  useCameraOfflineWatcher();
+  // Store an occupancy snapshot every 15 minutes for the Analytics tab
+  useOccupancyRecorder();
+  // Restart the live check-in / check-out counters each business day
+  useCountRollover();
+  // Send changes made while offline once the connection is back
+  useQueuedWriteReplay(reportRefusedWrites);
+  const { can } = usePermissions();
+  const showTab = (name) => !TAB_PERMISSIONS[name] || can(TAB_PERMISSIONS[name]);
+
   return (
     <Tab.Navigator
       screenOptions={({ route }) => ({
-        headerShown: false,
+        // Each tab draws its own page title; this header only carries
+        // the app name and the connection state
+        headerTitle: 'Smart Parking',
+        headerTitleAlign: 'left',
+        headerStyle: styles.tabHeader,
+        headerTitleStyle: styles.tabHeaderTitle,
+        headerRight: () => <ConnectionIndicator />,
         tabBarStyle: styles.tabBar,
         tabBarActiveTintColor: COLORS.primary,
         tabBarInactiveTintColor: COLORS.textMuted,
@@ -53,8 +107,9 @@ function MainTabNavigator() {
       })}
     >
       <Tab.Screen name="Dashboard" component={DashboardScreen} options={{ title: 'Management' }} />
-      <Tab.Screen name="CCTV" component={CCTVScreen} options={{ title: 'CCTV' }} />
-      <Tab.Screen name="Security" component={SecurityScreen} options={{ title: 'Security' }} />
+      {showTab('CCTV') && <Tab.Screen name="CCTV" component={CCTVScreen} options={{ title: 'CCTV' }} />}
+      {showTab('Security') && <Tab.Screen name="Security" component={SecurityScreen} options={{ title: 'Security' }} />}
+      {showTab('Analytics') && <Tab.Screen name="Analytics" component={AnalyticsScreen} options={{ title: 'Analytics' }} />}
       <Tab.Screen name="Settings" component={SettingsScreen} options={{ title: 'Settings' }} />
     </Tab.Navigator>
   );
@@ -64,6 +119,8 @@ function MainTabNavigator() {
 export default function AppNavigator() {
   const [user, setUser] = useState(null);
   const [initializing, setInitializing] = useState(true);
+  const { role, can, loading: roleLoading } = usePermissions(user?.email);
+  const { locked, unlock } = useAutoLock(!!user && !!role);
 
   // Subscribe to Firebase Auth state changes
   useEffect(() => {
@@ -76,8 +133,8 @@ export default function AppNavigator() {
     return () => unsubscribe();
   }, []);
 
-  // Show splash/loading while Firebase checks auth state
-  if (initializing) {
+  // Show splash/loading while Firebase checks auth state and the role loads
+  if (initializing || (user && roleLoading)) {
     return (
       <View style={styles.splash}>
         <Text style={styles.splashIcon}>🅿️</Text>
@@ -88,21 +145,59 @@ export default function AppNavigator() {
   }
 
   return (
-    <NavigationContainer>
-      <Stack.Navigator screenOptions={{ headerShown: false }}>
-        {user ? (
-          // Authenticated — show main app
-          <Stack.Screen name="Main" component={MainTabNavigator} />
-        ) : (
-          // Not authenticated — show login
-          <Stack.Screen name="Login" component={LoginScreen} />
-        )}
-      </Stack.Navigator>
-    </NavigationContainer>
+    // Touches inside Modals are reported by AppModal instead
+    <View style={styles.flex} onStartShouldSetResponderCapture={captureActivity}>
+      <NavigationContainer>
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+          {user && !role ? (
+            // Authenticated but no role assigned yet, or disabled
+            <Stack.Screen name="NoAccess" component={NoAccessScreen} />
+          ) : user ? (
+            // Authenticated — show main app and the screens pushed on top of it
+            <>
+              <Stack.Screen name="Main" component={MainTabNavigator} />
+              <Stack.Screen name="SlotDetail" component={SlotDetailScreen} />
+              {can('view_security') && (
+                <>
+                  <Stack.Screen name="AccessLog" component={AccessLogScreen} />
+                  <Stack.Screen name="UnauthorizedAlert" component={UnauthorizedAlertScreen} />
+                </>
+              )}
+              {can('manage_plate_lists') && <Stack.Screen name="PlateLists" component={PlateListsScreen} />}
+              {can('view_cctv') && (
+                <>
+                  <Stack.Screen name="CameraStream" component={CameraStreamScreen} />
+                  <Stack.Screen name="SnapshotGallery" component={SnapshotGalleryScreen} />
+                </>
+              )}
+              {can('view_revenue') && <Stack.Screen name="Revenue" component={RevenueScreen} />}
+              {can('export_reports') && <Stack.Screen name="Export" component={ExportScreen} />}
+              {can('manage_users') && <Stack.Screen name="UserManagement" component={UserManagementScreen} />}
+            </>
+          ) : (
+            // Not authenticated — show login
+            <Stack.Screen name="Login" component={LoginScreen} />
+          )}
+        </Stack.Navigator>
+      </NavigationContainer>
+      {user && locked && <LockScreen onUnlock={unlock} />}
+    </View>
   );
 }
 
 const styles = StyleSheet.create({
+  flex: { flex: 1 },
+  tabHeader: {
+    backgroundColor: COLORS.gradientStart,
+    elevation: 0,
+    shadowOpacity: 0,
+    borderBottomWidth: 0,
+  },
+  tabHeaderTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: COLORS.white,
+  },
   tabBar: {
     backgroundColor: COLORS.white,
     borderTopColor: COLORS.border,
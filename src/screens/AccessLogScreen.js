@@ -0,0 +1,242 @@
+// ============================================================
+// AccessLogScreen.js — Searchable Access Log Viewer
+// ============================================================
+// Lists the entries the entrance camera pushes to logs/access,
+// newest first. The date range is applied in the Firebase query;
+// plate, vehicle type and camera filters are applied to the
+// loaded page. Scroll to the end to load older entries.
+// ============================================================
+
+import React, { useState, useMemo } from 'react';
+import {
+  View, Text, StyleSheet, FlatList, TextInput,
+  TouchableOpacity, ActivityIndicator, ScrollView,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useAccessLogs } from '../hooks/useFirebase';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { startOfDay, DAY_MS } from '../utils/time';
+import { normalizePlate } from '../utils/plates';
+
+const VEHICLE_ICONS = { motorcycle: '🏍️', car: '🚗', truck: '🚛' };
+const VEHICLE_TYPES = ['all', 'motorcycle', 'car', 'truck'];
+
+// ---- Date range presets (start is computed when the range is picked) ----
+const RANGES = [
+  { key: 'today', label: 'Today' },
+  { key: '7d', label: '7 days' },
+  { key: '30d', label: '30 days' },
+  { key: 'all', label: 'All' },
+];
+
+function rangeStart(rangeKey) {
+  const today = startOfDay();
+
+  switch (rangeKey) {
+    case 'today': return today;
+    case '7d': return today - 6 * DAY_MS;
+    case '30d': return today - 29 * DAY_MS;
+    default: return null;
+  }
+}
+
+export default function AccessLogScreen({ navigation }) {
+  const [search, setSearch] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [cameraFilter, setCameraFilter] = useState('all');
+  const [rangeKey, setRangeKey] = useState('today');
+
+  const since = useMemo(() => rangeStart(rangeKey), [rangeKey]);
+  const { logs, loading, error, hasMore, loadMore } = useAccessLogs({ since });
+
+  // Cameras that appear in the loaded entries
+  const cameraIds = useMemo(() => {
+    const ids = new Set(logs.map((log) => log.camera_id).filter(Boolean));
+    return ['all', ...ids];
+  }, [logs]);
+
+  const filtered = useMemo(() => {
+    const query = normalizePlate(search);
+    return logs.filter((log) => {
+      if (query && !normalizePlate(log.license_plate).includes(query)) return false;
+      if (typeFilter !== 'all' && log.vehicle_type !== typeFilter) return false;
+      if (cameraFilter !== 'all' && log.camera_id !== cameraFilter) return false;
+      return true;
+    });
+  }, [logs, search, typeFilter, cameraFilter]);
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+
+      {/* Page Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Access Log</Text>
+        <Text style={styles.headerSubtitle}>
+          {filtered.length} of {logs.length} loaded entries
+        </Text>
+      </View>
+
+      {/* Filters */}
+      <View style={styles.filters}>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search plate..."
+          placeholderTextColor={COLORS.textMuted}
+          value={search}
+          onChangeText={setSearch}
+          autoCapitalize="characters"
+          autoCorrect={false}
+        />
+        <FilterRow
+          options={RANGES.map((r) => r.key)}
+          labels={Object.fromEntries(RANGES.map((r) => [r.key, r.label]))}
+          value={rangeKey}
+          onChange={setRangeKey}
+        />
+        <FilterRow
+          options={VEHICLE_TYPES}
+          labels={{ all: 'All types' }}
+          value={typeFilter}
+          onChange={setTypeFilter}
+        />
+        {cameraIds.length > 2 && (
+          <FilterRow
+            options={cameraIds}
+            labels={{ all: 'All cameras' }}
+            value={cameraFilter}
+            onChange={setCameraFilter}
+          />
+        )}
+      </View>
+
+      {error ? (
+        <View style={styles.center}>
+          <Text style={styles.errorText}>Could not load logs: {error}</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={filtered}
+          keyExtractor={(item) => item.id}
+          renderItem={({ item }) => <LogRow log={item} />}
+          contentContainerStyle={styles.list}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={
+            loading ? null : (
+              <View style={styles.card}>
+                <Text style={styles.emptyText}>No matching entries</Text>
+                <Text style={styles.emptySubText}>Try a wider date range or clear the filters.</Text>
+              </View>
+            )
+          }
+          ListFooterComponent={
+            loading ? (
+              <ActivityIndicator color={COLORS.white} style={{ marginVertical: SPACING.md }} />
+            ) : hasMore ? (
+              <TouchableOpacity style={styles.loadMoreBtn} onPress={loadMore}>
+                <Text style={styles.loadMoreText}>Load older entries</Text>
+              </TouchableOpacity>
+            ) : null
+          }
+        />
+      )}
+    </LinearGradient>
+  );
+}
+
+function FilterRow({ options, labels = {}, value, onChange }) {
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.chip, value === option && styles.chipActive]}
+          onPress={() => onChange(option)}
+        >
+          <Text style={[styles.chipText, value === option && styles.chipTextActive]}>
+            {labels[option] || option.replace(/_/g, ' ')}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+}
+
+function LogRow({ log }) {
+  const isCheckIn = log.action === 'CHECK_IN';
+  const when = log.time ? new Date(log.time).toLocaleString() : 'Unknown time';
+
+  return (
+    <View style={[styles.logRow, { borderLeftColor: isCheckIn ? COLORS.checkIn : COLORS.checkOut }]}>
+      <Text style={styles.logIcon}>{VEHICLE_ICONS[log.vehicle_type] || '🚘'}</Text>
+      <View style={styles.logBody}>
+        <Text style={styles.logPlate}>{log.license_plate || 'No plate read'}</Text>
+        <Text style={styles.logMeta}>
+          {log.action.replace(/_/g, ' ')}
+          {log.slot !== null ? ` · Slot ${log.slot}` : ''}
+          {log.camera_id ? ` · ${log.camera_id.replace(/_/g, ' ')}` : ''}
+        </Text>
+      </View>
+      <Text style={styles.logTime}>{when}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+  center: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: SPACING.lg },
+
+  header: { padding: SPACING.md, paddingTop: SPACING.sm },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+
+  // Filters
+  filters: { paddingHorizontal: SPACING.md },
+  searchInput: {
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    paddingHorizontal: SPACING.md, paddingVertical: 10,
+    fontSize: 15, color: COLORS.textPrimary, marginBottom: SPACING.sm,
+  },
+  chipRow: { marginBottom: SPACING.sm, flexGrow: 0 },
+  chip: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: RADIUS.full, paddingHorizontal: 14, paddingVertical: 6,
+    marginRight: SPACING.sm,
+  },
+  chipActive: { backgroundColor: COLORS.white },
+  chipText: { color: COLORS.white, fontSize: 13, fontWeight: '500', textTransform: 'capitalize' },
+  chipTextActive: { color: COLORS.primary, fontWeight: '700' },
+
+  // List
+  list: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+  card: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.lg, ...SHADOW.medium,
+  },
+  logRow: {
+    flexDirection: 'row', alignItems: 'center',
+    backgroundColor: COLORS.card, borderRadius: RADIUS.md,
+    borderLeftWidth: 4, padding: SPACING.md,
+    marginBottom: SPACING.sm, ...SHADOW.small,
+  },
+  logIcon: { fontSize: 22, marginRight: SPACING.sm },
+  logBody: { flex: 1 },
+  logPlate: { fontSize: 15, fontWeight: '700', color: COLORS.textPrimary },
+  logMeta: { fontSize: 12, color: COLORS.textSecondary, marginTop: 2 },
+  logTime: { fontSize: 11, color: COLORS.textMuted, marginLeft: SPACING.sm, textAlign: 'right' },
+
+  loadMoreBtn: {
+    backgroundColor: 'rgba(255,255,255,0.2)', borderRadius: RADIUS.md,
+    paddingVertical: 12, alignItems: 'center', marginTop: SPACING.sm,
+  },
+  loadMoreText: { color: COLORS.white, fontWeight: '600' },
+
+  emptyText: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary, textAlign: 'center' },
+  emptySubText: { fontSize: 13, color: COLORS.textSecondary, textAlign: 'center', marginTop: 4 },
+  errorText: { color: COLORS.white, fontSize: 14, textAlign: 'center' },
+});
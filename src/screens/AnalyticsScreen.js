@@ -0,0 +1,376 @@
+// ============================================================
+// AnalyticsScreen.js — Historical Occupancy Analytics
+// ============================================================
+// Answers "how full are we, and when" from the occupancy history
+// the app records every 15 minutes, plus the completed sessions
+// in parking_sessions. For today, the last 7 or the last 30 days,
+// optionally per vehicle type, it shows:
+//   - average / peak occupancy and the number of stays
+//   - a weekday × hour heatmap and an hourly peak-time chart
+//   - average dwell time per vehicle type
+//   - turnover (stays per day) for each slot
+// ============================================================
+
+import React, { useState, useMemo } from 'react';
+import {
+  View, Text, StyleSheet, ScrollView,
+  TouchableOpacity, ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useParkingSpots, useStartOfToday } from '../hooks/useFirebase';
+import { useOccupancyHistory, useSessionHistory } from '../hooks/useAnalytics';
+import { usePermissions } from '../hooks/usePermissions';
+import {
+  ANALYTICS_RANGES, WEEKDAY_LABELS, rangeStart,
+  occupancySummary, occupancyHeatmap, hourlyProfile, peakHours,
+  dwellByType, turnoverBySlot, formatHour,
+} from '../utils/analytics';
+import { formatDuration } from '../utils/time';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+
+const VEHICLE_TYPES = ['all', 'motorcycle', 'car', 'truck'];
+const VEHICLE_ICONS = { motorcycle: '🏍️', car: '🚗', truck: '🚛' };
+
+const CHART_HEIGHT = 100;
+
+// ---- Percent label for a 0–1 ratio ----
+const percent = (ratio) => (ratio === null ? '—' : `${Math.round(ratio * 100)}%`);
+
+// ---- Heatmap cell color: pale for quiet hours, solid red when full ----
+function heatColor(ratio) {
+  if (ratio === null) return COLORS.border;
+  const alpha = 0.12 + 0.88 * ratio;
+  return `rgba(255,107,107,${alpha.toFixed(2)})`;
+}
+
+// ---- Dwell minutes as "2h 15m" ----
+const dwellText = (minutes) => (minutes === null ? '—' : formatDuration(minutes * 60));
+
+export default function AnalyticsScreen({ navigation }) {
+  const [rangeKey, setRangeKey] = useState('week');
+  const [type, setType] = useState('all');
+
+  const today = useStartOfToday();
+  const range = ANALYTICS_RANGES.find((r) => r.key === rangeKey);
+  const since = rangeStart(rangeKey, today);
+
+  const { spots } = useParkingSpots();
+  const { can } = usePermissions();
+  const { snapshots, loading: historyLoading } = useOccupancyHistory(since);
+  const { sessions: allSessions, loading: sessionsLoading } = useSessionHistory(since);
+
+  const sessions = useMemo(
+    () => (type === 'all' ? allSessions : allSessions.filter((s) => s.vehicle_type === type)),
+    [allSessions, type]
+  );
+  const typeSpots = useMemo(
+    () => (type === 'all'
+      ? spots
+      : Object.fromEntries(Object.entries(spots).filter(([, slot]) => slot.type === type))),
+    [spots, type]
+  );
+
+  const summary = useMemo(() => occupancySummary(snapshots, type), [snapshots, type]);
+  const heatmap = useMemo(() => occupancyHeatmap(snapshots, type), [snapshots, type]);
+  const profile = useMemo(() => hourlyProfile(snapshots, type), [snapshots, type]);
+  const peaks = useMemo(() => peakHours(profile), [profile]);
+  const dwell = useMemo(() => dwellByType(allSessions), [allSessions]);
+  const turnover = useMemo(() => turnoverBySlot(sessions, typeSpots, range.days), [sessions, typeSpots, range.days]);
+
+  const loading = historyLoading || sessionsLoading;
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+      <ScrollView contentContainerStyle={styles.container} showsVerticalScrollIndicator={false}>
+
+        {/* Page Header */}
+        <View style={styles.header}>
+          <View style={styles.headerRow}>
+            <Text style={styles.headerTitle}>Analytics</Text>
+            {can('view_revenue') && (
+              <TouchableOpacity onPress={() => navigation.navigate('Revenue')}>
+                <Text style={styles.headerLink}>Revenue ›</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <Text style={styles.headerSubtitle}>Occupancy history and turnover</Text>
+        </View>
+
+        {/* Range */}
+        <View style={styles.segment}>
+          {ANALYTICS_RANGES.map((r) => (
+            <TouchableOpacity
+              key={r.key}
+              style={[styles.segmentBtn, rangeKey === r.key && styles.segmentBtnActive]}
+              onPress={() => setRangeKey(r.key)}
+            >
+              <Text style={[styles.segmentText, rangeKey === r.key && styles.segmentTextActive]}>{r.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Vehicle type */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          {VEHICLE_TYPES.map((t) => (
+            <TouchableOpacity
+              key={t}
+              style={[styles.chip, type === t && styles.chipActive]}
+              onPress={() => setType(t)}
+            >
+              <Text style={[styles.chipText, type === t && styles.chipTextActive]}>
+                {t === 'all' ? 'All types' : `${VEHICLE_ICONS[t]} ${t}`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {loading ? (
+          <ActivityIndicator color={COLORS.white} style={{ marginTop: SPACING.lg }} />
+        ) : (
+          <>
+            {/* Summary */}
+            <View style={styles.card}>
+              <View style={styles.statsRow}>
+                <StatItem label="Avg Occupancy" value={percent(summary.average)} color={COLORS.available} />
+                <StatItem label="Peak" value={percent(summary.peak)} color={COLORS.checkOut} />
+                <StatItem label="Stays" value={sessions.length} color={COLORS.checkIn} />
+              </View>
+              {summary.peakTime !== null && (
+                <Text style={styles.cardNote}>
+                  Peak reached {new Date(summary.peakTime).toLocaleString()}
+                </Text>
+              )}
+              {snapshots.length === 0 && (
+                <Text style={styles.cardNote}>
+                  No occupancy history yet — it is recorded every 15 minutes while the app is open.
+                </Text>
+              )}
+            </View>
+
+            {/* Peak times */}
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Peak Times</Text>
+              <Text style={styles.cardSubtitle}>Average occupancy by hour of day</Text>
+              <HourlyChart profile={profile} peaks={peaks} />
+              <Text style={styles.cardNote}>
+                {peaks.length > 0
+                  ? `Busiest: ${peaks.map((p) => `${formatHour(p.hour)} (${percent(p.ratio)})`).join(' · ')}`
+                  : 'Not enough data for peak hours yet.'}
+              </Text>
+            </View>
+
+            {/* Heatmap */}
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Weekly Heatmap</Text>
+              <Text style={styles.cardSubtitle}>Average occupancy by weekday and hour</Text>
+              <Heatmap rows={heatmap} />
+            </View>
+
+            {/* Dwell time */}
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Average Dwell Time</Text>
+              <InfoRow label="All vehicles" value={dwellText(dwell.all.average)} count={dwell.all.count} />
+              {['motorcycle', 'car', 'truck'].map((t) => (
+                <InfoRow
+                  key={t}
+                  label={`${VEHICLE_ICONS[t]} ${t.charAt(0).toUpperCase() + t.slice(1)}`}
+                  value={dwellText(dwell[t]?.average ?? null)}
+                  count={dwell[t]?.count || 0}
+                />
+              ))}
+            </View>
+
+            {/* Turnover */}
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Turnover per Slot</Text>
+              <Text style={styles.cardSubtitle}>Stays per day over {range.label.toLowerCase()}</Text>
+              {turnover.length === 0 ? (
+                <Text style={styles.cardNote}>No slots configured.</Text>
+              ) : (
+                turnover.map((row) => (
+                  <View key={row.slotId} style={styles.turnoverRow}>
+                    <Text style={styles.turnoverSlot}>
+                      {VEHICLE_ICONS[row.type] || '🅿️'} Slot {row.slotId}
+                    </Text>
+                    <Text style={styles.turnoverMeta}>
+                      {row.sessions} stays · avg {dwellText(row.averageDwell)}
+                    </Text>
+                    <Text style={styles.turnoverValue}>{row.perDay.toFixed(1)}/day</Text>
+                  </View>
+                ))
+              )}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+// ---- Stat in the summary card ----
+function StatItem({ label, value, color }) {
+  return (
+    <View style={styles.statItem}>
+      <Text style={[styles.statValue, { color }]}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+}
+
+// ---- Label / value row with a sample count ----
+function InfoRow({ label, value, count }) {
+  return (
+    <View style={styles.infoRow}>
+      <Text style={styles.infoLabel}>{label}</Text>
+      <Text style={styles.infoValue}>
+        {value}
+        <Text style={styles.infoCount}>  ({count})</Text>
+      </Text>
+    </View>
+  );
+}
+
+// ---- 24 bars, one per hour; peak hours highlighted ----
+function HourlyChart({ profile, peaks }) {
+  const peakSet = new Set(peaks.map((p) => p.hour));
+  return (
+    <View>
+      <View style={styles.chart}>
+        {profile.map((ratio, hour) => (
+          <View key={hour} style={styles.chartColumn}>
+            <View
+              style={[
+                styles.chartBar,
+                {
+                  height: Math.max(2, (ratio || 0) * CHART_HEIGHT),
+                  backgroundColor: peakSet.has(hour) ? COLORS.reserved : COLORS.primary,
+                  opacity: ratio === null ? 0.2 : 1,
+                },
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+      <HourAxis />
+    </View>
+  );
+}
+
+// ---- Weekday rows × hour columns ----
+function Heatmap({ rows }) {
+  return (
+    <View>
+      {rows.map((row, day) => (
+        <View key={WEEKDAY_LABELS[day]} style={styles.heatRow}>
+          <Text style={styles.heatLabel}>{WEEKDAY_LABELS[day]}</Text>
+          {row.map((ratio, hour) => (
+            <View key={hour} style={[styles.heatCell, { backgroundColor: heatColor(ratio) }]} />
+          ))}
+        </View>
+      ))}
+      <View style={styles.heatAxis}>
+        <HourAxis />
+      </View>
+      <View style={styles.legend}>
+        <Text style={styles.legendText}>Empty</Text>
+        {[0, 0.25, 0.5, 0.75, 1].map((ratio) => (
+          <View key={ratio} style={[styles.legendCell, { backgroundColor: heatColor(ratio) }]} />
+        ))}
+        <Text style={styles.legendText}>Full</Text>
+      </View>
+    </View>
+  );
+}
+
+// ---- Hour labels every 6 hours, under a 24-column chart ----
+function HourAxis() {
+  return (
+    <View style={styles.axis}>
+      {[0, 6, 12, 18].map((hour) => (
+        <Text key={hour} style={styles.axisLabel}>{formatHour(hour)}</Text>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+  container: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+
+  header: { marginBottom: SPACING.lg },
+  headerRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  headerTitle: { fontSize: 28, fontWeight: '700', color: COLORS.white },
+  headerLink: { color: COLORS.white, fontSize: 14, fontWeight: '600' },
+  headerSubtitle: { fontSize: 14, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+
+  // Range toggle
+  segment: {
+    flexDirection: 'row', backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: RADIUS.full, padding: 4, marginBottom: SPACING.sm,
+  },
+  segmentBtn: { flex: 1, paddingVertical: 8, borderRadius: RADIUS.full, alignItems: 'center' },
+  segmentBtnActive: { backgroundColor: COLORS.white },
+  segmentText: { color: COLORS.white, fontSize: 13, fontWeight: '600' },
+  segmentTextActive: { color: COLORS.primary, fontWeight: '700' },
+
+  // Vehicle type chips
+  chipRow: { flexGrow: 0, marginBottom: SPACING.md },
+  chip: {
+    backgroundColor: 'rgba(255,255,255,0.2)', borderRadius: RADIUS.full,
+    paddingHorizontal: 14, paddingVertical: 8, marginRight: SPACING.sm,
+  },
+  chipActive: { backgroundColor: COLORS.white },
+  chipText: { color: COLORS.white, fontSize: 13, fontWeight: '500', textTransform: 'capitalize' },
+  chipTextActive: { color: COLORS.primary, fontWeight: '700' },
+
+  // Card
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: RADIUS.xl,
+    padding: SPACING.lg,
+    marginBottom: SPACING.md,
+    ...SHADOW.medium,
+  },
+  cardTitle: { fontSize: 18, fontWeight: '700', color: COLORS.textPrimary },
+  cardSubtitle: { fontSize: 12, color: COLORS.textMuted, marginTop: 2, marginBottom: SPACING.md },
+  cardNote: { fontSize: 12, color: COLORS.textSecondary, marginTop: SPACING.sm },
+
+  statsRow: { flexDirection: 'row', justifyContent: 'space-around' },
+  statItem: { alignItems: 'center', flex: 1 },
+  statValue: { fontSize: 26, fontWeight: '800' },
+  statLabel: { fontSize: 12, color: COLORS.textSecondary, marginTop: 2 },
+
+  // Hourly chart
+  chart: { flexDirection: 'row', alignItems: 'flex-end', height: CHART_HEIGHT, gap: 2 },
+  chartColumn: { flex: 1, justifyContent: 'flex-end' },
+  chartBar: { borderTopLeftRadius: 2, borderTopRightRadius: 2 },
+  axis: { flexDirection: 'row', marginTop: 4 },
+  axisLabel: { flex: 1, fontSize: 10, color: COLORS.textMuted },
+
+  // Heatmap
+  heatRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 2 },
+  heatLabel: { width: 32, fontSize: 10, color: COLORS.textSecondary },
+  heatCell: { flex: 1, height: 14, marginRight: 1, borderRadius: 2 },
+  heatAxis: { marginLeft: 32 },
+  legend: { flexDirection: 'row', alignItems: 'center', justifyContent: 'flex-end', marginTop: SPACING.sm, gap: 4 },
+  legendCell: { width: 14, height: 14, borderRadius: 2 },
+  legendText: { fontSize: 10, color: COLORS.textMuted },
+
+  // Dwell rows
+  infoRow: {
+    flexDirection: 'row', justifyContent: 'space-between',
+    paddingVertical: SPACING.sm, borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  infoLabel: { fontSize: 14, color: COLORS.textSecondary },
+  infoValue: { fontSize: 14, fontWeight: '700', color: COLORS.textPrimary },
+  infoCount: { fontSize: 12, fontWeight: '400', color: COLORS.textMuted },
+
+  // Turnover rows
+  turnoverRow: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingVertical: SPACING.sm, borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  turnoverSlot: { width: 90, fontSize: 14, fontWeight: '600', color: COLORS.textPrimary },
+  turnoverMeta: { flex: 1, fontSize: 12, color: COLORS.textMuted },
+  turnoverValue: { fontSize: 14, fontWeight: '700', color: COLORS.primary },
+});
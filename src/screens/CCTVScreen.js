@@ -7,63 +7,126 @@
 //
 // ESP32 serves the stream at: http://<IP>:81/stream
 // That URL is stored in Firebase: cameras/<id>/stream_url
+// Online / degraded / offline comes from heartbeat staleness
+// (see useCameraHealth), not the camera's own status string.
+// Grid mode shows 2x2 or 3x3 tiles, each with its own stream;
+// tapping a tile opens it full screen (CameraStreamScreen).
+// Capture saves the current frame to the Snapshots gallery.
+// Every stream reconnects by itself (see StreamView); its state
+// is shown next to the camera name. Camera cards list the slots
+// each camera covers (parking_spots/<slot>/camera_id).
+// Offline, the last synced camera list is shown under a banner.
 // ============================================================
 
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import {
-  View, Text, StyleSheet, FlatList,
-  TouchableOpacity, ActivityIndicator, ScrollView,
+  View, Text, StyleSheet, useWindowDimensions,
+  TouchableOpacity, ActivityIndicator, ScrollView, Alert,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { WebView } from 'react-native-webview';
-import { useCameras } from '../hooks/useFirebase';
+import { auth } from '../config/firebase';
+import { useParkingSpots, groupSlotsByCamera } from '../hooks/useFirebase';
+import { useCameraHealth } from '../hooks/useCameraHealth';
+import { captureSnapshot, stillImageUrl, streamSendsCors } from '../hooks/useSnapshots';
+import OfflineBanner from '../components/OfflineBanner';
 import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import StreamView from '../components/StreamView';
+import { formatDuration } from '../utils/time';
 
-export default function CCTVScreen() {
-  const { cameras, loading } = useCameras();
+const HEALTH_COLORS = { online: COLORS.checkIn, degraded: COLORS.warning, offline: COLORS.checkOut };
+const HEALTH_LABELS = { online: 'Online', degraded: 'Degraded', offline: 'Offline' };
+
+const VIEW_MODES = [
+  { key: 'single', label: 'Single', columns: 1 },
+  { key: 'grid2', label: '2×2', columns: 2 },
+  { key: 'grid3', label: '3×3', columns: 3 },
+];
+
+// Stream player states (StreamView onStatusChange) → header / tile badge
+const STREAM_BADGES = {
+  connecting: { label: 'CONNECTING', color: COLORS.textMuted },
+  live: { label: 'LIVE', color: COLORS.checkOut },
+  reconnecting: { label: 'RECONNECTING', color: COLORS.warning },
+  failed: { label: 'FAILED', color: COLORS.checkOut },
+  stills: { label: 'STILLS', color: COLORS.available },
+};
+const INITIAL_STREAM_STATUS = { status: 'connecting', attempt: 0, lastFrameAt: null };
+
+export default function CCTVScreen({ navigation }) {
+  const { cameras, counts, loading, syncedAt } = useCameraHealth();
+  const { spots } = useParkingSpots();
   const [selectedCam, setSelectedCam] = useState(null);
-  const [streamError, setStreamError] = useState(false);
+  const [streamStatus, setStreamStatus] = useState(INITIAL_STREAM_STATUS);
+  const [viewMode, setViewMode] = useState('single');
+  const [capturing, setCapturing] = useState(false);
+  const streamRef = useRef(null);
 
   const cameraList = Object.entries(cameras);
 
   // Auto-select first online camera
   React.useEffect(() => {
     if (!selectedCam && cameraList.length > 0) {
-      const firstOnline = cameraList.find(([, cam]) => cam.status === 'online');
+      const firstOnline = cameraList.find(([, cam]) => cam.health === 'online');
       if (firstOnline) setSelectedCam(firstOnline[0]);
     }
   }, [cameras]);
 
   const selectedCamData = selectedCam ? cameras[selectedCam] : null;
   const streamUrl = selectedCamData?.stream_url || '';
+  const columns = VIEW_MODES.find((mode) => mode.key === viewMode).columns;
+  const slotsByCamera = groupSlotsByCamera(spots);
+
+  const selectCamera = (camId) => {
+    setSelectedCam(camId);
+    setStreamStatus(INITIAL_STREAM_STATUS);
+  };
+  const openFullScreen = (camId) => navigation.navigate('CameraStream', { camId });
 
-  // ---- Inline HTML that loads MJPEG stream in an <img> tag ----
-  // WebView is used because React Native's Image component does not
-  // support MJPEG streams natively.
-  const streamHtml = streamUrl
-    ? `<!DOCTYPE html><html><head>
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <style>
-          body { margin:0; background:#000; display:flex; align-items:center; justify-content:center; height:100vh; }
-          img { width:100%; max-height:100vh; object-fit:contain; }
-          .err { color:#fff; font-family:sans-serif; text-align:center; padding:20px; }
-        </style>
-      </head><body>
-        <img src="${streamUrl}" 
-             onerror="document.body.innerHTML='<div class=\\'err\\'>⚠️ Stream unavailable<br><small>${streamUrl}</small></div>'"
-        />
-      </body></html>`
-    : '';
+  const handleCapture = async () => {
+    setCapturing(true);
+    try {
+      const snapshot = await captureSnapshot(selectedCam, selectedCamData, streamRef, auth.currentUser?.email);
+      Alert.alert(
+        'Snapshot Saved',
+        `${selectedCam.replace(/_/g, ' ')} — ${new Date(snapshot.taken_at).toLocaleString()}`,
+        [
+          { text: 'OK' },
+          { text: 'View Gallery', onPress: () => navigation.navigate('SnapshotGallery') },
+        ]
+      );
+    } catch (e) {
+      Alert.alert('Capture Failed', e.message || 'Please try again.');
+    } finally {
+      setCapturing(false);
+    }
+  };
 
   return (
     <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
 
       {/* Page Header */}
       <View style={styles.header}>
-        <Text style={styles.headerTitle}>CCTV Monitoring</Text>
+        <View style={styles.headerRow}>
+          <Text style={styles.headerTitle}>CCTV Monitoring</Text>
+          <TouchableOpacity onPress={() => navigation.navigate('SnapshotGallery')}>
+            <Text style={styles.galleryLink}>Snapshots ›</Text>
+          </TouchableOpacity>
+        </View>
         <Text style={styles.headerSubtitle}>
-          {cameraList.filter(([, c]) => c.status === 'online').length} / {cameraList.length} online
+          {counts.online} / {counts.total} online{counts.degraded > 0 ? ` · ${counts.degraded} degraded` : ''}
         </Text>
+        <View style={styles.modeRow}>
+          {VIEW_MODES.map((mode) => (
+            <TouchableOpacity
+              key={mode.key}
+              style={[styles.modeBtn, viewMode === mode.key && styles.modeBtnActive]}
+              onPress={() => setViewMode(mode.key)}
+            >
+              <Text style={[styles.modeText, viewMode === mode.key && styles.modeTextActive]}>{mode.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <OfflineBanner syncedAt={syncedAt} style={styles.offlineBanner} />
       </View>
 
       {loading ? (
@@ -71,81 +134,94 @@ export default function CCTVScreen() {
           <ActivityIndicator size="large" color={COLORS.white} />
         </View>
       ) : (
-        <View style={styles.content}>
-
-          {/* ---- Live Stream Viewer ---- */}
-          <View style={styles.streamCard}>
-            {selectedCam && streamUrl ? (
-              <>
-                <View style={styles.streamHeader}>
-                  <View style={styles.liveIndicator}>
-                    <View style={styles.liveDot} />
-                    <Text style={styles.liveText}>LIVE</Text>
+        <ScrollView contentContainerStyle={styles.content}>
+
+          {columns > 1 ? (
+            <CameraGrid cameraList={cameraList} columns={columns} onOpen={openFullScreen} />
+          ) : (
+            <>
+              {/* ---- Live Stream Viewer ---- */}
+              <View style={styles.streamCard}>
+                {selectedCam && streamUrl ? (
+                  <>
+                    <View style={styles.streamHeader}>
+                      <View style={styles.liveIndicator}>
+                        <View style={[styles.liveDot, { backgroundColor: STREAM_BADGES[streamStatus.status].color }]} />
+                        <Text style={styles.liveText}>{STREAM_BADGES[streamStatus.status].label}</Text>
+                      </View>
+                      <Text style={styles.streamLabel}>
+                        {selectedCam.replace(/_/g, ' ').toUpperCase()}
+                      </Text>
+                      <TouchableOpacity onPress={handleCapture} disabled={capturing} style={styles.captureBtn}>
+                        {capturing ? (
+                          <ActivityIndicator size="small" color={COLORS.white} />
+                        ) : (
+                          <Text style={styles.captureText}>📸 Capture</Text>
+                        )}
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => openFullScreen(selectedCam)} style={styles.expandBtn}>
+                        <Text style={styles.expandText}>⛶</Text>
+                      </TouchableOpacity>
+                    </View>
+
+                    {/* 
+                      StreamView loads the MJPEG stream in a WebView.
+                      The ESP32 streams at http://<IP>:81/stream
+                      Store that URL in Firebase cameras/<id>/stream_url
+                    */}
+                    <StreamView
+                      ref={streamRef}
+                      key={streamUrl}
+                      streamUrl={streamUrl}
+                      stillUrl={stillImageUrl(selectedCamData)}
+                      cors={streamSendsCors(selectedCamData)}
+                      onError={() => setStreamStatus((prev) => ({ ...prev, status: 'failed' }))}
+                      onStatusChange={setStreamStatus}
+                    />
+                  </>
+                ) : (
+                  <View style={styles.noStream}>
+                    <Text style={styles.noStreamIcon}>📷</Text>
+                    <Text style={styles.noStreamText}>
+                      {cameraList.length === 0
+                        ? 'No cameras configured in Firebase'
+                        : 'Select a camera below to view stream'}
+                    </Text>
+                    <Text style={styles.noStreamNote}>
+                      Stream URL format: http://192.168.x.x:81/stream
+                    </Text>
                   </View>
-                  <Text style={styles.streamLabel}>
-                    {selectedCam.replace(/_/g, ' ').toUpperCase()}
-                  </Text>
-                </View>
-
-                {/* 
-                  WebView loads the MJPEG stream HTML.
-                  The ESP32 streams at http://<IP>:81/stream
-                  Store that URL in Firebase cameras/<id>/stream_url
-                */}
-                <WebView
-                  source={{ html: streamHtml }}
-                  style={styles.webview}
-                  scrollEnabled={false}
-                  bounces={false}
-                  onError={() => setStreamError(true)}
-                  javaScriptEnabled={true}
-                  mixedContentMode="always"  // Required for HTTP streams on Android
-                />
-              </>
-            ) : (
-              <View style={styles.noStream}>
-                <Text style={styles.noStreamIcon}>📷</Text>
-                <Text style={styles.noStreamText}>
-                  {cameraList.length === 0
-                    ? 'No cameras configured in Firebase'
-                    : 'Select a camera below to view stream'}
-                </Text>
-                <Text style={styles.noStreamNote}>
-                  Stream URL format: http://192.168.x.x:81/stream
-                </Text>
+                )}
               </View>
-            )}
-          </View>
 
-          {/* ---- Camera Selector List ---- */}
-          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.camListScroll}>
-            {cameraList.map(([camId, cam]) => (
-              <TouchableOpacity
-                key={camId}
-                style={[
-                  styles.camChip,
-                  selectedCam === camId && styles.camChipActive,
-                  cam.status !== 'online' && styles.camChipOffline,
-                ]}
-                onPress={() => {
-                  setSelectedCam(camId);
-                  setStreamError(false);
-                }}
-                disabled={cam.status !== 'online'}
-              >
-                <View style={[
-                  styles.camStatusDot,
-                  { backgroundColor: cam.status === 'online' ? COLORS.checkIn : COLORS.checkOut }
-                ]} />
-                <Text style={[
-                  styles.camChipText,
-                  selectedCam === camId && styles.camChipTextActive,
-                ]}>
-                  {camId.replace(/_/g, ' ')}
-                </Text>
-              </TouchableOpacity>
-            ))}
-          </ScrollView>
+              {/* ---- Camera Selector List ---- */}
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.camListScroll}>
+                {cameraList.map(([camId, cam]) => (
+                  <TouchableOpacity
+                    key={camId}
+                    style={[
+                      styles.camChip,
+                      selectedCam === camId && styles.camChipActive,
+                      cam.health === 'offline' && styles.camChipOffline,
+                    ]}
+                    onPress={() => selectCamera(camId)}
+                    disabled={cam.health === 'offline'}
+                  >
+                    <View style={[
+                      styles.camStatusDot,
+                      { backgroundColor: HEALTH_COLORS[cam.health] }
+                    ]} />
+                    <Text style={[
+                      styles.camChipText,
+                      selectedCam === camId && styles.camChipTextActive,
+                    ]}>
+                      {camId.replace(/_/g, ' ')}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            </>
+          )}
 
           {/* ---- Camera Status Cards ---- */}
           <View style={styles.statusGrid}>
@@ -154,63 +230,176 @@ export default function CCTVScreen() {
                 key={camId}
                 camId={camId}
                 cam={cam}
+                slots={slotsByCamera[camId] || []}
                 isSelected={selectedCam === camId}
-                onSelect={() => { setSelectedCam(camId); setStreamError(false); }}
+                onSelect={() => (columns > 1 ? openFullScreen(camId) : selectCamera(camId))}
+                onSlotPress={(slotId) => navigation.navigate('SlotDetail', { slotId })}
               />
             ))}
           </View>
 
           {/* ---- Stats Row ---- */}
           <View style={styles.statsCard}>
-            <StatItem
-              label="Online"
-              value={cameraList.filter(([, c]) => c.status === 'online').length}
-              color={COLORS.checkIn}
-            />
-            <StatItem
-              label="Offline"
-              value={cameraList.filter(([, c]) => c.status !== 'online').length}
-              color={COLORS.checkOut}
-            />
-            <StatItem
-              label="Total"
-              value={cameraList.length}
-              color={COLORS.primary}
-            />
+            <StatItem label="Online" value={counts.online} color={COLORS.checkIn} />
+            <StatItem label="Degraded" value={counts.degraded} color={COLORS.warning} />
+            <StatItem label="Offline" value={counts.offline} color={COLORS.checkOut} />
+            <StatItem label="Total" value={counts.total} color={COLORS.primary} />
           </View>
 
-        </View>
+        </ScrollView>
       )}
     </LinearGradient>
   );
 }
 
-function CameraStatusCard({ camId, cam, isSelected, onSelect }) {
-  const isOnline = cam.status === 'online';
+// ---- Grid of live tiles, paged when there are more cameras than tiles ----
+function CameraGrid({ cameraList, columns, onOpen }) {
+  const { width } = useWindowDimensions();
+  const [page, setPage] = useState(0);
+
+  const perPage = columns * columns;
+  const pageCount = Math.max(1, Math.ceil(cameraList.length / perPage));
+  const currentPage = Math.min(page, pageCount - 1);
+  const tiles = cameraList.slice(currentPage * perPage, (currentPage + 1) * perPage);
+
+  const tileWidth = (width - SPACING.md * 2 - GRID_GAP * (columns - 1)) / columns;
+
+  if (cameraList.length === 0) {
+    return (
+      <View style={[styles.streamCard, styles.noStream]}>
+        <Text style={styles.noStreamIcon}>📷</Text>
+        <Text style={styles.noStreamText}>No cameras configured in Firebase</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.gridWrap}>
+      <View style={styles.grid}>
+        {tiles.map(([camId, cam]) => (
+          <CameraTile
+            key={camId}
+            camId={camId}
+            cam={cam}
+            width={tileWidth}
+            onPress={() => onOpen(camId)}
+          />
+        ))}
+      </View>
+
+      {pageCount > 1 && (
+        <View style={styles.pager}>
+          <TouchableOpacity onPress={() => setPage(currentPage - 1)} disabled={currentPage === 0}>
+            <Text style={[styles.pagerBtn, currentPage === 0 && styles.pagerBtnDisabled]}>‹ Prev</Text>
+          </TouchableOpacity>
+          <Text style={styles.pagerText}>Page {currentPage + 1} / {pageCount}</Text>
+          <TouchableOpacity onPress={() => setPage(currentPage + 1)} disabled={currentPage === pageCount - 1}>
+            <Text style={[styles.pagerBtn, currentPage === pageCount - 1 && styles.pagerBtnDisabled]}>Next ›</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+// ---- One grid tile: its own stream, name overlay, stream-state badge ----
+function CameraTile({ camId, cam, width, onPress }) {
+  const [status, setStatus] = useState('connecting');
+  const showStream = cam.health !== 'offline' && !!cam.stream_url;
+
+  return (
+    <TouchableOpacity style={[styles.tile, { width, height: width * 0.75 }]} onPress={onPress} activeOpacity={0.8}>
+      {showStream ? (
+        // The WebView would swallow taps, so it ignores touches and the tile handles them
+        <View style={styles.tileStream} pointerEvents="none">
+          <StreamView
+            key={cam.stream_url}
+            streamUrl={cam.stream_url}
+            stillUrl={stillImageUrl(cam)}
+            cors={streamSendsCors(cam)}
+            onStatusChange={(next) => setStatus(next.status)}
+            showStatus={false}
+          />
+        </View>
+      ) : (
+        <View style={styles.tileOffline}>
+          <Text style={styles.tileOfflineText}>{cam.stream_url ? 'Offline' : 'No stream'}</Text>
+        </View>
+      )}
+
+      <View style={styles.tileOverlay}>
+        <View style={[styles.camStatusDot, { backgroundColor: HEALTH_COLORS[cam.health] }]} />
+        <Text style={styles.tileName} numberOfLines={1}>{camId.replace(/_/g, ' ')}</Text>
+      </View>
+      {showStream && status !== 'live' && (
+        <View style={[styles.streamBadge, { backgroundColor: STREAM_BADGES[status].color }]}>
+          <Text style={styles.streamBadgeText}>{STREAM_BADGES[status].label}</Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+function CameraStatusCard({ camId, cam, slots, isSelected, onSelect, onSlotPress }) {
+  const color = HEALTH_COLORS[cam.health];
+  const occupied = slots.filter((slot) => slot.occupied).length;
 
-  // Format last heartbeat timestamp
-  const heartbeat = cam.last_heartbeat
-    ? new Date(cam.last_heartbeat).toLocaleTimeString()
+  // last_seen is the server time of the last heartbeat (null if never seen)
+  const heartbeat = cam.last_seen
+    ? `${new Date(cam.last_seen).toLocaleTimeString()} (${cam.stale_seconds < 60 ? `${cam.stale_seconds}s` : formatDuration(cam.stale_seconds)} ago)`
     : 'Never';
 
   return (
     <TouchableOpacity
       style={[styles.camCard, isSelected && styles.camCardSelected]}
       onPress={onSelect}
-      disabled={!isOnline}
+      disabled={cam.health === 'offline'}
     >
       <View style={styles.camCardRow}>
-        <View style={[styles.camDot, { backgroundColor: isOnline ? COLORS.checkIn : COLORS.checkOut }]} />
+        <View style={[styles.camDot, { backgroundColor: color }]} />
         <Text style={styles.camCardTitle}>{camId.replace(/_/g, ' ')}</Text>
       </View>
-      <Text style={styles.camCardStatus}>
-        {isOnline ? '● Online' : '● Offline'}
+      <Text style={[styles.camCardStatus, { color }]}>
+        ● {HEALTH_LABELS[cam.health]}
       </Text>
       <Text style={styles.camCardTime}>Last seen: {heartbeat}</Text>
+
+      {/* Covered slots — tap one for its detail screen */}
+      {slots.length > 0 && (
+        <>
+          <Text style={styles.camCardCovers}>
+            Covers {slots.length} slot{slots.length === 1 ? '' : 's'} · {occupied} occupied
+          </Text>
+          <View style={styles.slotChipRow}>
+            {slots.map((slot) => {
+              const chipColor = slotChipColor(slot);
+              return (
+                <TouchableOpacity
+                  key={slot.key}
+                  style={[styles.slotChip, { borderColor: chipColor }]}
+                  onPress={() => onSlotPress(slot.slotId)}
+                >
+                  <Text style={[styles.slotChipText, { color: chipColor }]}>
+                    {(slot.type || '').charAt(0).toUpperCase()}-{slot.slotId}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </>
+      )}
     </TouchableOpacity>
   );
 }
 
+// Same colors as the Dashboard slot grid
+function slotChipColor(slot) {
+  if (slot.out_of_service) return COLORS.slotOutOfServiceText;
+  if (slot.occupied) return COLORS.checkOut;
+  if (slot.reserved) return COLORS.reserved;
+  return COLORS.checkIn;
+}
+
 function StatItem({ label, value, color }) {
   return (
     <View style={styles.statItem}>
@@ -220,6 +409,8 @@ function StatItem({ label, value, color }) {
   );
 }
 
+const GRID_GAP = 6;
+
 const styles = StyleSheet.create({
   gradient: { flex: 1 },
   center: { flex: 1, justifyContent: 'center', alignItems: 'center' },
@@ -228,10 +419,23 @@ const styles = StyleSheet.create({
     padding: SPACING.md,
     paddingTop: SPACING.sm,
   },
+  offlineBanner: { marginTop: SPACING.sm, marginBottom: 0 },
+  headerRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
   headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  galleryLink: { color: COLORS.white, fontSize: 14, fontWeight: '600' },
   headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
 
-  content: { flex: 1, padding: SPACING.md },
+  content: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+
+  // View mode switcher
+  modeRow: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.sm },
+  modeBtn: {
+    backgroundColor: 'rgba(255,255,255,0.2)', borderRadius: RADIUS.full,
+    paddingHorizontal: 14, paddingVertical: 6,
+  },
+  modeBtnActive: { backgroundColor: COLORS.white },
+  modeText: { color: COLORS.white, fontSize: 13, fontWeight: '600' },
+  modeTextActive: { color: COLORS.primary },
 
   // Stream viewer
   streamCard: {
@@ -254,8 +458,14 @@ const styles = StyleSheet.create({
     backgroundColor: COLORS.checkOut,
   },
   liveText: { color: COLORS.white, fontSize: 11, fontWeight: '700' },
-  streamLabel: { color: COLORS.white, fontSize: 13, fontWeight: '600' },
-  webview: { flex: 1 },
+  streamLabel: { flex: 1, color: COLORS.white, fontSize: 13, fontWeight: '600' },
+  captureBtn: {
+    backgroundColor: 'rgba(255,255,255,0.2)', borderRadius: RADIUS.full,
+    paddingHorizontal: 10, paddingVertical: 4,
+  },
+  captureText: { color: COLORS.white, fontSize: 12, fontWeight: '700' },
+  expandBtn: { paddingHorizontal: SPACING.xs },
+  expandText: { color: COLORS.white, fontSize: 18 },
   noStream: {
     flex: 1, justifyContent: 'center', alignItems: 'center', padding: SPACING.lg,
   },
@@ -263,6 +473,37 @@ const styles = StyleSheet.create({
   noStreamText: { color: COLORS.textMuted, fontSize: 14, textAlign: 'center' },
   noStreamNote: { color: COLORS.textMuted, fontSize: 11, textAlign: 'center', marginTop: 8, fontStyle: 'italic' },
 
+  // Grid tiles
+  gridWrap: { marginBottom: SPACING.md },
+  grid: { flexDirection: 'row', flexWrap: 'wrap', gap: GRID_GAP },
+  tile: {
+    backgroundColor: COLORS.textPrimary, borderRadius: RADIUS.md,
+    overflow: 'hidden', ...SHADOW.small,
+  },
+  tileStream: { flex: 1 },
+  tileOffline: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+  tileOfflineText: { color: COLORS.textMuted, fontSize: 12 },
+  tileOverlay: {
+    position: 'absolute', left: 0, right: 0, bottom: 0,
+    flexDirection: 'row', alignItems: 'center', gap: 4,
+    paddingHorizontal: 6, paddingVertical: 3,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  tileName: { flex: 1, color: COLORS.white, fontSize: 11, fontWeight: '600' },
+  streamBadge: {
+    position: 'absolute', top: 4, right: 4,
+    backgroundColor: COLORS.warning, borderRadius: RADIUS.sm,
+    paddingHorizontal: 5, paddingVertical: 1,
+  },
+  streamBadgeText: { color: COLORS.white, fontSize: 10, fontWeight: '800' },
+  pager: {
+    flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center',
+    marginTop: SPACING.sm,
+  },
+  pagerBtn: { color: COLORS.white, fontSize: 14, fontWeight: '700' },
+  pagerBtnDisabled: { opacity: 0.4 },
+  pagerText: { color: 'rgba(255,255,255,0.75)', fontSize: 13 },
+
   // Camera selector chips
   camListScroll: { marginBottom: SPACING.md },
   camChip: {
@@ -292,6 +533,13 @@ const styles = StyleSheet.create({
   camCardTitle: { fontSize: 13, fontWeight: '600', color: COLORS.textPrimary, flex: 1 },
   camCardStatus: { fontSize: 12, color: COLORS.textSecondary },
   camCardTime: { fontSize: 11, color: COLORS.textMuted, marginTop: 2 },
+  camCardCovers: { fontSize: 11, color: COLORS.textSecondary, marginTop: SPACING.xs },
+  slotChipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 4, marginTop: 4 },
+  slotChip: {
+    borderWidth: 1, borderRadius: RADIUS.sm,
+    paddingHorizontal: 6, paddingVertical: 2, backgroundColor: COLORS.white,
+  },
+  slotChipText: { fontSize: 11, fontWeight: '700' },
 
   // Stats footer
   statsCard: {
@@ -0,0 +1,122 @@
+// ============================================================
+// CameraStreamScreen.js — Full-Screen Camera Stream
+// ============================================================
+// Pushed from the CCTV tab when a grid tile or the main viewer
+// is tapped. Locks the device to landscape while open, lets the
+// stream be pinch-zoomed and panned (for reading plates), and
+// steps to the previous / next online camera in place.
+// route.params.camId is the key under cameras/.
+// ============================================================
+
+import React, { useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import * as ScreenOrientation from 'expo-screen-orientation';
+import { useCameraHealth } from '../hooks/useCameraHealth';
+import { stillImageUrl, streamSendsCors } from '../hooks/useSnapshots';
+import { COLORS, SPACING, RADIUS } from '../config/theme';
+import StreamView from '../components/StreamView';
+
+export default function CameraStreamScreen({ route, navigation }) {
+  const { camId } = route.params;
+  const { cameras } = useCameraHealth();
+
+  // Landscape while this screen is open; back to the app default on leave
+  useEffect(() => {
+    ScreenOrientation.lockAsync(ScreenOrientation.OrientationLock.LANDSCAPE).catch(() => {});
+    return () => {
+      ScreenOrientation.unlockAsync().catch(() => {});
+    };
+  }, []);
+
+  const cam = cameras[camId];
+  const streamUrl = cam?.stream_url || '';
+
+  // Cycle through online cameras; the current one stays in the
+  // rotation even if it has just gone stale
+  const rotation = Object.keys(cameras)
+    .filter((id) => id === camId || (cameras[id].health === 'online' && cameras[id].stream_url))
+    .sort();
+  const index = rotation.indexOf(camId);
+  const canCycle = rotation.length > 1;
+
+  const showCamera = (offset) => {
+    const next = rotation[(index + offset + rotation.length) % rotation.length];
+    navigation.setParams({ camId: next });
+  };
+
+  return (
+    <View style={styles.container}>
+      <StatusBar hidden />
+
+      {streamUrl ? (
+        <StreamView key={streamUrl} streamUrl={streamUrl} stillUrl={stillImageUrl(cam)} cors={streamSendsCors(cam)} zoomable />
+      ) : (
+        <View style={styles.noStream}>
+          <Text style={styles.noStreamText}>No stream URL for this camera</Text>
+        </View>
+      )}
+
+      {/* Overlay */}
+      <View style={styles.topBar}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.roundBtn}>
+          <Text style={styles.roundBtnText}>✕</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{camId.replace(/_/g, ' ').toUpperCase()}</Text>
+        {cam?.health === 'offline' ? (
+          <View style={[styles.badge, { backgroundColor: COLORS.checkOut }]}>
+            <Text style={styles.badgeText}>OFFLINE</Text>
+          </View>
+        ) : null}
+        {canCycle && (
+          <Text style={styles.counter}>{index + 1} / {rotation.length}</Text>
+        )}
+      </View>
+
+      {canCycle && (
+        <>
+          <TouchableOpacity style={[styles.sideBtn, styles.sideBtnLeft]} onPress={() => showCamera(-1)}>
+            <Text style={styles.sideBtnText}>‹</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.sideBtn, styles.sideBtnRight]} onPress={() => showCamera(1)}>
+            <Text style={styles.sideBtnText}>›</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#000' },
+  noStream: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+  noStreamText: { color: COLORS.textMuted, fontSize: 14 },
+
+  topBar: {
+    position: 'absolute', top: 0, left: 0, right: 0,
+    flexDirection: 'row', alignItems: 'center',
+    padding: SPACING.md, gap: SPACING.sm,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  roundBtn: {
+    width: 32, height: 32, borderRadius: RADIUS.full,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    justifyContent: 'center', alignItems: 'center',
+  },
+  roundBtnText: { color: COLORS.white, fontSize: 16, fontWeight: '700' },
+  title: { flex: 1, color: COLORS.white, fontSize: 14, fontWeight: '700' },
+  counter: { color: 'rgba(255,255,255,0.75)', fontSize: 12, fontWeight: '600' },
+  badge: { borderRadius: RADIUS.sm, paddingHorizontal: 8, paddingVertical: 3 },
+  badgeText: { color: COLORS.white, fontSize: 11, fontWeight: '800' },
+
+  // Previous / next camera
+  sideBtn: {
+    position: 'absolute', top: '45%',
+    width: 44, height: 44, borderRadius: RADIUS.full,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    justifyContent: 'center', alignItems: 'center',
+  },
+  sideBtnLeft: { left: SPACING.md },
+  sideBtnRight: { right: SPACING.md },
+  sideBtnText: { color: COLORS.white, fontSize: 28, fontWeight: '700', marginTop: -4 },
+});
@@ -1,32 +1,55 @@
 // ============================================================
 // DashboardScreen.js — Vehicle Management Dashboard
 // ============================================================
-// Main screen showing live vehicle counts per type and
-// a slot-by-slot occupancy grid. All data comes from Firebase
-// in real time via custom hooks.
+// Main screen showing vehicle counts per type and a slot-by-slot
+// occupancy grid. All data comes from Firebase in real time via
+// custom hooks. Check-in / check-out counts are for one business
+// day — the current one by default; ‹ › flip back through earlier
+// days. Available counts are always live. Offline, the last
+// synced slots and counts are shown under a banner.
 // ============================================================
 
-import React, { useMemo } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   View, Text, StyleSheet, ScrollView,
   TouchableOpacity, RefreshControl, ActivityIndicator,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { useParkingSpots, useVehicleCounts, computeAvailableCounts, clearSlot } from '../hooks/useFirebase';
+import {
+  useParkingSpots, usePricing, useNow,
+  computeAvailableCounts, clearSlot,
+} from '../hooks/useFirebase';
+import { useBusinessDay, useDailyCounts } from '../hooks/useBusinessDay';
+import { usePermissions } from '../hooks/usePermissions';
+import OfflineBanner from '../components/OfflineBanner';
 import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { calculateSlotFee } from '../utils/pricing';
+import { dateKeyToTime, shiftDateKey } from '../utils/time';
 
 // ---- Vehicle type icons (emoji fallback — replace with react-native-vector-icons if desired) ----
 const VEHICLE_ICONS = { motorcycle: '🏍️', car: '🚗', truck: '🚛' };
 
-export default function DashboardScreen() {
-  const { spots, loading: spotsLoading } = useParkingSpots();
-  const { checkIn, checkOut, loading: countsLoading } = useVehicleCounts();
+export default function DashboardScreen({ navigation }) {
+  const { spots, loading: spotsLoading, syncedAt: spotsSyncedAt } = useParkingSpots();
+  const { dayKey: currentDay, rolloverTime, loading: dayLoading } = useBusinessDay();
+  const [viewedDay, setViewedDay] = useState(null);  // null = follow the current business day
+  const dayKey = viewedDay || currentDay;
+  const isCurrentDay = dayKey >= currentDay;
+  const { checkIn, checkOut, syncedAt: countsSyncedAt } = useDailyCounts(dayKey);
+  const { schedules } = usePricing();
+  const now = useNow();
+  const { can } = usePermissions();
   const [refreshing, setRefreshing] = React.useState(false);
 
   // Derive available counts from live spot data
   const available = useMemo(() => computeAvailableCounts(spots), [spots]);
 
-  const loading = spotsLoading || countsLoading;
+  const loading = spotsLoading || dayLoading;
+
+  const showDay = (offset) => {
+    const next = shiftDateKey(dayKey, offset);
+    setViewedDay(next >= currentDay ? null : next);
+  };
 
   const onRefresh = React.useCallback(() => {
     setRefreshing(true);
@@ -58,6 +81,17 @@ export default function DashboardScreen() {
           <Text style={styles.headerSubtitle}>Live parking status</Text>
         </View>
 
+        <OfflineBanner syncedAt={spotsSyncedAt || countsSyncedAt} />
+
+        {/* Business day shown by the vehicle cards */}
+        <DayPicker
+          dayKey={dayKey}
+          rolloverTime={rolloverTime}
+          isCurrent={isCurrentDay}
+          onPrevious={() => showDay(-1)}
+          onNext={() => showDay(1)}
+        />
+
         {/* Vehicle Type Cards */}
         {['motorcycle', 'car', 'truck'].map((type) => (
           <VehicleCard
@@ -66,18 +100,54 @@ export default function DashboardScreen() {
             icon={VEHICLE_ICONS[type]}
             checkIn={checkIn[type] || 0}
             checkOut={checkOut[type] || 0}
-            available={available[type] || 0}
+            available={isCurrentDay ? available[type] || 0 : '—'}
           />
         ))}
 
-        {/* Slot Grid */}
-        <SlotGrid spots={spots} />
+        {/* Slot Grid — tap a slot for its detail screen, long-press for its camera */}
+        <SlotGrid
+          spots={spots}
+          schedules={schedules}
+          now={now}
+          onSlotPress={(id) => navigation.navigate('SlotDetail', { slotId: id.replace('slot_', '') })}
+          onSlotLongPress={(id, slot) => {
+            if (slot.camera_id && can('view_cctv')) navigation.navigate('CameraStream', { camId: slot.camera_id });
+          }}
+        />
 
       </ScrollView>
     </LinearGradient>
   );
 }
 
+// ---- Business Day Picker ----
+function DayPicker({ dayKey, rolloverTime, isCurrent, onPrevious, onNext }) {
+  const label = new Date(dateKeyToTime(dayKey)).toLocaleDateString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric',
+  });
+
+  return (
+    <View style={styles.dayPicker}>
+      <TouchableOpacity style={styles.dayBtn} onPress={onPrevious}>
+        <Text style={styles.dayBtnText}>‹</Text>
+      </TouchableOpacity>
+      <View style={styles.dayInfo}>
+        <Text style={styles.dayLabel}>{isCurrent ? `Today · ${label}` : label}</Text>
+        <Text style={styles.dayNote}>
+          Business day from {rolloverTime}{isCurrent ? '' : ' · archived counts'}
+        </Text>
+      </View>
+      <TouchableOpacity
+        style={[styles.dayBtn, isCurrent && styles.dayBtnDisabled]}
+        onPress={onNext}
+        disabled={isCurrent}
+      >
+        <Text style={styles.dayBtnText}>›</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
 // ---- Vehicle Summary Card ----
 function VehicleCard({ type, icon, checkIn, checkOut, available }) {
   return (
@@ -111,7 +181,7 @@ function StatItem({ label, value, color }) {
 }
 
 // ---- Parking Slot Grid ----
-function SlotGrid({ spots }) {
+function SlotGrid({ spots, schedules, now, onSlotPress, onSlotLongPress }) {
   const slotEntries = Object.entries(spots);
 
   if (slotEntries.length === 0) {
@@ -126,18 +196,27 @@ function SlotGrid({ spots }) {
   return (
     <View style={styles.card}>
       <Text style={styles.slotGridTitle}>Slot Overview</Text>
+      <Text style={styles.slotGridHint}>Tap a slot for details · long-press to open its camera</Text>
 
       {/* Legend */}
       <View style={styles.legend}>
         <LegendDot color={COLORS.checkIn} label="Available" />
         <LegendDot color={COLORS.checkOut} label="Occupied" />
         <LegendDot color={COLORS.reserved} label="Reserved" />
+        <LegendDot color={COLORS.slotOutOfServiceBorder} label="Closed" />
       </View>
 
       {/* Grid */}
       <View style={styles.slotsGrid}>
         {slotEntries.map(([id, slot]) => (
-          <SlotTile key={id} slotId={id} slot={slot} />
+          <SlotTile
+            key={id}
+            slotId={id}
+            slot={slot}
+            fee={calculateSlotFee(slot, schedules, now)}
+            onPress={() => onSlotPress(id)}
+            onLongPress={() => onSlotLongPress(id, slot)}
+          />
         ))}
       </View>
     </View>
@@ -153,17 +232,23 @@ function LegendDot({ color, label }) {
   );
 }
 
-function SlotTile({ slotId, slot }) {
+function SlotTile({ slotId, slot, fee, onPress, onLongPress }) {
   // Determine style based on occupancy
   const isOccupied = slot.occupied;
   const isReserved = slot.reserved;
+  const isOutOfService = slot.out_of_service;
 
   let bgColor = COLORS.slotAvailableBg;
   let borderColor = COLORS.slotAvailableBorder;
   let textColor = COLORS.slotAvailableText;
   let statusLabel = 'Free';
 
-  if (isOccupied) {
+  if (isOutOfService) {
+    bgColor = COLORS.slotOutOfServiceBg;
+    borderColor = COLORS.slotOutOfServiceBorder;
+    textColor = COLORS.slotOutOfServiceText;
+    statusLabel = 'Closed';
+  } else if (isOccupied) {
     bgColor = COLORS.slotOccupiedBg;
     borderColor = COLORS.slotOccupiedBorder;
     textColor = COLORS.slotOccupiedText;
@@ -179,13 +264,23 @@ function SlotTile({ slotId, slot }) {
   const typeLabel = (slot.type || '').charAt(0).toUpperCase();
 
   return (
-    <View style={[styles.slotTile, { backgroundColor: bgColor, borderColor }]}>
+    <TouchableOpacity
+      style={[styles.slotTile, { backgroundColor: bgColor, borderColor }]}
+      onPress={onPress}
+      onLongPress={onLongPress}
+    >
       <Text style={[styles.slotId, { color: textColor }]}>{typeLabel}-{slotNum}</Text>
       <Text style={[styles.slotStatus, { color: textColor }]}>{statusLabel}</Text>
+      {isReserved && !isOccupied && !isOutOfService && slot.reserved_for ? (
+        <Text style={[styles.slotReservedFor, { color: textColor }]} numberOfLines={1}>{slot.reserved_for}</Text>
+      ) : null}
       {isOccupied && slot.vehicle_type ? (
         <Text style={styles.slotVehicle}>{VEHICLE_ICONS[slot.vehicle_type] || '🚘'}</Text>
       ) : null}
-    </View>
+      {fee ? (
+        <Text style={[styles.slotFee, { color: textColor }]}>₱{fee.amount}</Text>
+      ) : null}
+    </TouchableOpacity>
   );
 }
 
@@ -199,6 +294,19 @@ const styles = StyleSheet.create({
   headerTitle: { fontSize: 28, fontWeight: '700', color: COLORS.white },
   headerSubtitle: { fontSize: 14, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
 
+  // Business day picker
+  dayPicker: { flexDirection: 'row', alignItems: 'center', marginBottom: SPACING.md },
+  dayBtn: {
+    width: 36, height: 36, borderRadius: RADIUS.full,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    justifyContent: 'center', alignItems: 'center',
+  },
+  dayBtnDisabled: { opacity: 0.3 },
+  dayBtnText: { color: COLORS.white, fontSize: 22, fontWeight: '700', marginTop: -2 },
+  dayInfo: { flex: 1, alignItems: 'center' },
+  dayLabel: { color: COLORS.white, fontSize: 15, fontWeight: '700' },
+  dayNote: { color: 'rgba(255,255,255,0.75)', fontSize: 12, marginTop: 2 },
+
   // Card
   card: {
     backgroundColor: COLORS.card,
@@ -234,7 +342,8 @@ const styles = StyleSheet.create({
   statLabel: { fontSize: 12, color: COLORS.textSecondary, marginTop: 2 },
 
   // Slot grid
-  slotGridTitle: { fontSize: 18, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.sm },
+  slotGridTitle: { fontSize: 18, fontWeight: '700', color: COLORS.textPrimary, marginBottom: 2 },
+  slotGridHint: { fontSize: 12, color: COLORS.textMuted, marginBottom: SPACING.sm },
   legend: { flexDirection: 'row', marginBottom: SPACING.md, gap: SPACING.md },
   legendItem: { flexDirection: 'row', alignItems: 'center' },
   legendDot: { width: 10, height: 10, borderRadius: 5, marginRight: 4 },
@@ -250,6 +359,8 @@ const styles = StyleSheet.create({
   slotId: { fontSize: 13, fontWeight: '700' },
   slotStatus: { fontSize: 11, marginTop: 2 },
   slotVehicle: { fontSize: 16, marginTop: 2 },
+  slotReservedFor: { fontSize: 10, fontWeight: '600', marginTop: 2 },
+  slotFee: { fontSize: 11, fontWeight: '700', marginTop: 2 },
 
   // Empty state
   emptyText: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary, textAlign: 'center' },
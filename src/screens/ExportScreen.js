@@ -0,0 +1,236 @@
+// ============================================================
+// ExportScreen.js — Export Logs, Sessions, Alerts and Revenue
+// ============================================================
+// Pushed from Revenue (pre-set to the period shown there) or from
+// Security. Pick a date range, then share any one dataset as CSV
+// or the checked datasets together as a formatted PDF report.
+// route.params { start, end } (ms, end exclusive) are optional.
+// ============================================================
+
+import React, { useState } from 'react';
+import {
+  View, Text, StyleSheet, ScrollView, TextInput,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { auth } from '../config/firebase';
+import { useExport } from '../hooks/useExport';
+import { EXPORT_DATASETS } from '../utils/reports';
+import { periodBounds } from '../utils/revenue';
+import { toDateKey, dateKeyToTime, startOfDay, DAY_MS } from '../utils/time';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+
+// ---- Date range presets; `end` is exclusive ----
+const PRESETS = [
+  { key: 'this_month', label: 'This month', bounds: () => periodBounds('month', 0) },
+  { key: 'last_month', label: 'Last month', bounds: () => periodBounds('month', -1) },
+  { key: 'last_7', label: 'Last 7 days', bounds: () => ({ start: startOfDay() - 6 * DAY_MS, end: startOfDay() + DAY_MS }) },
+  { key: 'custom', label: 'Custom', bounds: null },
+];
+
+export default function ExportScreen({ route, navigation }) {
+  const initial = route.params?.start ? route.params : periodBounds('month', 0);
+  const [preset, setPreset] = useState(route.params?.start ? 'custom' : 'this_month');
+  const [fromText, setFromText] = useState(toDateKey(initial.start));
+  const [toText, setToText] = useState(toDateKey(initial.end - DAY_MS));
+  const [selected, setSelected] = useState(EXPORT_DATASETS.map((d) => d.key));
+  const { busy, exportCsv, exportPdf } = useExport();
+
+  const choosePreset = (key) => {
+    setPreset(key);
+    const entry = PRESETS.find((p) => p.key === key);
+    if (!entry.bounds) return;
+    const { start, end } = entry.bounds();
+    setFromText(toDateKey(start));
+    setToText(toDateKey(end - DAY_MS));
+  };
+
+  // The "to" date is inclusive on screen, exclusive in queries
+  const start = dateKeyToTime(fromText.trim());
+  const lastDay = dateKeyToTime(toText.trim());
+  const rangeError = start === null || lastDay === null
+    ? 'Enter dates as YYYY-MM-DD.'
+    : lastDay < start ? 'The end date is before the start date.' : null;
+  const end = lastDay === null ? null : lastDay + DAY_MS;
+
+  const toggle = (key) => {
+    setSelected((current) => (current.includes(key) ? current.filter((k) => k !== key) : [...current, key]));
+  };
+
+  const handleCsv = async (key) => {
+    if (rangeError) return;
+    try {
+      await exportCsv(key, start, end);
+    } catch (e) {
+      Alert.alert('Export Failed', e.message);
+    }
+  };
+
+  const handlePdf = async () => {
+    if (rangeError || selected.length === 0) return;
+    try {
+      await exportPdf(selected, start, end, auth.currentUser?.email);
+    } catch (e) {
+      Alert.alert('Export Failed', e.message);
+    }
+  };
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+
+        {/* Page Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+            <Text style={styles.backText}>‹ Back</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Export</Text>
+          <Text style={styles.headerSubtitle}>CSV per dataset, or one PDF report</Text>
+        </View>
+
+        {/* Date range */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Date Range</Text>
+          <View style={styles.chipRow}>
+            {PRESETS.map((p) => (
+              <TouchableOpacity
+                key={p.key}
+                style={[styles.chip, preset === p.key && styles.chipActive]}
+                onPress={() => choosePreset(p.key)}
+              >
+                <Text style={[styles.chipText, preset === p.key && styles.chipTextActive]}>{p.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.dateRow}>
+            <DateField label="From" value={fromText} onChangeText={(t) => { setPreset('custom'); setFromText(t); }} />
+            <DateField label="To (inclusive)" value={toText} onChangeText={(t) => { setPreset('custom'); setToText(t); }} />
+          </View>
+          {rangeError && <Text style={styles.errorText}>{rangeError}</Text>}
+        </View>
+
+        {/* Datasets */}
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Data</Text>
+          {EXPORT_DATASETS.map(({ key, label }) => {
+            const checked = selected.includes(key);
+            return (
+              <View key={key} style={styles.datasetRow}>
+                <TouchableOpacity style={styles.datasetToggle} onPress={() => toggle(key)}>
+                  <View style={[styles.checkbox, checked && styles.checkboxChecked]}>
+                    {checked && <Text style={styles.checkmark}>✓</Text>}
+                  </View>
+                  <Text style={styles.datasetLabel}>{label}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.csvBtn, (rangeError || busy) && styles.btnDisabled]}
+                  onPress={() => handleCsv(key)}
+                  disabled={!!rangeError || !!busy}
+                >
+                  {busy === key
+                    ? <ActivityIndicator size="small" color={COLORS.primary} />
+                    : <Text style={styles.csvBtnText}>CSV</Text>}
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+          <Text style={styles.note}>Checked datasets go into the PDF report.</Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.pdfBtn, (rangeError || busy || selected.length === 0) && styles.btnDisabled]}
+          onPress={handlePdf}
+          disabled={!!rangeError || !!busy || selected.length === 0}
+        >
+          {busy === 'pdf'
+            ? <ActivityIndicator color={COLORS.white} />
+            : <Text style={styles.pdfBtnText}>Share PDF Report</Text>}
+        </TouchableOpacity>
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+// ---- Labeled YYYY-MM-DD input ----
+function DateField({ label, ...inputProps }) {
+  return (
+    <View style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="YYYY-MM-DD"
+        placeholderTextColor={COLORS.textMuted}
+        autoCorrect={false}
+        keyboardType="numbers-and-punctuation"
+        maxLength={10}
+        {...inputProps}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+  container: { padding: SPACING.md, paddingTop: SPACING.sm, paddingBottom: SPACING.xxl },
+
+  header: { marginBottom: SPACING.md },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: RADIUS.xl,
+    padding: SPACING.lg,
+    marginBottom: SPACING.md,
+    ...SHADOW.medium,
+  },
+  cardTitle: { fontSize: 18, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.sm },
+
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: SPACING.sm, marginBottom: SPACING.md },
+  chip: {
+    backgroundColor: COLORS.white, borderRadius: RADIUS.full, borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: 12, paddingVertical: 6,
+  },
+  chipActive: { backgroundColor: COLORS.primary, borderColor: COLORS.primary },
+  chipText: { color: COLORS.textSecondary, fontSize: 13, fontWeight: '500' },
+  chipTextActive: { color: COLORS.white, fontWeight: '700' },
+
+  dateRow: { flexDirection: 'row', gap: SPACING.sm },
+  field: { flex: 1 },
+  fieldLabel: { fontSize: 12, fontWeight: '600', color: COLORS.textSecondary, marginBottom: 4 },
+  input: {
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md, paddingVertical: 10,
+    fontSize: 15, color: COLORS.textPrimary,
+  },
+  errorText: { color: COLORS.danger, fontSize: 12, marginTop: SPACING.sm },
+
+  datasetRow: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingVertical: SPACING.sm, borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  datasetToggle: { flex: 1, flexDirection: 'row', alignItems: 'center' },
+  checkbox: {
+    width: 22, height: 22, borderRadius: RADIUS.sm, borderWidth: 2, borderColor: COLORS.textMuted,
+    justifyContent: 'center', alignItems: 'center', marginRight: SPACING.sm,
+  },
+  checkboxChecked: { backgroundColor: COLORS.primary, borderColor: COLORS.primary },
+  checkmark: { color: COLORS.white, fontSize: 13, fontWeight: '800' },
+  datasetLabel: { fontSize: 15, color: COLORS.textPrimary },
+  csvBtn: {
+    minWidth: 60, borderRadius: RADIUS.md, borderWidth: 1, borderColor: COLORS.primary,
+    paddingVertical: 6, paddingHorizontal: SPACING.sm, alignItems: 'center',
+  },
+  csvBtnText: { color: COLORS.primary, fontWeight: '700', fontSize: 13 },
+  note: { fontSize: 12, color: COLORS.textMuted, marginTop: SPACING.sm },
+
+  pdfBtn: {
+    backgroundColor: COLORS.primaryDark, borderRadius: RADIUS.md,
+    paddingVertical: 14, alignItems: 'center', ...SHADOW.small,
+  },
+  pdfBtnText: { color: COLORS.white, fontWeight: '700', fontSize: 16 },
+  btnDisabled: { opacity: 0.5 },
+});
@@ -0,0 +1,248 @@
+// ============================================================
+// LockScreen.js — Unlock After Inactivity
+// ============================================================
+// Drawn by AppNavigator over the whole app when useAutoLock()
+// reports it locked; it is not a navigation route, so the screen
+// underneath keeps its state. It is a Modal of its own so it also
+// covers any sheet that was open when the app locked, and the
+// back button cannot dismiss it. The operator unlocks with their
+// PIN, device biometrics or account password. After
+// MAX_PIN_ATTEMPTS wrong PINs only the password works. Signing
+// out from here hands the tablet to someone else.
+// ============================================================
+
+import React, { useState, useEffect } from 'react';
+import {
+  View, Text, TextInput, TouchableOpacity, StyleSheet,
+  ActivityIndicator, Alert, KeyboardAvoidingView, Platform, ScrollView, Modal,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { signOut, reauthenticateWithCredential, EmailAuthProvider } from 'firebase/auth';
+import { auth } from '../config/firebase';
+import {
+  hasPin, verifyPin, isBiometricEnabled, getBiometricSupport,
+  authenticateBiometric, MAX_PIN_ATTEMPTS,
+} from '../hooks/useAutoLock';
+import { authErrorMessage } from '../utils/authErrors';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+
+export default function LockScreen({ onUnlock }) {
+  const email = auth.currentUser?.email;
+  const [methods, setMethods] = useState(null);   // null = still checking
+  const [usePassword, setUsePassword] = useState(false);
+  const [pin, setPin] = useState('');
+  const [password, setPassword] = useState('');
+  const [wrongPins, setWrongPins] = useState(0);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const pinLocked = wrongPins >= MAX_PIN_ATTEMPTS;
+  const showPin = methods?.pin && !pinLocked && !usePassword;
+  const showPassword = methods && (usePassword || pinLocked || !methods.pin);
+
+  // Which unlock methods this operator has set up on this device
+  useEffect(() => {
+    let cancelled = false;
+    const check = async () => {
+      try {
+        const [pinSet, biometricOn, support] = await Promise.all([
+          hasPin(email), isBiometricEnabled(email), getBiometricSupport(),
+        ]);
+        if (cancelled) return;
+        const found = {
+          pin: pinSet,
+          biometric: biometricOn && support.available,
+          biometricLabel: support.label,
+        };
+        setMethods(found);
+        if (found.biometric) handleBiometric();
+      } catch (e) {
+        if (!cancelled) setMethods({ pin: false, biometric: false });
+      }
+    };
+    check();
+    return () => { cancelled = true; };
+  }, [email]);
+
+  const handleBiometric = async () => {
+    setError(null);
+    try {
+      await authenticateBiometric();
+      onUnlock();
+    } catch (e) {
+      setError(authErrorMessage(e));
+    }
+  };
+
+  const handlePin = async () => {
+    if (!pin) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await verifyPin(email, pin);
+      onUnlock();
+    } catch (e) {
+      const attempts = wrongPins + 1;
+      setWrongPins(attempts);
+      setError(authErrorMessage({ code: attempts >= MAX_PIN_ATTEMPTS ? 'lock/pin-locked' : 'lock/wrong-pin' }));
+      setPin('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePassword = async () => {
+    if (!password) {
+      setError(authErrorMessage({ code: 'auth/missing-password' }));
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await reauthenticateWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+      onUnlock();
+    } catch (e) {
+      setError(authErrorMessage(e));
+      setPassword('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      // AppNavigator drops the lock once the user is signed out
+    } catch (e) {
+      Alert.alert('Error', 'Could not sign out. Please try again.');
+    }
+  };
+
+  return (
+    <Modal visible animationType="fade" statusBarTranslucent onRequestClose={() => {}}>
+      <LinearGradient
+        colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]}
+        style={styles.flex}
+      >
+        <KeyboardAvoidingView behavior={Platform.OS === 'ios' ? 'padding' : 'height'} style={styles.flex}>
+          <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+            <View style={styles.card}>
+              <Text style={styles.icon}>🔒</Text>
+              <Text style={styles.title}>Locked</Text>
+              <Text style={styles.subtitle}>{email}</Text>
+
+              {!methods && <ActivityIndicator color={COLORS.primary} style={{ marginTop: SPACING.lg }} />}
+
+              {showPin && (
+                <>
+                  <TextInput
+                    style={styles.pinInput}
+                    value={pin}
+                    onChangeText={(text) => { setPin(text.replace(/\D/g, '')); setError(null); }}
+                    onSubmitEditing={handlePin}
+                    placeholder="PIN"
+                    placeholderTextColor={COLORS.textMuted}
+                    keyboardType="number-pad"
+                    secureTextEntry
+                    maxLength={8}
+                    editable={!busy}
+                    autoFocus={!methods.biometric}
+                  />
+                  <UnlockButton label="Unlock" busy={busy} onPress={handlePin} />
+                </>
+              )}
+
+              {showPassword && (
+                <>
+                  <TextInput
+                    style={styles.input}
+                    value={password}
+                    onChangeText={(text) => { setPassword(text); setError(null); }}
+                    onSubmitEditing={handlePassword}
+                    placeholder="Account password"
+                    placeholderTextColor={COLORS.textMuted}
+                    secureTextEntry
+                    autoCapitalize="none"
+                    editable={!busy}
+                  />
+                  <UnlockButton label="Unlock with Password" busy={busy} onPress={handlePassword} />
+                </>
+              )}
+
+              {error ? <Text style={styles.error}>{error}</Text> : null}
+
+              {methods?.biometric && (
+                <TouchableOpacity style={styles.secondaryBtn} onPress={handleBiometric} disabled={busy}>
+                  <Text style={styles.secondaryText}>Use {methods.biometricLabel}</Text>
+                </TouchableOpacity>
+              )}
+
+              {methods?.pin && !pinLocked && (
+                <TouchableOpacity
+                  style={styles.linkBtn}
+                  onPress={() => { setUsePassword(!usePassword); setError(null); }}
+                >
+                  <Text style={styles.linkText}>{usePassword ? 'Use PIN instead' : 'Use password instead'}</Text>
+                </TouchableOpacity>
+              )}
+
+              <TouchableOpacity style={styles.linkBtn} onPress={handleSignOut}>
+                <Text style={[styles.linkText, { color: COLORS.danger }]}>Sign out</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </KeyboardAvoidingView>
+      </LinearGradient>
+    </Modal>
+  );
+}
+
+function UnlockButton({ label, busy, onPress }) {
+  return (
+    <TouchableOpacity style={[styles.unlockBtn, busy && { opacity: 0.7 }]} onPress={onPress} disabled={busy}>
+      {busy ? <ActivityIndicator color={COLORS.white} /> : <Text style={styles.unlockText}>{label}</Text>}
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  flex: { flex: 1 },
+  container: { flexGrow: 1, justifyContent: 'center', padding: SPACING.lg },
+  card: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.xl, alignItems: 'center', ...SHADOW.large,
+  },
+  icon: { fontSize: 48, marginBottom: SPACING.sm },
+  title: { fontSize: 22, fontWeight: '700', color: COLORS.textPrimary },
+  subtitle: { fontSize: 14, color: COLORS.textSecondary, marginTop: 4, marginBottom: SPACING.md },
+
+  pinInput: {
+    alignSelf: 'stretch', textAlign: 'center',
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingVertical: 12, fontSize: 24, letterSpacing: 10, color: COLORS.textPrimary,
+  },
+  input: {
+    alignSelf: 'stretch',
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md, paddingVertical: 14,
+    fontSize: 15, color: COLORS.textPrimary,
+  },
+  unlockBtn: {
+    alignSelf: 'stretch', alignItems: 'center',
+    backgroundColor: COLORS.primary, borderRadius: RADIUS.md,
+    paddingVertical: 14, marginTop: SPACING.md, ...SHADOW.medium,
+  },
+  unlockText: { color: COLORS.white, fontSize: 16, fontWeight: '700' },
+  error: { fontSize: 13, color: COLORS.danger, textAlign: 'center', marginTop: SPACING.sm },
+
+  secondaryBtn: {
+    alignSelf: 'stretch', alignItems: 'center',
+    borderRadius: RADIUS.md, borderWidth: 1, borderColor: COLORS.primary,
+    paddingVertical: 12, marginTop: SPACING.md,
+  },
+  secondaryText: { color: COLORS.primary, fontSize: 15, fontWeight: '600' },
+  linkBtn: { paddingVertical: SPACING.sm, marginTop: SPACING.sm },
+  linkText: { fontSize: 14, fontWeight: '600', color: COLORS.primary },
+});
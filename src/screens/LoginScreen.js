@@ -13,8 +13,9 @@ import {
   KeyboardAvoidingView, Platform, ScrollView,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { signInWithEmailAndPassword } from 'firebase/auth';
+import { signInWithEmailAndPassword, sendPasswordResetEmail } from 'firebase/auth';
 import { auth } from '../config/firebase';
+import { authErrorMessage } from '../utils/authErrors';
 import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
 
 export default function LoginScreen() {
@@ -22,6 +23,7 @@ export default function LoginScreen() {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [resetting, setResetting] = useState(false);
 
   // ---- Firebase Email/Password Sign-In ----
   const handleLogin = async () => {
@@ -36,20 +38,38 @@ export default function LoginScreen() {
       await signInWithEmailAndPassword(auth, email.trim(), password);
       // Navigation is handled automatically by the auth state listener in AppNavigator.js
     } catch (error) {
-      // Map Firebase error codes to friendly messages
-      const messages = {
-        'auth/user-not-found': 'No account found with this email.',
-        'auth/wrong-password': 'Incorrect password. Please try again.',
-        'auth/invalid-email': 'Please enter a valid email address.',
-        'auth/too-many-requests': 'Too many attempts. Please wait before trying again.',
-        'auth/network-request-failed': 'Network error. Check your internet connection.',
-      };
-      Alert.alert('Login Failed', messages[error.code] || error.message);
+      Alert.alert('Login Failed', authErrorMessage(error));
     } finally {
       setLoading(false);
     }
   };
 
+  // ---- Forgot Password: email a reset link to the typed address ----
+  const handleForgotPassword = async () => {
+    if (!email.trim()) {
+      Alert.alert('Reset Password', authErrorMessage({ code: 'auth/missing-email' }));
+      return;
+    }
+
+    // Same answer whether or not the account exists, so the screen
+    // cannot be used to find out which emails are operators
+    const sent = () => Alert.alert(
+      'Check Your Email',
+      `If an operator account exists for ${email.trim()}, a password reset link is on its way.`
+    );
+
+    setResetting(true);
+    try {
+      await sendPasswordResetEmail(auth, email.trim());
+      sent();
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') sent();
+      else Alert.alert('Reset Failed', authErrorMessage(error));
+    } finally {
+      setResetting(false);
+    }
+  };
+
   return (
     <LinearGradient
       colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]}
@@ -72,15 +92,15 @@ export default function LoginScreen() {
 
           {/* Login Card */}
           <View style={styles.card}>
-            <Text style={styles.cardTitle}>Admin Login</Text>
-            <Text style={styles.cardSubtitle}>Sign in to your admin account</Text>
+            <Text style={styles.cardTitle}>Operator Login</Text>
+            <Text style={styles.cardSubtitle}>Sign in with the account your administrator invited</Text>
 
             {/* Email Input */}
             <View style={styles.inputWrapper}>
               <Text style={styles.inputLabel}>Email Address</Text>
               <TextInput
                 style={styles.input}
-                placeholder="admin@parking.com"
+                placeholder="name@parking.com"
                 placeholderTextColor={COLORS.textMuted}
                 value={email}
                 onChangeText={setEmail}
@@ -112,6 +132,15 @@ export default function LoginScreen() {
               </View>
             </View>
 
+            {/* Forgot Password */}
+            <TouchableOpacity
+              style={styles.forgotBtn}
+              onPress={handleForgotPassword}
+              disabled={resetting}
+            >
+              <Text style={styles.forgotText}>{resetting ? 'Sending…' : 'Forgot password?'}</Text>
+            </TouchableOpacity>
+
             {/* Login Button */}
             <TouchableOpacity
               style={[styles.loginBtn, loading && styles.loginBtnDisabled]}
@@ -127,7 +156,7 @@ export default function LoginScreen() {
 
             {/* Info note */}
             <Text style={styles.footerNote}>
-              Only authorized administrators can access this system.
+              Only invited operators can access this system. Ask an administrator for an account.
             </Text>
           </View>
 
@@ -231,6 +260,15 @@ const styles = StyleSheet.create({
     borderBottomRightRadius: RADIUS.md,
   },
   eyeText: { fontSize: 18 },
+  forgotBtn: {
+    alignSelf: 'flex-end',
+    paddingVertical: 4,
+  },
+  forgotText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: COLORS.primary,
+  },
   loginBtn: {
     backgroundColor: COLORS.primary,
     borderRadius: RADIUS.md,
@@ -0,0 +1,64 @@
+// ============================================================
+// NoAccessScreen.js — Signed In Without a Role
+// ============================================================
+// Shown instead of the main tabs when the signed-in account has
+// no role under users/ or has been disabled. An admin has to
+// assign a role (or re-enable the account) before it can see
+// anything; until then the only action is signing out.
+// ============================================================
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { signOut } from 'firebase/auth';
+import { auth } from '../config/firebase';
+import { useCurrentOperator } from '../hooks/usePermissions';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+
+export default function NoAccessScreen() {
+  const { operator } = useCurrentOperator();
+  const disabled = !!operator?.disabled;
+
+  const handleSignOut = async () => {
+    try {
+      await signOut(auth);
+      // Navigation handled by auth state listener in AppNavigator
+    } catch (e) {
+      Alert.alert('Error', 'Could not sign out. Please try again.');
+    }
+  };
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+      <View style={styles.card}>
+        <Text style={styles.icon}>🔒</Text>
+        <Text style={styles.title}>{disabled ? 'Account Disabled' : 'No Access Yet'}</Text>
+        <Text style={styles.message}>
+          {disabled
+            ? `${auth.currentUser?.email || 'This account'} has been disabled. Ask an administrator if you think this is a mistake.`
+            : `${auth.currentUser?.email || 'This account'} has not been given a role. Ask an administrator to assign one.`}
+        </Text>
+        <TouchableOpacity style={styles.signOutBtn} onPress={handleSignOut}>
+          <Text style={styles.signOutText}>Sign Out</Text>
+        </TouchableOpacity>
+      </View>
+    </LinearGradient>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1, justifyContent: 'center', padding: SPACING.lg },
+  card: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.xl, alignItems: 'center', ...SHADOW.large,
+  },
+  icon: { fontSize: 48, marginBottom: SPACING.sm },
+  title: { fontSize: 22, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.sm },
+  message: { fontSize: 14, color: COLORS.textSecondary, textAlign: 'center', lineHeight: 20 },
+  signOutBtn: {
+    backgroundColor: COLORS.danger, borderRadius: RADIUS.md,
+    paddingVertical: 14, alignSelf: 'stretch', alignItems: 'center',
+    marginTop: SPACING.lg, ...SHADOW.medium,
+  },
+  signOutText: { color: COLORS.white, fontSize: 16, fontWeight: '700' },
+});
@@ -0,0 +1,376 @@
+// ============================================================
+// PlateListsScreen.js — Allowed / Blocked Plate Management
+// ============================================================
+// Add, remove, search and bulk-import the plates in
+// settings/allowed_plates and settings/blocked_plates. The
+// entrance camera checks arrivals against the same lists.
+// ============================================================
+
+import React, { useState, useMemo } from 'react';
+import {
+  View, Text, StyleSheet, FlatList, TextInput,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { auth } from '../config/firebase';
+import {
+  usePlateList, addPlate, removePlate, parsePlateImport, importPlates, isEntryValid,
+} from '../hooks/usePlateLists';
+import { QUEUED_MESSAGE } from '../hooks/useOffline';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { normalizePlate } from '../utils/plates';
+import AppModal from '../components/AppModal';
+
+const EMPTY_FORM = { plate: '', owner_name: '', valid_from: '', valid_until: '', notes: '' };
+
+export default function PlateListsScreen({ navigation }) {
+  const [list, setList] = useState('allowed');
+  const [search, setSearch] = useState('');
+  const [formVisible, setFormVisible] = useState(false);
+  const [importVisible, setImportVisible] = useState(false);
+  const { entries, loading } = usePlateList(list);
+
+  const filtered = useMemo(() => {
+    const query = normalizePlate(search);
+    const text = search.trim().toLowerCase();
+    if (!text) return entries;
+    return entries.filter((entry) =>
+      (query && entry.plate.includes(query))
+      || (entry.owner_name || '').toLowerCase().includes(text)
+      || (entry.notes || '').toLowerCase().includes(text));
+  }, [entries, search]);
+
+  const handleRemove = (entry) => {
+    Alert.alert(
+      'Remove Plate',
+      `Remove ${entry.plate} from the ${list} list?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const result = await removePlate(list, entry.plate);
+              if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+            } catch (e) {
+              Alert.alert('Error', 'Could not remove the plate. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const accent = list === 'allowed' ? COLORS.checkIn : COLORS.danger;
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+
+      {/* Page Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Plate Lists</Text>
+        <Text style={styles.headerSubtitle}>{entries.length} {list} plates</Text>
+      </View>
+
+      {/* List switcher + search */}
+      <View style={styles.controls}>
+        <View style={styles.segment}>
+          {['allowed', 'blocked'].map((option) => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.segmentBtn, list === option && styles.segmentBtnActive]}
+              onPress={() => setList(option)}
+            >
+              <Text style={[styles.segmentText, list === option && styles.segmentTextActive]}>
+                {option === 'allowed' ? '✅ Allowed' : '⛔ Blocked'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search plate, owner or notes..."
+          placeholderTextColor={COLORS.textMuted}
+          value={search}
+          onChangeText={setSearch}
+          autoCorrect={false}
+        />
+        <View style={styles.toolbar}>
+          <TouchableOpacity style={styles.toolBtn} onPress={() => setFormVisible(true)}>
+            <Text style={styles.toolBtnText}>+ Add Plate</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.toolBtn} onPress={() => setImportVisible(true)}>
+            <Text style={styles.toolBtnText}>Bulk Import</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator color={COLORS.white} style={{ marginTop: SPACING.lg }} />
+      ) : (
+        <FlatList
+          data={filtered}
+          keyExtractor={(item) => item.plate}
+          contentContainerStyle={styles.list}
+          renderItem={({ item }) => (
+            <PlateRow entry={item} accent={accent} onRemove={() => handleRemove(item)} />
+          )}
+          ListEmptyComponent={
+            <View style={styles.card}>
+              <Text style={styles.emptyText}>No plates found</Text>
+            </View>
+          }
+        />
+      )}
+
+      <PlateFormModal
+        visible={formVisible}
+        list={list}
+        onClose={() => setFormVisible(false)}
+      />
+      <ImportModal
+        visible={importVisible}
+        list={list}
+        onClose={() => setImportVisible(false)}
+      />
+    </LinearGradient>
+  );
+}
+
+function PlateRow({ entry, accent, onRemove }) {
+  const valid = isEntryValid(entry);
+  const period = entry.valid_from || entry.valid_until
+    ? `${entry.valid_from || '…'} → ${entry.valid_until || '…'}`
+    : 'No expiry';
+
+  return (
+    <View style={[styles.plateRow, { borderLeftColor: valid ? accent : COLORS.textMuted }]}>
+      <View style={styles.plateBody}>
+        <Text style={styles.plateText}>{entry.plate}</Text>
+        {entry.owner_name ? <Text style={styles.plateMeta}>{entry.owner_name}</Text> : null}
+        <Text style={styles.plateMeta}>{period}{valid ? '' : ' · not valid today'}</Text>
+        {entry.notes ? <Text style={styles.plateNotes}>{entry.notes}</Text> : null}
+      </View>
+      <TouchableOpacity onPress={onRemove} style={styles.removeBtn}>
+        <Text style={styles.removeText}>Remove</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+// ---- Add / edit one plate ----
+function PlateFormModal({ visible, list, onClose }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const { plate, ...details } = form;
+      const result = await addPlate(list, plate, details, auth.currentUser?.email);
+      setForm(EMPTY_FORM);
+      onClose();
+      if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+    } catch (e) {
+      Alert.alert('Could Not Save', e.message || 'Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <AppModal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.sheetTitle}>Add to {list} list</Text>
+          <FormField label="Plate" value={form.plate} onChangeText={setField('plate')} autoCapitalize="characters" />
+          <FormField label="Owner name" value={form.owner_name} onChangeText={setField('owner_name')} />
+          <View style={styles.formRow}>
+            <View style={{ flex: 1 }}>
+              <FormField label="Valid from" placeholder="YYYY-MM-DD" value={form.valid_from} onChangeText={setField('valid_from')} />
+            </View>
+            <View style={{ flex: 1 }}>
+              <FormField label="Valid until" placeholder="YYYY-MM-DD" value={form.valid_until} onChangeText={setField('valid_until')} />
+            </View>
+          </View>
+          <FormField label="Notes" value={form.notes} onChangeText={setField('notes')} />
+
+          <View style={styles.sheetActions}>
+            <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={onClose} disabled={saving}>
+              <Text style={styles.btnCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.btn, styles.btnConfirm]} onPress={handleSave} disabled={saving}>
+              {saving ? <ActivityIndicator color={COLORS.white} /> : <Text style={styles.btnConfirmText}>Save</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </AppModal>
+  );
+}
+
+// ---- Paste many plates at once ----
+function ImportModal({ visible, list, onClose }) {
+  const [text, setText] = useState('');
+  const [importing, setImporting] = useState(false);
+
+  const handleImport = () => {
+    const { entries, errors } = parsePlateImport(text);
+    if (entries.length === 0) {
+      Alert.alert('Nothing to Import', errors.length > 0 ? errors.slice(0, 5).join('\n') : 'Paste one plate per line.');
+      return;
+    }
+
+    const warning = errors.length > 0 ? `\n\n${errors.length} line(s) will be skipped:\n${errors.slice(0, 5).join('\n')}` : '';
+    Alert.alert(
+      'Confirm Import',
+      `Add ${entries.length} plate(s) to the ${list} list?${warning}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Import',
+          onPress: async () => {
+            setImporting(true);
+            try {
+              const result = await importPlates(list, entries, auth.currentUser?.email);
+              setText('');
+              onClose();
+              if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+            } catch (e) {
+              Alert.alert('Error', 'Could not import plates. Please try again.');
+            } finally {
+              setImporting(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <AppModal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.sheetTitle}>Bulk import to {list} list</Text>
+          <Text style={styles.sheetNote}>One per line: PLATE, owner, valid from, valid until, notes</Text>
+          <TextInput
+            style={[styles.input, styles.importInput]}
+            multiline
+            value={text}
+            onChangeText={setText}
+            placeholder={'ABC1234, Juan Dela Cruz, 2026-01-01, 2026-12-31, Tenant B2\nXYZ987'}
+            placeholderTextColor={COLORS.textMuted}
+            autoCapitalize="characters"
+            autoCorrect={false}
+          />
+          <View style={styles.sheetActions}>
+            <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={onClose} disabled={importing}>
+              <Text style={styles.btnCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.btn, styles.btnConfirm]} onPress={handleImport} disabled={importing}>
+              {importing ? <ActivityIndicator color={COLORS.white} /> : <Text style={styles.btnConfirmText}>Import</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </AppModal>
+  );
+}
+
+function FormField({ label, ...inputProps }) {
+  return (
+    <View style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        placeholderTextColor={COLORS.textMuted}
+        autoCorrect={false}
+        {...inputProps}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+
+  header: { padding: SPACING.md, paddingTop: SPACING.sm },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+
+  controls: { paddingHorizontal: SPACING.md },
+  segment: {
+    flexDirection: 'row', backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: RADIUS.md, padding: 4, marginBottom: SPACING.sm,
+  },
+  segmentBtn: { flex: 1, paddingVertical: 8, borderRadius: RADIUS.sm, alignItems: 'center' },
+  segmentBtnActive: { backgroundColor: COLORS.white },
+  segmentText: { color: COLORS.white, fontWeight: '600' },
+  segmentTextActive: { color: COLORS.primary },
+  searchInput: {
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    paddingHorizontal: SPACING.md, paddingVertical: 10,
+    fontSize: 15, color: COLORS.textPrimary, marginBottom: SPACING.sm,
+  },
+  toolbar: { flexDirection: 'row', gap: SPACING.sm },
+  toolBtn: {
+    flex: 1, backgroundColor: 'rgba(255,255,255,0.2)', borderRadius: RADIUS.md,
+    paddingVertical: 10, alignItems: 'center',
+  },
+  toolBtnText: { color: COLORS.white, fontWeight: '700' },
+
+  list: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+  card: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.lg, ...SHADOW.medium,
+  },
+  emptyText: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary, textAlign: 'center' },
+
+  plateRow: {
+    flexDirection: 'row', alignItems: 'center',
+    backgroundColor: COLORS.card, borderRadius: RADIUS.md,
+    borderLeftWidth: 4, padding: SPACING.md,
+    marginBottom: SPACING.sm, ...SHADOW.small,
+  },
+  plateBody: { flex: 1 },
+  plateText: { fontSize: 16, fontWeight: '800', color: COLORS.textPrimary, letterSpacing: 1 },
+  plateMeta: { fontSize: 12, color: COLORS.textSecondary, marginTop: 2 },
+  plateNotes: { fontSize: 12, color: COLORS.textMuted, marginTop: 2, fontStyle: 'italic' },
+  removeBtn: { paddingHorizontal: SPACING.sm, paddingVertical: 6 },
+  removeText: { color: COLORS.danger, fontWeight: '600', fontSize: 13 },
+
+  // Modals
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: COLORS.overlay },
+  sheet: {
+    backgroundColor: COLORS.card,
+    borderTopLeftRadius: RADIUS.xl, borderTopRightRadius: RADIUS.xl,
+    padding: SPACING.lg, paddingBottom: SPACING.xl,
+    ...SHADOW.large,
+  },
+  sheetTitle: { fontSize: 20, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.sm, textTransform: 'capitalize' },
+  sheetNote: { fontSize: 12, color: COLORS.textMuted, marginBottom: SPACING.sm },
+  formRow: { flexDirection: 'row', gap: SPACING.sm },
+  field: { marginBottom: SPACING.sm },
+  fieldLabel: { fontSize: 13, fontWeight: '600', color: COLORS.textSecondary, marginBottom: 4 },
+  input: {
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md, paddingVertical: 10,
+    fontSize: 15, color: COLORS.textPrimary,
+  },
+  importInput: { height: 160, textAlignVertical: 'top' },
+  sheetActions: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.md },
+  btn: { flex: 1, borderRadius: RADIUS.md, paddingVertical: 14, alignItems: 'center' },
+  btnCancel: { backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border },
+  btnCancelText: { color: COLORS.textSecondary, fontWeight: '600', fontSize: 15 },
+  btnConfirm: { backgroundColor: COLORS.primary },
+  btnConfirmText: { color: COLORS.white, fontWeight: '700', fontSize: 15 },
+});
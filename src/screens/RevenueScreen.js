@@ -0,0 +1,281 @@
+// ============================================================
+// RevenueScreen.js — Revenue Report
+// ============================================================
+// Pushed from the Analytics tab. Totals the amounts stored on
+// completed parking_sessions for a calendar day, week or month,
+// overall and per vehicle type, with the average per session and
+// the change from the period before. ‹ / › step back and forward
+// through past periods. Sessions with no stored amount are listed
+// as unbilled rather than priced after the fact. Export › opens the
+// export screen set to the period shown.
+// ============================================================
+
+import React, { useState, useMemo } from 'react';
+import {
+  View, Text, StyleSheet, ScrollView,
+  TouchableOpacity, ActivityIndicator,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { useStartOfToday } from '../hooks/useFirebase';
+import { useSessionHistory } from '../hooks/useAnalytics';
+import { usePermissions } from '../hooks/usePermissions';
+import {
+  REVENUE_PERIODS, periodBounds, sessionsInRange,
+  summarizeRevenue, dailyRevenue, periodChange, formatPeso,
+} from '../utils/revenue';
+import { dateKeyToTime } from '../utils/time';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+
+const VEHICLE_TYPES = ['motorcycle', 'car', 'truck'];
+const VEHICLE_ICONS = { motorcycle: '🏍️', car: '🚗', truck: '🚛' };
+
+export default function RevenueScreen({ navigation }) {
+  const [periodKey, setPeriodKey] = useState('day');
+  const [offset, setOffset] = useState(0);
+
+  const today = useStartOfToday();
+  const { can } = usePermissions();
+  const current = periodBounds(periodKey, offset, today);
+  const previous = periodBounds(periodKey, offset - 1, today);
+
+  // One query covers both periods; they are split below
+  const { sessions, loading } = useSessionHistory(previous.start, current.end);
+
+  const report = useMemo(() => {
+    const currentSessions = sessionsInRange(sessions, current.start, current.end);
+    const previousSessions = sessionsInRange(sessions, previous.start, previous.end);
+    return {
+      current: summarizeRevenue(currentSessions),
+      previous: summarizeRevenue(previousSessions),
+      daily: periodKey === 'day' ? [] : dailyRevenue(currentSessions, current.start, current.end),
+    };
+  }, [sessions, current.start, current.end, previous.start, previous.end, periodKey]);
+
+  const selectPeriod = (key) => {
+    setPeriodKey(key);
+    setOffset(0);
+  };
+
+  const periodNoun = REVENUE_PERIODS.find((p) => p.key === periodKey).label.toLowerCase();
+  const { current: totals, previous: before } = report;
+  const maxDaily = Math.max(1, ...report.daily.map((day) => day.total));
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+      <ScrollView contentContainerStyle={styles.container} showsVerticalScrollIndicator={false}>
+
+        {/* Page Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+            <Text style={styles.backText}>‹ Back</Text>
+          </TouchableOpacity>
+          <View style={styles.headerRow}>
+            <Text style={styles.headerTitle}>Revenue</Text>
+            {can('export_reports') && (
+              <TouchableOpacity onPress={() => navigation.navigate('Export', { start: current.start, end: current.end })}>
+                <Text style={styles.headerLink}>Export ›</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <Text style={styles.headerSubtitle}>From amounts recorded at check-out</Text>
+        </View>
+
+        {/* Period type */}
+        <View style={styles.segment}>
+          {REVENUE_PERIODS.map((p) => (
+            <TouchableOpacity
+              key={p.key}
+              style={[styles.segmentBtn, periodKey === p.key && styles.segmentBtnActive]}
+              onPress={() => selectPeriod(p.key)}
+            >
+              <Text style={[styles.segmentText, periodKey === p.key && styles.segmentTextActive]}>{p.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Period navigation */}
+        <View style={styles.periodNav}>
+          <TouchableOpacity style={styles.periodBtn} onPress={() => setOffset(offset - 1)}>
+            <Text style={styles.periodBtnText}>‹</Text>
+          </TouchableOpacity>
+          <Text style={styles.periodLabel}>{current.label}</Text>
+          <TouchableOpacity
+            style={[styles.periodBtn, offset >= 0 && styles.periodBtnDisabled]}
+            onPress={() => setOffset(offset + 1)}
+            disabled={offset >= 0}
+          >
+            <Text style={styles.periodBtnText}>›</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <ActivityIndicator color={COLORS.white} style={{ marginTop: SPACING.lg }} />
+        ) : (
+          <>
+            {/* Totals */}
+            <View style={styles.card}>
+              <Text style={styles.totalLabel}>Total Revenue</Text>
+              <Text style={styles.totalValue}>{formatPeso(totals.total)}</Text>
+              <ChangeText change={periodChange(totals.total, before.total)} noun={periodNoun} />
+
+              <View style={styles.statsRow}>
+                <StatItem label="Sessions" value={totals.billed} />
+                <StatItem label="Avg / Session" value={formatPeso(totals.average)} />
+                <StatItem label={`Previous ${periodNoun}`} value={formatPeso(before.total)} />
+              </View>
+
+              {totals.unbilled > 0 && (
+                <Text style={styles.unbilledNote}>
+                  {totals.unbilled} departure{totals.unbilled === 1 ? '' : 's'} recorded by slot cameras
+                  without a check-out — not included above.
+                </Text>
+              )}
+            </View>
+
+            {/* By vehicle type */}
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>By Vehicle Type</Text>
+              {VEHICLE_TYPES.map((type) => {
+                const now = totals.byType[type] || { total: 0, billed: 0, average: null };
+                const then = before.byType[type] || { total: 0 };
+                return (
+                  <View key={type} style={styles.typeRow}>
+                    <Text style={styles.typeIcon}>{VEHICLE_ICONS[type]}</Text>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.typeName}>{type.charAt(0).toUpperCase() + type.slice(1)}</Text>
+                      <Text style={styles.typeMeta}>
+                        {now.billed} session{now.billed === 1 ? '' : 's'} · avg {formatPeso(now.average)}
+                      </Text>
+                    </View>
+                    <View style={styles.typeRight}>
+                      <Text style={styles.typeTotal}>{formatPeso(now.total)}</Text>
+                      <ChangeText change={periodChange(now.total, then.total)} compact />
+                    </View>
+                  </View>
+                );
+              })}
+            </View>
+
+            {/* Daily breakdown */}
+            {report.daily.length > 0 && (
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>By Day</Text>
+                {report.daily.map((day) => (
+                  <View key={day.date} style={styles.dayRow}>
+                    <Text style={styles.dayLabel}>
+                      {new Date(dateKeyToTime(day.date)).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' })}
+                    </Text>
+                    <View style={styles.dayBarTrack}>
+                      <View style={[styles.dayBar, { width: `${(day.total / maxDaily) * 100}%` }]} />
+                    </View>
+                    <Text style={styles.dayValue}>{formatPeso(day.total)}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+// ---- Stat in the totals card ----
+function StatItem({ label, value }) {
+  return (
+    <View style={styles.statItem}>
+      <Text style={styles.statValue}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+}
+
+// ---- "▲ 12% vs previous week" ----
+function ChangeText({ change, noun, compact = false }) {
+  if (change === null) {
+    return <Text style={[styles.change, { color: COLORS.textMuted }]}>{compact ? '—' : 'No earlier figures to compare'}</Text>;
+  }
+  const up = change >= 0;
+  const text = `${up ? '▲' : '▼'} ${Math.abs(Math.round(change * 100))}%`;
+  return (
+    <Text style={[styles.change, { color: up ? COLORS.success : COLORS.danger }]}>
+      {compact ? text : `${text} vs previous ${noun}`}
+    </Text>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+  container: { padding: SPACING.md, paddingTop: SPACING.sm, paddingBottom: SPACING.xxl },
+
+  header: { marginBottom: SPACING.md },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerLink: { color: COLORS.white, fontSize: 14, fontWeight: '600' },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+
+  // Period toggle
+  segment: {
+    flexDirection: 'row', backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: RADIUS.full, padding: 4, marginBottom: SPACING.sm,
+  },
+  segmentBtn: { flex: 1, paddingVertical: 8, borderRadius: RADIUS.full, alignItems: 'center' },
+  segmentBtnActive: { backgroundColor: COLORS.white },
+  segmentText: { color: COLORS.white, fontSize: 13, fontWeight: '600' },
+  segmentTextActive: { color: COLORS.primary, fontWeight: '700' },
+
+  periodNav: { flexDirection: 'row', alignItems: 'center', marginBottom: SPACING.md },
+  periodBtn: {
+    width: 36, height: 36, borderRadius: RADIUS.full,
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    justifyContent: 'center', alignItems: 'center',
+  },
+  periodBtnDisabled: { opacity: 0.3 },
+  periodBtnText: { color: COLORS.white, fontSize: 22, fontWeight: '700', marginTop: -2 },
+  periodLabel: { flex: 1, textAlign: 'center', color: COLORS.white, fontSize: 15, fontWeight: '700' },
+
+  // Card
+  card: {
+    backgroundColor: COLORS.card,
+    borderRadius: RADIUS.xl,
+    padding: SPACING.lg,
+    marginBottom: SPACING.md,
+    ...SHADOW.medium,
+  },
+  cardTitle: { fontSize: 18, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.sm },
+
+  totalLabel: { fontSize: 13, color: COLORS.textSecondary },
+  totalValue: { fontSize: 34, fontWeight: '800', color: COLORS.textPrimary, marginTop: 2 },
+  change: { fontSize: 12, fontWeight: '700', marginTop: 2 },
+  statsRow: {
+    flexDirection: 'row', marginTop: SPACING.md, paddingTop: SPACING.md,
+    borderTopWidth: 1, borderTopColor: COLORS.border,
+  },
+  statItem: { alignItems: 'center', flex: 1 },
+  statValue: { fontSize: 16, fontWeight: '800', color: COLORS.primary },
+  statLabel: { fontSize: 11, color: COLORS.textSecondary, marginTop: 2, textAlign: 'center' },
+  unbilledNote: { fontSize: 12, color: COLORS.warning, marginTop: SPACING.md },
+
+  // Vehicle type rows
+  typeRow: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingVertical: SPACING.sm, borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  typeIcon: { fontSize: 22, marginRight: SPACING.sm },
+  typeName: { fontSize: 15, fontWeight: '600', color: COLORS.textPrimary },
+  typeMeta: { fontSize: 12, color: COLORS.textMuted, marginTop: 2 },
+  typeRight: { alignItems: 'flex-end' },
+  typeTotal: { fontSize: 15, fontWeight: '700', color: COLORS.textPrimary },
+
+  // Daily rows
+  dayRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 4 },
+  dayLabel: { width: 60, fontSize: 12, color: COLORS.textSecondary },
+  dayBarTrack: {
+    flex: 1, height: 10, borderRadius: RADIUS.full,
+    backgroundColor: COLORS.border, overflow: 'hidden', marginHorizontal: SPACING.sm,
+  },
+  dayBar: { height: '100%', backgroundColor: COLORS.checkIn, borderRadius: RADIUS.full },
+  dayValue: { width: 80, fontSize: 12, fontWeight: '600', color: COLORS.textPrimary, textAlign: 'right' },
+});
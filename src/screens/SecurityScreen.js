@@ -2,20 +2,37 @@
 // SecurityScreen.js — Security Management Screen
 // ============================================================
 // Shows real-time security alerts, access logs (authorized vs.
-// denied entries), and system status from Firebase.
+// denied entries), and system status from Firebase. Alert actions,
+// plate lists and export only show for roles allowed to use them.
+// Offline, the last synced alerts are shown under a banner and
+// alert actions are queued until the connection is back.
 // ============================================================
 
 import React from 'react';
 import {
   View, Text, StyleSheet, ScrollView,
-  ActivityIndicator, RefreshControl,
+  ActivityIndicator, RefreshControl, TouchableOpacity, Alert, Image,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
-import { useAlerts } from '../hooks/useFirebase';
+import {
+  useAlerts, useGuardRoster, useTodayAccessCounts,
+  computeGuardsOnDuty,
+  activeAlerts, acknowledgeAlert, assignAlert, resolveAlert,
+} from '../hooks/useFirebase';
+import { useCameraHealth, computeCameraUptime } from '../hooks/useCameraHealth';
+import { usePermissions } from '../hooks/usePermissions';
+import { QUEUED_MESSAGE } from '../hooks/useOffline';
+import OfflineBanner from '../components/OfflineBanner';
+import { auth } from '../config/firebase';
 import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { formatDuration } from '../utils/time';
 
-export default function SecurityScreen() {
-  const { alerts } = useAlerts();
+export default function SecurityScreen({ navigation }) {
+  const { alerts, syncedAt: alertsSyncedAt } = useAlerts();
+  const { cameras, syncedAt: camerasSyncedAt } = useCameraHealth();
+  const { roster } = useGuardRoster();
+  const { authorized, denied } = useTodayAccessCounts();
+  const { can } = usePermissions();
   const [refreshing, setRefreshing] = React.useState(false);
 
   const onRefresh = () => {
@@ -23,10 +40,30 @@ export default function SecurityScreen() {
     setTimeout(() => setRefreshing(false), 800);
   };
 
-  // Count alert types
-  const fullCapacityAlerts = Array.isArray(alerts.full_capacity) ? alerts.full_capacity : [];
-  const offlineAlerts = Array.isArray(alerts.camera_offline) ? alerts.camera_offline : [];
-  const unauthorizedAlerts = Array.isArray(alerts.unauthorized) ? alerts.unauthorized : [];
+  // Unresolved alerts per type (newest first)
+  const fullCapacityAlerts = activeAlerts(alerts.full_capacity);
+  const offlineAlerts = activeAlerts(alerts.camera_offline);
+  const unauthorizedAlerts = activeAlerts(alerts.unauthorized);
+
+  // ---- Alert lifecycle actions ----
+  const runAlertAction = async (action, alert) => {
+    try {
+      const result = await action(alert.category, alert.id, auth.currentUser?.email);
+      if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+    } catch (e) {
+      Alert.alert('Error', 'Could not update the alert. Please try again.');
+    }
+  };
+  const alertActions = can('handle_alerts') ? {
+    onAcknowledge: (alert) => runAlertAction(acknowledgeAlert, alert),
+    onAssign: (alert) => runAlertAction(assignAlert, alert),
+    onResolve: (alert) => runAlertAction(resolveAlert, alert),
+  } : {};
+
+  // Live status figures
+  const guardsOnDuty = computeGuardsOnDuty(roster);
+  const cameraUptime = computeCameraUptime(cameras);
+  const allCamerasUp = cameraUptime.total > 0 && cameraUptime.online === cameraUptime.total;
 
   return (
     <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
@@ -41,6 +78,8 @@ export default function SecurityScreen() {
           <Text style={styles.headerSubtitle}>Alerts and access control</Text>
         </View>
 
+        <OfflineBanner syncedAt={alertsSyncedAt || camerasSyncedAt} />
+
         {/* System Status Card */}
         <View style={styles.card}>
           <View style={styles.cardAccentBar} />
@@ -49,9 +88,14 @@ export default function SecurityScreen() {
           </View>
           <View style={styles.statusGrid}>
             <StatusItem icon="✅" label="System Status" value="Active" color={COLORS.checkIn} />
-            <StatusItem icon="👮" label="Guards on Duty" value="4" color={COLORS.primary} />
+            <StatusItem icon="👮" label="Guards on Duty" value={String(guardsOnDuty)} color={COLORS.primary} />
             <StatusItem icon="🔒" label="Security Level" value="High" color={COLORS.checkIn} />
-            <StatusItem icon="⏱️" label="System Uptime" value="99.8%" color={COLORS.primary} />
+            <StatusItem
+              icon="⏱️"
+              label={`System Uptime (${cameraUptime.online}/${cameraUptime.total} cams)`}
+              value={cameraUptime.uptimeSeconds > 0 ? formatDuration(cameraUptime.uptimeSeconds) : '—'}
+              color={allCamerasUp ? COLORS.primary : COLORS.warning}
+            />
           </View>
         </View>
 
@@ -87,19 +131,49 @@ export default function SecurityScreen() {
             <Text style={styles.cardTitle}>🔑 Access Control</Text>
           </View>
           <View style={styles.statsRow}>
-            <StatItem label="Authorized Today" value="156" color={COLORS.checkIn} />
-            <StatItem label="Denied Today" value="8" color={COLORS.checkOut} />
+            <StatItem label="Authorized Today" value={authorized} color={COLORS.checkIn} />
+            <StatItem label="Denied Today" value={denied} color={COLORS.checkOut} />
           </View>
+          <TouchableOpacity style={styles.linkBtn} onPress={() => navigation.navigate('AccessLog')}>
+            <Text style={styles.linkBtnText}>View Access Log ›</Text>
+          </TouchableOpacity>
+          {can('manage_plate_lists') && (
+            <TouchableOpacity style={styles.linkBtn} onPress={() => navigation.navigate('PlateLists')}>
+              <Text style={styles.linkBtnText}>Manage Allowed / Blocked Plates ›</Text>
+            </TouchableOpacity>
+          )}
+          {can('export_reports') && (
+            <TouchableOpacity style={styles.linkBtn} onPress={() => navigation.navigate('Export')}>
+              <Text style={styles.linkBtnText}>Export Logs & Reports ›</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
+        {/* Unauthorized Entries — tap for snapshot and actions */}
+        {unauthorizedAlerts.length > 0 && (
+          <View style={styles.card}>
+            <View style={[styles.cardAccentBar, { backgroundColor: COLORS.danger }]} />
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>🚫 Unauthorized Entries</Text>
+            </View>
+            {unauthorizedAlerts.slice(0, 10).map((alert) => (
+              <UnauthorizedItem
+                key={alert.id}
+                alert={alert}
+                onPress={() => navigation.navigate('UnauthorizedAlert', { alertId: alert.id })}
+              />
+            ))}
+          </View>
+        )}
+
         {/* Recent Alerts List */}
         {fullCapacityAlerts.length > 0 && (
           <View style={styles.card}>
             <View style={styles.cardHeader}>
               <Text style={styles.cardTitle}>🚨 Capacity Alerts</Text>
             </View>
-            {fullCapacityAlerts.slice(-5).reverse().map((alert, idx) => (
-              <AlertItem key={idx} message={alert} color={COLORS.checkOut} />
+            {fullCapacityAlerts.slice(0, 5).map((alert) => (
+              <AlertItem key={alert.id} alert={alert} color={COLORS.checkOut} {...alertActions} />
             ))}
           </View>
         )}
@@ -109,8 +183,8 @@ export default function SecurityScreen() {
             <View style={styles.cardHeader}>
               <Text style={styles.cardTitle}>📷 Camera Offline Alerts</Text>
             </View>
-            {offlineAlerts.slice(-5).reverse().map((alert, idx) => (
-              <AlertItem key={idx} message={alert} color={COLORS.warning} />
+            {offlineAlerts.slice(0, 5).map((alert) => (
+              <AlertItem key={alert.id} alert={alert} color={COLORS.warning} {...alertActions} />
             ))}
           </View>
         )}
@@ -156,14 +230,63 @@ function StatItem({ label, value, color }) {
   );
 }
 
-function AlertItem({ message, color }) {
+function AlertItem({ alert, color, onAcknowledge, onAssign, onResolve }) {
+  const me = auth.currentUser?.email;
+
   return (
     <View style={[styles.alertItem, { borderLeftColor: color }]}>
-      <Text style={styles.alertItemText}>{message}</Text>
+      <Text style={styles.alertItemText}>{alert.message}</Text>
+      <Text style={styles.alertItemMeta}>
+        {alert.time ? new Date(alert.time).toLocaleString() : 'Time unknown'}
+        {alert.acknowledged ? ` · Ack by ${alert.acknowledged_by}` : ''}
+        {alert.assignee ? ` · Assigned to ${alert.assignee}` : ''}
+      </Text>
+      {onResolve ? (
+        <View style={styles.alertActions}>
+          {!alert.acknowledged && (
+            <AlertAction label="Acknowledge" onPress={() => onAcknowledge(alert)} />
+          )}
+          {alert.assignee !== me && (
+            <AlertAction label="Assign to me" onPress={() => onAssign(alert)} />
+          )}
+          <AlertAction label="Resolve" onPress={() => onResolve(alert)} strong />
+        </View>
+      ) : null}
     </View>
   );
 }
 
+function UnauthorizedItem({ alert, onPress }) {
+  return (
+    <TouchableOpacity style={styles.unauthItem} onPress={onPress}>
+      {alert.snapshot_url ? (
+        <Image source={{ uri: alert.snapshot_url }} style={styles.unauthThumb} />
+      ) : (
+        <View style={[styles.unauthThumb, styles.unauthThumbEmpty]}>
+          <Text>📷</Text>
+        </View>
+      )}
+      <View style={styles.unauthBody}>
+        <Text style={styles.unauthPlate}>{alert.plate || 'Plate not read'}</Text>
+        <Text style={styles.alertItemMeta}>
+          {alert.time ? new Date(alert.time).toLocaleString() : 'Time unknown'}
+          {alert.camera ? ` · ${alert.camera.replace(/_/g, ' ')}` : ''}
+        </Text>
+        {alert.escalated ? <Text style={styles.unauthEscalated}>Escalated</Text> : null}
+      </View>
+      <Text style={styles.unauthChevron}>›</Text>
+    </TouchableOpacity>
+  );
+}
+
+function AlertAction({ label, onPress, strong }) {
+  return (
+    <TouchableOpacity style={[styles.alertAction, strong && styles.alertActionStrong]} onPress={onPress}>
+      <Text style={[styles.alertActionText, strong && styles.alertActionTextStrong]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
 const styles = StyleSheet.create({
   gradient: { flex: 1 },
   container: { padding: SPACING.md, paddingBottom: SPACING.xxl },
@@ -209,11 +332,38 @@ const styles = StyleSheet.create({
   statValue: { fontSize: 28, fontWeight: '800' },
   statLabel: { fontSize: 12, color: COLORS.textSecondary, marginTop: 2 },
 
+  linkBtn: {
+    marginTop: SPACING.md, paddingTop: SPACING.md,
+    borderTopWidth: 1, borderTopColor: COLORS.border, alignItems: 'center',
+  },
+  linkBtnText: { fontSize: 14, fontWeight: '600', color: COLORS.primary },
+
   alertItem: {
     borderLeftWidth: 3, paddingLeft: SPACING.sm, paddingVertical: 6,
     marginBottom: SPACING.sm,
   },
   alertItemText: { fontSize: 13, color: COLORS.textPrimary },
+  alertItemMeta: { fontSize: 11, color: COLORS.textMuted, marginTop: 2 },
+  alertActions: { flexDirection: 'row', gap: SPACING.sm, marginTop: 6 },
+  alertAction: {
+    borderRadius: RADIUS.sm, borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: 10, paddingVertical: 4, backgroundColor: COLORS.white,
+  },
+  alertActionStrong: { backgroundColor: COLORS.primary, borderColor: COLORS.primary },
+  alertActionText: { fontSize: 12, fontWeight: '600', color: COLORS.textSecondary },
+  alertActionTextStrong: { color: COLORS.white },
+
+  unauthItem: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  unauthThumb: { width: 56, height: 42, borderRadius: RADIUS.sm, backgroundColor: COLORS.border },
+  unauthThumbEmpty: { justifyContent: 'center', alignItems: 'center' },
+  unauthBody: { flex: 1, marginLeft: SPACING.sm },
+  unauthPlate: { fontSize: 14, fontWeight: '700', color: COLORS.textPrimary },
+  unauthEscalated: { fontSize: 11, fontWeight: '700', color: COLORS.danger, marginTop: 2 },
+  unauthChevron: { fontSize: 22, color: COLORS.textMuted, marginLeft: SPACING.sm },
 
   noAlerts: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary, textAlign: 'center' },
   noAlertsNote: { fontSize: 13, color: COLORS.textSecondary, textAlign: 'center', marginTop: 4 },
@@ -1,15 +1,21 @@
 // ============================================================
 // SettingsScreen.js — System Settings & Admin Options
 // ============================================================
-// Allows admins to view system config, sign out, and
-// see database info. Rate editing would require Firebase
-// write permissions.
+// Allows admins to view system config, edit parking rates
+// (every change is recorded under settings/rate_history), set
+// the business day rollover time and the auto-lock timeout, set
+// up this device's unlock PIN and biometrics, sign out, and see
+// database info. System Health shows the live connection, clock
+// offset, auth token and camera heartbeat state (useSystemHealth.js).
+// Every role can open it; the Edit links only show for roles with
+// the edit_rates / edit_settings permissions, and the Operators
+// link only for admins. Every operator manages their own PIN.
 // ============================================================
 
 import React, { useState } from 'react';
 import {
   View, Text, StyleSheet, ScrollView,
-  TouchableOpacity, Alert, Switch, ActivityIndicator,
+  TouchableOpacity, Alert, Switch, ActivityIndicator, TextInput,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { signOut } from 'firebase/auth';
@@ -17,12 +23,43 @@ import { ref, get } from 'firebase/database';
 import { auth, database } from '../config/firebase';
 import { DB_PATHS } from '../config/dbPaths';
 import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { useRateHistory, validateRate, updateRates } from '../hooks/useFirebase';
+import { useBusinessDaySettings, validateRolloverTime, saveRolloverTime } from '../hooks/useBusinessDay';
+import { usePermissions } from '../hooks/usePermissions';
+import { QUEUED_MESSAGE } from '../hooks/useOffline';
+import { useSystemHealth } from '../hooks/useSystemHealth';
+import {
+  useAutoLockSettings, saveAutoLockTimeout, AUTO_LOCK_OPTIONS,
+  hasPin, clearPin, getBiometricSupport, isBiometricEnabled, setBiometricEnabled,
+} from '../hooks/useAutoLock';
+import { ROLE_INFO } from '../config/roles';
+import { authErrorMessage } from '../utils/authErrors';
+import PinSheet from '../components/PinSheet';
+
+const VEHICLE_TYPES = ['motorcycle', 'car', 'truck'];
+const VEHICLE_ICONS = { motorcycle: '🏍️', car: '🚗', truck: '🚛' };
 
-export default function SettingsScreen() {
+export default function SettingsScreen({ navigation }) {
   const [notifEnabled, setNotifEnabled] = useState(true);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [rates, setRates] = useState({ motorcycle: 10, car: 20, truck: 30 });
   const [loadingRates, setLoadingRates] = useState(false);
+  const [editingRates, setEditingRates] = useState(false);
+  const [rateDrafts, setRateDrafts] = useState({});
+  const [rateErrors, setRateErrors] = useState({});
+  const [savingRates, setSavingRates] = useState(false);
+  const { history: rateHistory } = useRateHistory(5);
+  const { settings: businessDay } = useBusinessDaySettings();
+  const [rolloverDraft, setRolloverDraft] = useState(null);  // null = not editing
+  const [rolloverError, setRolloverError] = useState(null);
+  const [savingRollover, setSavingRollover] = useState(false);
+  const { role, can } = usePermissions();
+  const { settings: autoLock } = useAutoLockSettings();
+  const health = useSystemHealth();
+  const [savingTimeout, setSavingTimeout] = useState(false);
+  const [pinSet, setPinSet] = useState(false);
+  const [pinSheetVisible, setPinSheetVisible] = useState(false);
+  const [biometric, setBiometric] = useState({ available: false, label: 'Biometrics', enabled: false });
 
   // Fetch current rates from Firebase on mount
   React.useEffect(() => {
@@ -40,6 +77,137 @@ export default function SettingsScreen() {
     fetchRates();
   }, []);
 
+  // ---- Rate Editing ----
+  const startEditingRates = () => {
+    setRateDrafts(Object.fromEntries(VEHICLE_TYPES.map((type) => [type, String(rates[type] ?? 0)])));
+    setRateErrors({});
+    setEditingRates(true);
+  };
+
+  const handleSaveRates = () => {
+    // Validate every field before asking for confirmation
+    const errors = {};
+    VEHICLE_TYPES.forEach((type) => {
+      const message = validateRate(rateDrafts[type]);
+      if (message) errors[type] = message;
+    });
+    setRateErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const changes = {};
+    VEHICLE_TYPES.forEach((type) => {
+      const to = Number(rateDrafts[type]);
+      const from = rates[type] ?? 0;
+      if (to !== from) changes[type] = { from, to };
+    });
+
+    if (Object.keys(changes).length === 0) {
+      setEditingRates(false);
+      return;
+    }
+
+    const summary = Object.entries(changes)
+      .map(([type, { from, to }]) => `${type}: ₱${from} → ₱${to}`)
+      .join('\n');
+
+    Alert.alert(
+      'Confirm Rate Change',
+      summary,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Save',
+          onPress: async () => {
+            setSavingRates(true);
+            try {
+              const result = await updateRates(changes, auth.currentUser?.email);
+              setRates((prev) => ({
+                ...prev,
+                ...Object.fromEntries(Object.entries(changes).map(([type, { to }]) => [type, to])),
+              }));
+              setEditingRates(false);
+              if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+            } catch (e) {
+              Alert.alert('Error', 'Could not save rates. Please try again.');
+            } finally {
+              setSavingRates(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // ---- Business Day Rollover ----
+  const handleSaveRollover = async () => {
+    const message = validateRolloverTime(rolloverDraft);
+    setRolloverError(message);
+    if (message) return;
+
+    setSavingRollover(true);
+    try {
+      await saveRolloverTime(rolloverDraft, auth.currentUser?.email);
+      setRolloverDraft(null);
+    } catch (e) {
+      Alert.alert('Error', 'Could not save the rollover time. Please try again.');
+    } finally {
+      setSavingRollover(false);
+    }
+  };
+
+  // ---- Screen Lock (PIN and biometrics live on this device) ----
+  const loadLockMethods = async () => {
+    const email = auth.currentUser?.email;
+    try {
+      const [pinExists, support, enabled] = await Promise.all([
+        hasPin(email), getBiometricSupport(), isBiometricEnabled(email),
+      ]);
+      setPinSet(pinExists);
+      setBiometric({ ...support, enabled });
+    } catch (e) {
+      console.log('Could not read screen lock settings:', e.message);
+    }
+  };
+
+  React.useEffect(() => {
+    loadLockMethods();
+  }, []);
+
+  const handleTimeout = async (minutes) => {
+    if (minutes === autoLock.timeout_minutes) return;
+    setSavingTimeout(true);
+    try {
+      await saveAutoLockTimeout(minutes, auth.currentUser?.email);
+    } catch (e) {
+      Alert.alert('Error', 'Could not save the auto-lock timeout. Please try again.');
+    } finally {
+      setSavingTimeout(false);
+    }
+  };
+
+  const handleRemovePin = () => {
+    Alert.alert('Remove PIN', 'Unlock with biometrics or your password instead?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          await clearPin(auth.currentUser?.email);
+          loadLockMethods();
+        },
+      },
+    ]);
+  };
+
+  const handleBiometricToggle = async (enabled) => {
+    try {
+      await setBiometricEnabled(auth.currentUser?.email, enabled);
+      setBiometric((prev) => ({ ...prev, enabled }));
+    } catch (e) {
+      Alert.alert(biometric.label, authErrorMessage(e));
+    }
+  };
+
   // ---- Sign Out ----
   const handleSignOut = () => {
     Alert.alert(
@@ -79,43 +247,233 @@ export default function SettingsScreen() {
         <View style={styles.card}>
           <View style={[styles.cardAccentBar, { backgroundColor: COLORS.primary }]} />
           <View style={styles.cardHeader}>
-            <Text style={styles.cardTitle}>👤 Admin Profile</Text>
+            <Text style={styles.cardTitle}>👤 Profile</Text>
           </View>
           <View style={styles.profileRow}>
             <View style={styles.avatar}>
-              <Text style={styles.avatarText}>A</Text>
+              <Text style={styles.avatarText}>{(currentUser?.email || '?').charAt(0).toUpperCase()}</Text>
             </View>
-            <View>
-              <Text style={styles.profileName}>Administrator</Text>
-              <Text style={styles.profileEmail}>{currentUser?.email || 'admin@parking.com'}</Text>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.profileName}>{ROLE_INFO[role]?.label || 'Operator'}</Text>
+              <Text style={styles.profileEmail}>{currentUser?.email || '—'}</Text>
+              {role ? <Text style={styles.settingNote}>{ROLE_INFO[role].description}</Text> : null}
             </View>
           </View>
+          {can('manage_users') && (
+            <TouchableOpacity style={styles.linkBtn} onPress={() => navigation.navigate('UserManagement')}>
+              <Text style={styles.linkBtnText}>Manage Operators ›</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Parking Rates Card */}
         <View style={styles.card}>
           <View style={[styles.cardAccentBar, { backgroundColor: COLORS.checkIn }]} />
-          <View style={styles.cardHeader}>
+          <View style={[styles.cardHeader, styles.cardHeaderRow]}>
             <Text style={styles.cardTitle}>💰 Parking Rates (per hour)</Text>
+            {!loadingRates && !editingRates && can('edit_rates') && (
+              <TouchableOpacity onPress={startEditingRates}>
+                <Text style={styles.editLink}>Edit</Text>
+              </TouchableOpacity>
+            )}
           </View>
           {loadingRates ? (
             <ActivityIndicator color={COLORS.primary} />
           ) : (
-            ['motorcycle', 'car', 'truck'].map((type) => (
-              <View key={type} style={styles.rateRow}>
-                <Text style={styles.rateLabel}>
-                  {type === 'motorcycle' ? '🏍️' : type === 'car' ? '🚗' : '🚛'} {type.charAt(0).toUpperCase() + type.slice(1)}
-                </Text>
-                <Text style={styles.rateValue}>₱{rates[type] || 0}/hr</Text>
+            VEHICLE_TYPES.map((type) => (
+              <View key={type}>
+                <View style={styles.rateRow}>
+                  <Text style={styles.rateLabel}>
+                    {VEHICLE_ICONS[type]} {type.charAt(0).toUpperCase() + type.slice(1)}
+                  </Text>
+                  {editingRates ? (
+                    <TextInput
+                      style={[styles.rateInput, rateErrors[type] && styles.rateInputError]}
+                      value={rateDrafts[type]}
+                      onChangeText={(text) => setRateDrafts((prev) => ({ ...prev, [type]: text }))}
+                      keyboardType="decimal-pad"
+                      editable={!savingRates}
+                    />
+                  ) : (
+                    <Text style={styles.rateValue}>₱{rates[type] || 0}/hr</Text>
+                  )}
+                </View>
+                {editingRates && rateErrors[type] ? (
+                  <Text style={styles.rateError}>{rateErrors[type]}</Text>
+                ) : null}
               </View>
             ))
           )}
-          {/* 
-            To make rates editable, add TextInput fields here and call:
-            update(ref(database, DB_PATHS.RATES), { motorcycle: val, car: val, truck: val })
-          */}
+
+          {editingRates && (
+            <View style={styles.rateActions}>
+              <TouchableOpacity
+                style={[styles.rateBtn, styles.rateBtnCancel]}
+                onPress={() => setEditingRates(false)}
+                disabled={savingRates}
+              >
+                <Text style={styles.rateBtnCancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.rateBtn, styles.rateBtnSave]}
+                onPress={handleSaveRates}
+                disabled={savingRates}
+              >
+                {savingRates ? (
+                  <ActivityIndicator color={COLORS.white} />
+                ) : (
+                  <Text style={styles.rateBtnSaveText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Recent changes (audit trail) */}
+          {rateHistory.length > 0 && (
+            <View style={styles.historyBlock}>
+              <Text style={styles.historyTitle}>Recent changes</Text>
+              {rateHistory.map((entry) => (
+                <Text key={entry.id} style={styles.historyItem}>
+                  {entry.vehicle_type}: ₱{entry.old_value} → ₱{entry.new_value} · {entry.editor}
+                  {entry.timestamp ? ` · ${new Date(entry.timestamp).toLocaleString()}` : ''}
+                </Text>
+              ))}
+            </View>
+          )}
+        </View>
+
+        {/* Business Day Card */}
+        <View style={styles.card}>
+          <View style={[styles.cardAccentBar, { backgroundColor: COLORS.primary }]} />
+          <View style={[styles.cardHeader, styles.cardHeaderRow]}>
+            <Text style={styles.cardTitle}>🕕 Business Day</Text>
+            {rolloverDraft === null && can('edit_settings') && (
+              <TouchableOpacity onPress={() => { setRolloverDraft(businessDay.rollover_time); setRolloverError(null); }}>
+                <Text style={styles.editLink}>Edit</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <View style={styles.rateRow}>
+            <Text style={styles.rateLabel}>Counters roll over at</Text>
+            {rolloverDraft === null ? (
+              <Text style={styles.rateValue}>{businessDay.rollover_time}</Text>
+            ) : (
+              <TextInput
+                style={[styles.rateInput, rolloverError && styles.rateInputError]}
+                value={rolloverDraft}
+                onChangeText={setRolloverDraft}
+                placeholder="HH:MM"
+                keyboardType="numbers-and-punctuation"
+                maxLength={5}
+                editable={!savingRollover}
+              />
+            )}
+          </View>
+          {rolloverError ? <Text style={styles.rateError}>{rolloverError}</Text> : null}
+          <Text style={styles.settingNote}>
+            Check-in / check-out counts before this time count toward the previous day.
+            Past days stay viewable on the Dashboard.
+          </Text>
+
+          {rolloverDraft !== null && (
+            <View style={styles.rateActions}>
+              <TouchableOpacity
+                style={[styles.rateBtn, styles.rateBtnCancel]}
+                onPress={() => setRolloverDraft(null)}
+                disabled={savingRollover}
+              >
+                <Text style={styles.rateBtnCancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.rateBtn, styles.rateBtnSave]}
+                onPress={handleSaveRollover}
+                disabled={savingRollover}
+              >
+                {savingRollover ? (
+                  <ActivityIndicator color={COLORS.white} />
+                ) : (
+                  <Text style={styles.rateBtnSaveText}>Save</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
 
+        {/* Screen Lock Card */}
+        <View style={styles.card}>
+          <View style={[styles.cardAccentBar, { backgroundColor: COLORS.danger }]} />
+          <View style={[styles.cardHeader, styles.cardHeaderRow]}>
+            <Text style={styles.cardTitle}>🔒 Screen Lock</Text>
+            {savingTimeout && <ActivityIndicator color={COLORS.primary} />}
+          </View>
+
+          <Text style={styles.settingLabel}>Lock after inactivity</Text>
+          <View style={styles.chipRow}>
+            {AUTO_LOCK_OPTIONS.map((minutes) => {
+              const active = autoLock.timeout_minutes === minutes;
+              return (
+                <TouchableOpacity
+                  key={minutes}
+                  style={[styles.chip, active && styles.chipActive]}
+                  onPress={() => handleTimeout(minutes)}
+                  disabled={!can('edit_settings') || savingTimeout}
+                >
+                  <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                    {minutes === 0 ? 'Never' : `${minutes}m`}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.settingNote}>
+            Applies to every device.{can('edit_settings') ? '' : ' Only admins can change it.'}
+          </Text>
+
+          <View style={styles.divider} />
+
+          <View style={styles.settingRow}>
+            <View>
+              <Text style={styles.settingLabel}>Unlock PIN</Text>
+              <Text style={styles.settingNote}>{pinSet ? 'Set on this device' : 'Not set — unlock needs your password'}</Text>
+            </View>
+            <View style={styles.pinActions}>
+              {pinSet && (
+                <TouchableOpacity onPress={handleRemovePin}>
+                  <Text style={[styles.editLink, { color: COLORS.danger }]}>Remove</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={() => setPinSheetVisible(true)}>
+                <Text style={styles.editLink}>{pinSet ? 'Change' : 'Set PIN'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          <View style={styles.divider} />
+
+          <View style={styles.settingRow}>
+            <View>
+              <Text style={styles.settingLabel}>Unlock with {biometric.label}</Text>
+              <Text style={styles.settingNote}>
+                {biometric.available ? 'Uses the biometrics enrolled on this device' : 'Not set up on this device'}
+              </Text>
+            </View>
+            <Switch
+              value={biometric.enabled}
+              onValueChange={handleBiometricToggle}
+              disabled={!biometric.available && !biometric.enabled}
+              trackColor={{ false: COLORS.border, true: COLORS.primary + '80' }}
+              thumbColor={biometric.enabled ? COLORS.primary : COLORS.textMuted}
+            />
+          </View>
+        </View>
+
+        <PinSheet
+          visible={pinSheetVisible}
+          replacing={pinSet}
+          onClose={() => setPinSheetVisible(false)}
+          onSaved={loadLockMethods}
+        />
+
         {/* App Settings Card */}
         <View style={styles.card}>
           <View style={[styles.cardAccentBar, { backgroundColor: COLORS.warning }]} />
@@ -159,10 +517,12 @@ export default function SettingsScreen() {
             <Text style={styles.cardTitle}>🖥️ System Health</Text>
           </View>
           <View style={styles.healthGrid}>
-            <HealthItem label="Firebase" status="Connected" ok />
-            <HealthItem label="Database" status="Online" ok />
-            <HealthItem label="Auth" status="Active" ok />
-            <HealthItem label="Uptime" status="99.8%" ok />
+            <HealthItem label="Database" {...health.database} />
+            <HealthItem label="Server Clock" {...health.clock} />
+            <HealthItem label="Auth Session" {...health.auth} />
+            <HealthItem label="Cameras" {...health.cameras} />
+            <HealthItem label="Heartbeats" {...health.heartbeat} />
+            <HealthItem label="Offline Queue" {...health.queue} />
           </View>
         </View>
 
@@ -217,6 +577,11 @@ const styles = StyleSheet.create({
   avatarText: { color: COLORS.white, fontSize: 20, fontWeight: '700' },
   profileName: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary },
   profileEmail: { fontSize: 13, color: COLORS.textSecondary, marginTop: 2 },
+  linkBtn: {
+    marginTop: SPACING.md, paddingTop: SPACING.md,
+    borderTopWidth: 1, borderTopColor: COLORS.border, alignItems: 'center',
+  },
+  linkBtnText: { fontSize: 14, fontWeight: '600', color: COLORS.primary },
 
   // Rates
   rateRow: {
@@ -226,6 +591,26 @@ const styles = StyleSheet.create({
   },
   rateLabel: { fontSize: 15, color: COLORS.textPrimary },
   rateValue: { fontSize: 15, fontWeight: '700', color: COLORS.primary },
+  cardHeaderRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  editLink: { fontSize: 14, fontWeight: '600', color: COLORS.primary },
+  rateInput: {
+    minWidth: 90, textAlign: 'right',
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.sm,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: SPACING.sm, paddingVertical: 6,
+    fontSize: 15, color: COLORS.textPrimary,
+  },
+  rateInputError: { borderColor: COLORS.danger },
+  rateError: { fontSize: 12, color: COLORS.danger, marginTop: 4 },
+  rateActions: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.md },
+  rateBtn: { flex: 1, borderRadius: RADIUS.md, paddingVertical: 12, alignItems: 'center' },
+  rateBtnCancel: { backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border },
+  rateBtnCancelText: { color: COLORS.textSecondary, fontWeight: '600' },
+  rateBtnSave: { backgroundColor: COLORS.primary },
+  rateBtnSaveText: { color: COLORS.white, fontWeight: '700' },
+  historyBlock: { marginTop: SPACING.md },
+  historyTitle: { fontSize: 13, fontWeight: '700', color: COLORS.textSecondary, marginBottom: 4 },
+  historyItem: { fontSize: 12, color: COLORS.textMuted, paddingVertical: 2 },
 
   // Settings toggles
   settingRow: {
@@ -236,6 +621,17 @@ const styles = StyleSheet.create({
   settingNote: { fontSize: 12, color: COLORS.textMuted, marginTop: 2 },
   divider: { height: 1, backgroundColor: COLORS.border, marginVertical: SPACING.sm },
 
+  // Screen lock
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: SPACING.sm, marginTop: SPACING.sm },
+  chip: {
+    borderRadius: RADIUS.md, paddingVertical: 8, paddingHorizontal: SPACING.md,
+    backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border,
+  },
+  chipActive: { backgroundColor: COLORS.primary, borderColor: COLORS.primary },
+  chipText: { fontSize: 13, fontWeight: '600', color: COLORS.textSecondary },
+  chipTextActive: { color: COLORS.white },
+  pinActions: { flexDirection: 'row', gap: SPACING.md },
+
   // Health grid
   healthGrid: { flexDirection: 'row', flexWrap: 'wrap', gap: SPACING.sm },
   healthItem: {
@@ -0,0 +1,407 @@
+// ============================================================
+// SlotDetailScreen.js — Everything About One Parking Slot
+// ============================================================
+// Pushed from the Dashboard slot grid. Shows the current
+// vehicle, elapsed time and running fee, the slot camera's
+// live stream, recent completed sessions, and admin actions
+// (check out, clear, reserve, out-of-service). Actions and the
+// camera only show for roles allowed to use them. Actions taken
+// offline are queued until the connection is back.
+// ============================================================
+
+import React, { useState } from 'react';
+import {
+  View, Text, StyleSheet, ScrollView,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import {
+  useSlot, useSlotSessions, usePricing, useNow,
+  updateSlot, clearSlot,
+} from '../hooks/useFirebase';
+import { useReservations, cancelReservation } from '../hooks/useReservations';
+import { useCameraHealth } from '../hooks/useCameraHealth';
+import { stillImageUrl, streamSendsCors } from '../hooks/useSnapshots';
+import { usePlateLists, checkPlate } from '../hooks/usePlateLists';
+import { usePermissions } from '../hooks/usePermissions';
+import { QUEUED_MESSAGE } from '../hooks/useOffline';
+import { auth } from '../config/firebase';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import { calculateSlotFee, entryTimeToMs } from '../utils/pricing';
+import { formatDuration } from '../utils/time';
+import StreamView from '../components/StreamView';
+import CheckoutSheet from '../components/CheckoutSheet';
+import ReserveSheet from '../components/ReserveSheet';
+import OfflineBanner from '../components/OfflineBanner';
+
+const VEHICLE_ICONS = { motorcycle: '🏍️', car: '🚗', truck: '🚛' };
+const PLATE_STATUS_LABELS = { allowed: '✅ Allowed', blocked: '⛔ Blocked', unknown: 'Not listed' };
+const CAMERA_HEALTH_COLORS = { online: COLORS.checkIn, degraded: COLORS.warning, offline: COLORS.checkOut };
+
+export default function SlotDetailScreen({ route, navigation }) {
+  const { slotId } = route.params;
+  const { slot, loading } = useSlot(slotId);
+  const { cameras } = useCameraHealth();
+  const { sessions } = useSlotSessions(slotId, 10);
+  const { schedules } = usePricing();
+  const { allowed, blocked } = usePlateLists();
+  const { reservations } = useReservations();
+  const now = useNow();
+  const { can } = usePermissions();
+  const [checkoutVisible, setCheckoutVisible] = useState(false);
+  const [reserveVisible, setReserveVisible] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  if (loading) {
+    return (
+      <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientEnd]} style={styles.center}>
+        <ActivityIndicator size="large" color={COLORS.white} />
+      </LinearGradient>
+    );
+  }
+
+  if (!slot) {
+    return (
+      <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientEnd]} style={styles.center}>
+        <Text style={styles.missingText}>Slot {slotId} does not exist.</Text>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+      </LinearGradient>
+    );
+  }
+
+  const typeLabel = (slot.type || '').charAt(0).toUpperCase();
+  const entryTime = entryTimeToMs(slot.entry_time);
+  const fee = calculateSlotFee(slot, schedules, now);
+  const camera = slot.camera_id ? cameras[slot.camera_id] : null;
+  const cameraOnline = camera && camera.health !== 'offline';
+  // Reservations whose window has not started yet do not hold the slot
+  const upcoming = reservations.filter((reservation) => (
+    Number(reservation.slot_id) === Number(slotId) && reservation.id !== slot.reservation_id
+  ));
+
+  let statusLabel = 'Available';
+  let statusColor = COLORS.checkIn;
+  if (slot.out_of_service) {
+    statusLabel = 'Out of Service';
+    statusColor = COLORS.textMuted;
+  } else if (slot.occupied) {
+    statusLabel = 'Occupied';
+    statusColor = COLORS.checkOut;
+  } else if (slot.reserved) {
+    statusLabel = 'Reserved';
+    statusColor = COLORS.reserved;
+  }
+
+  // ---- Admin actions (confirm, then write) ----
+  const runAction = (title, message, action) => {
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Confirm',
+        onPress: async () => {
+          setBusy(true);
+          try {
+            const result = await action();
+            if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+          } catch (e) {
+            Alert.alert('Error', e.message || 'Could not update the slot. Please try again.');
+          } finally {
+            setBusy(false);
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleClear = () => runAction(
+    'Clear Slot',
+    'Reset this slot without recording a session or a check-out?',
+    () => clearSlot(slotId)
+  );
+
+  const handleCancelUpcoming = (reservation) => runAction(
+    'Cancel Reservation',
+    `Cancel the reservation for ${reservation.license_plate} starting ${new Date(reservation.starts_at).toLocaleString()}?`,
+    () => cancelReservation(reservation, auth.currentUser?.email)
+  );
+
+  const handleReleaseHold = () => {
+    runAction(
+      'Cancel Reservation',
+      `Release the hold for ${slot.reserved_for || 'this slot'}?`,
+      () => (slot.reservation_id
+        ? cancelReservation({ id: slot.reservation_id, slot_id: Number(slotId) }, auth.currentUser?.email)
+        // Legacy flag set without a reservation record
+        : updateSlot(slotId, { reserved: false, reserved_for: '' }))
+    );
+  };
+
+  const handleToggleService = () => runAction(
+    slot.out_of_service ? 'Return to Service' : 'Mark Out of Service',
+    slot.out_of_service
+      ? 'Allow vehicles to be assigned to this slot again?'
+      : 'Stop assigning vehicles to this slot until it is returned to service?',
+    () => updateSlot(slotId, { out_of_service: !slot.out_of_service })
+  );
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+      <ScrollView contentContainerStyle={styles.container}>
+
+        {/* Page Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+            <Text style={styles.backText}>‹ Back</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Slot {typeLabel}-{slotId}</Text>
+          <Text style={styles.headerSubtitle}>{slot.type || 'Unassigned'} bay</Text>
+        </View>
+
+        <OfflineBanner />
+
+        {/* Current Status Card */}
+        <View style={styles.card}>
+          <View style={[styles.cardAccentBar, { backgroundColor: statusColor }]} />
+          <View style={styles.cardHeaderRow}>
+            <Text style={styles.cardTitle}>Current Status</Text>
+            <View style={[styles.statusPill, { backgroundColor: statusColor + '20' }]}>
+              <Text style={[styles.statusPillText, { color: statusColor }]}>{statusLabel}</Text>
+            </View>
+          </View>
+
+          {slot.occupied ? (
+            <>
+              <DetailRow label="Plate" value={slot.license_plate || 'Not read'} />
+              <DetailRow label="Plate Status" value={PLATE_STATUS_LABELS[checkPlate(slot.license_plate, allowed, blocked)]} />
+              <DetailRow
+                label="Vehicle"
+                value={`${VEHICLE_ICONS[slot.vehicle_type] || '🚘'} ${slot.vehicle_type || 'Unknown'}`}
+              />
+              <DetailRow label="Entered" value={entryTime ? new Date(entryTime).toLocaleString() : 'Unknown'} />
+              <DetailRow label="Elapsed" value={entryTime ? formatDuration((now - entryTime) / 1000) : '—'} />
+              <DetailRow label="Running Fee" value={fee ? `₱${fee.amount}` : '—'} />
+            </>
+          ) : slot.reserved ? (
+            <DetailRow label="Reserved For" value={slot.reserved_for || 'Unknown plate'} />
+          ) : (
+            <Text style={styles.emptyText}>No vehicle in this slot.</Text>
+          )}
+          {upcoming.map((reservation) => (
+            <View key={reservation.id} style={styles.row}>
+              <Text style={styles.rowLabel}>Reserved From</Text>
+              <View style={styles.upcomingValue}>
+                <Text style={styles.rowValue}>
+                  {new Date(reservation.starts_at).toLocaleString()} · {reservation.license_plate}
+                </Text>
+                {can('reserve_slots') && (
+                  <TouchableOpacity onPress={() => handleCancelUpcoming(reservation)} disabled={busy}>
+                    <Text style={styles.upcomingCancel}>Cancel</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          ))}
+        </View>
+
+        {/* Camera Card */}
+        {can('view_cctv') && (
+          <View style={styles.card}>
+            <View style={styles.cardHeaderRow}>
+              <Text style={styles.cardTitle}>📷 {slot.camera_id ? slot.camera_id.replace(/_/g, ' ') : 'No camera'}</Text>
+              {camera ? (
+                <Text style={[styles.cameraStatus, { color: CAMERA_HEALTH_COLORS[camera.health] }]}>
+                  ● {camera.health.charAt(0).toUpperCase() + camera.health.slice(1)}
+                </Text>
+              ) : null}
+            </View>
+            {cameraOnline && camera.stream_url ? (
+              <>
+                <View style={styles.streamBox}>
+                  <StreamView streamUrl={camera.stream_url} stillUrl={stillImageUrl(camera)} cors={streamSendsCors(camera)} />
+                </View>
+                <TouchableOpacity
+                  style={styles.cameraLink}
+                  onPress={() => navigation.navigate('CameraStream', { camId: slot.camera_id })}
+                >
+                  <Text style={styles.cameraLinkText}>Open Camera Full Screen ›</Text>
+                </TouchableOpacity>
+              </>
+            ) : (
+              <Text style={styles.emptyText}>
+                {slot.camera_id ? 'Live stream unavailable.' : 'Assign a camera_id to this slot to see its stream.'}
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* Admin Actions Card */}
+        {(can('check_out') || can('reserve_slots') || can('override_slots')) && (
+          <View style={styles.card}>
+            <View style={[styles.cardAccentBar, { backgroundColor: COLORS.warning }]} />
+            <View style={styles.cardHeaderRow}>
+              <Text style={styles.cardTitle}>⚙️ Actions</Text>
+              {busy ? <ActivityIndicator color={COLORS.primary} /> : null}
+            </View>
+            <View style={styles.actionGrid}>
+              {slot.occupied && can('check_out') ? (
+                <ActionButton label="Check Out" color={COLORS.checkOut} onPress={() => setCheckoutVisible(true)} disabled={busy} />
+              ) : null}
+              {can('override_slots') && (
+                <ActionButton label="Clear Slot" color={COLORS.textSecondary} onPress={handleClear} disabled={busy} />
+              )}
+              {can('reserve_slots') && (
+                <ActionButton
+                  label="Reserve"
+                  color={COLORS.reserved}
+                  onPress={() => setReserveVisible(true)}
+                  disabled={busy || slot.out_of_service}
+                />
+              )}
+              {can('reserve_slots') && slot.reserved ? (
+                <ActionButton label="Cancel Reservation" color={COLORS.reserved} onPress={handleReleaseHold} disabled={busy} />
+              ) : null}
+              {can('override_slots') && (
+                <ActionButton
+                  label={slot.out_of_service ? 'Return to Service' : 'Out of Service'}
+                  color={COLORS.danger}
+                  onPress={handleToggleService}
+                  disabled={busy}
+                />
+              )}
+            </View>
+          </View>
+        )}
+
+        {/* Session History Card */}
+        <View style={styles.card}>
+          <View style={styles.cardHeaderRow}>
+            <Text style={styles.cardTitle}>🕘 Recent Sessions</Text>
+          </View>
+          {sessions.length === 0 ? (
+            <Text style={styles.emptyText}>No completed sessions yet.</Text>
+          ) : (
+            sessions.map((session) => (
+              <View key={session.id} style={styles.sessionRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.sessionPlate}>{session.license_plate || 'No plate'}</Text>
+                  <Text style={styles.sessionMeta}>
+                    {session.exit_time ? new Date(session.exit_time).toLocaleString() : ''}
+                    {session.duration_minutes !== null && session.duration_minutes !== undefined
+                      ? ` · ${formatDuration(session.duration_minutes * 60)}`
+                      : ''}
+                  </Text>
+                </View>
+                <Text style={styles.sessionAmount}>
+                  {session.amount !== null && session.amount !== undefined ? `₱${session.amount}` : '—'}
+                </Text>
+              </View>
+            ))
+          )}
+        </View>
+
+      </ScrollView>
+
+      <CheckoutSheet
+        visible={checkoutVisible && !!slot.occupied}
+        slotId={slotId}
+        slot={slot}
+        fee={calculateSlotFee(slot, schedules, Date.now())}
+        onClose={() => setCheckoutVisible(false)}
+      />
+
+      <ReserveSheet
+        visible={reserveVisible}
+        slotId={slotId}
+        onClose={() => setReserveVisible(false)}
+      />
+    </LinearGradient>
+  );
+}
+
+function DetailRow({ label, value }) {
+  return (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <Text style={styles.rowValue}>{value}</Text>
+    </View>
+  );
+}
+
+function ActionButton({ label, color, onPress, disabled }) {
+  return (
+    <TouchableOpacity
+      style={[styles.actionBtn, { borderColor: color }, disabled && styles.actionBtnDisabled]}
+      onPress={onPress}
+      disabled={disabled}
+    >
+      <Text style={[styles.actionBtnText, { color }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+  center: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+  container: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+
+  header: { marginBottom: SPACING.lg },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2, textTransform: 'capitalize' },
+  missingText: { color: COLORS.white, fontSize: 16, marginBottom: SPACING.md },
+
+  card: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.lg, marginBottom: SPACING.md,
+    overflow: 'hidden', ...SHADOW.medium,
+  },
+  cardAccentBar: {
+    position: 'absolute', top: 0, left: 0, right: 0, height: 4,
+    backgroundColor: COLORS.primary,
+  },
+  cardHeaderRow: {
+    flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center',
+    marginBottom: SPACING.md, marginTop: 4,
+  },
+  cardTitle: { fontSize: 18, fontWeight: '700', color: COLORS.textPrimary, textTransform: 'capitalize' },
+
+  statusPill: { borderRadius: RADIUS.full, paddingHorizontal: 10, paddingVertical: 4 },
+  statusPillText: { fontSize: 12, fontWeight: '700' },
+
+  row: {
+    flexDirection: 'row', justifyContent: 'space-between',
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  rowLabel: { fontSize: 14, color: COLORS.textSecondary },
+  rowValue: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary },
+  upcomingValue: { alignItems: 'flex-end' },
+  upcomingCancel: { fontSize: 13, fontWeight: '600', color: COLORS.danger, marginTop: 2 },
+
+  cameraStatus: { fontSize: 12, fontWeight: '600' },
+  streamBox: { height: 200, borderRadius: RADIUS.md, overflow: 'hidden', backgroundColor: COLORS.textPrimary },
+  cameraLink: { marginTop: SPACING.sm, alignItems: 'center', paddingVertical: SPACING.xs },
+  cameraLinkText: { fontSize: 14, fontWeight: '600', color: COLORS.primary },
+
+  actionGrid: { flexDirection: 'row', flexWrap: 'wrap', gap: SPACING.sm },
+  actionBtn: {
+    width: '48%', borderWidth: 1.5, borderRadius: RADIUS.md,
+    paddingVertical: 12, alignItems: 'center', backgroundColor: COLORS.white,
+  },
+  actionBtnDisabled: { opacity: 0.4 },
+  actionBtnText: { fontSize: 14, fontWeight: '700' },
+
+  sessionRow: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  sessionPlate: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary },
+  sessionMeta: { fontSize: 12, color: COLORS.textMuted, marginTop: 2 },
+  sessionAmount: { fontSize: 15, fontWeight: '700', color: COLORS.primary },
+
+  emptyText: { fontSize: 13, color: COLORS.textSecondary },
+});
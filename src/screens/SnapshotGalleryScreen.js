@@ -0,0 +1,208 @@
+// ============================================================
+// SnapshotGalleryScreen.js — Saved CCTV Snapshots
+// ============================================================
+// Pushed from the CCTV tab. Lists frames captured with the
+// Capture button, newest first, filterable by camera. Tap one to
+// view it with its camera / time metadata, share it or delete it.
+// ============================================================
+
+import React, { useState, useMemo } from 'react';
+import {
+  View, Text, StyleSheet, FlatList, Image, ScrollView,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import * as Sharing from 'expo-sharing';
+import { useSnapshots, deleteSnapshot } from '../hooks/useSnapshots';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import AppModal from '../components/AppModal';
+
+export default function SnapshotGalleryScreen({ navigation }) {
+  const { snapshots, loading } = useSnapshots();
+  const [camera, setCamera] = useState('all');
+  const [selected, setSelected] = useState(null);
+
+  const cameraIds = useMemo(
+    () => [...new Set(snapshots.map((snap) => snap.camera_id))].sort(),
+    [snapshots]
+  );
+  const filtered = camera === 'all' ? snapshots : snapshots.filter((snap) => snap.camera_id === camera);
+
+  const handleShare = async (snapshot) => {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert('Sharing Unavailable', 'Sharing is not supported on this device.');
+        return;
+      }
+      await Sharing.shareAsync(snapshot.uri, {
+        mimeType: 'image/jpeg',
+        dialogTitle: `${snapshot.camera_id} — ${new Date(snapshot.taken_at).toLocaleString()}`,
+      });
+    } catch (e) {
+      Alert.alert('Error', 'Could not share the snapshot.');
+    }
+  };
+
+  const handleDelete = (snapshot) => {
+    Alert.alert(
+      'Delete Snapshot',
+      'This removes the image from this device. It cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteSnapshot(snapshot);
+              setSelected(null);
+            } catch (e) {
+              Alert.alert('Error', 'Could not delete the snapshot.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+
+      {/* Page Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Snapshots</Text>
+        <Text style={styles.headerSubtitle}>{snapshots.length} saved on this device</Text>
+      </View>
+
+      {/* Camera filter */}
+      {cameraIds.length > 1 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          {['all', ...cameraIds].map((id) => (
+            <TouchableOpacity
+              key={id}
+              style={[styles.chip, camera === id && styles.chipActive]}
+              onPress={() => setCamera(id)}
+            >
+              <Text style={[styles.chipText, camera === id && styles.chipTextActive]}>
+                {id === 'all' ? 'All cameras' : id.replace(/_/g, ' ')}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {loading ? (
+        <ActivityIndicator color={COLORS.white} style={{ marginTop: SPACING.lg }} />
+      ) : (
+        <FlatList
+          data={filtered}
+          keyExtractor={(item) => item.id}
+          numColumns={2}
+          columnWrapperStyle={styles.columns}
+          contentContainerStyle={styles.list}
+          renderItem={({ item }) => (
+            <TouchableOpacity style={styles.thumbCard} onPress={() => setSelected(item)}>
+              <Image source={{ uri: item.uri }} style={styles.thumb} />
+              <Text style={styles.thumbCamera}>{item.camera_id.replace(/_/g, ' ')}</Text>
+              <Text style={styles.thumbTime}>{new Date(item.taken_at).toLocaleString()}</Text>
+            </TouchableOpacity>
+          )}
+          ListEmptyComponent={
+            <View style={styles.emptyCard}>
+              <Text style={styles.emptyIcon}>📸</Text>
+              <Text style={styles.emptyText}>No snapshots yet</Text>
+              <Text style={styles.emptyNote}>Use Capture on the CCTV tab to save a frame.</Text>
+            </View>
+          }
+        />
+      )}
+
+      {/* Preview */}
+      <AppModal visible={!!selected} transparent animationType="fade" onRequestClose={() => setSelected(null)}>
+        {selected && (
+          <View style={styles.previewBackdrop}>
+            <Image source={{ uri: selected.uri }} style={styles.previewImage} resizeMode="contain" />
+            <View style={styles.previewInfo}>
+              <Text style={styles.previewTitle}>{selected.camera_id.replace(/_/g, ' ').toUpperCase()}</Text>
+              <Text style={styles.previewMeta}>{new Date(selected.taken_at).toLocaleString()}</Text>
+              <Text style={styles.previewMeta}>
+                Captured by {selected.taken_by} · {selected.source === 'still' ? 'camera still' : 'stream frame'}
+              </Text>
+              <View style={styles.previewActions}>
+                <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={() => setSelected(null)}>
+                  <Text style={styles.btnCancelText}>Close</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.btn, styles.btnDanger]} onPress={() => handleDelete(selected)}>
+                  <Text style={styles.btnText}>Delete</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.btn, styles.btnConfirm]} onPress={() => handleShare(selected)}>
+                  <Text style={styles.btnText}>Share</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </View>
+        )}
+      </AppModal>
+    </LinearGradient>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+
+  header: { padding: SPACING.md, paddingTop: SPACING.sm },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+
+  chipRow: { paddingHorizontal: SPACING.md, flexGrow: 0, marginBottom: SPACING.sm },
+  chip: {
+    backgroundColor: 'rgba(255,255,255,0.2)', borderRadius: RADIUS.full,
+    paddingHorizontal: 14, paddingVertical: 8, marginRight: SPACING.sm,
+  },
+  chipActive: { backgroundColor: COLORS.white },
+  chipText: { color: COLORS.white, fontSize: 13, fontWeight: '500', textTransform: 'capitalize' },
+  chipTextActive: { color: COLORS.primary, fontWeight: '700' },
+
+  list: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+  columns: { gap: SPACING.sm },
+  thumbCard: {
+    flex: 1, maxWidth: '50%', backgroundColor: COLORS.card, borderRadius: RADIUS.lg,
+    overflow: 'hidden', marginBottom: SPACING.sm, ...SHADOW.small,
+  },
+  thumb: { width: '100%', aspectRatio: 4 / 3, backgroundColor: COLORS.textPrimary },
+  thumbCamera: {
+    fontSize: 13, fontWeight: '700', color: COLORS.textPrimary,
+    paddingHorizontal: SPACING.sm, paddingTop: SPACING.xs, textTransform: 'capitalize',
+  },
+  thumbTime: { fontSize: 11, color: COLORS.textMuted, paddingHorizontal: SPACING.sm, paddingBottom: SPACING.sm },
+
+  emptyCard: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.lg, alignItems: 'center', ...SHADOW.medium,
+  },
+  emptyIcon: { fontSize: 36, marginBottom: SPACING.sm },
+  emptyText: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary },
+  emptyNote: { fontSize: 13, color: COLORS.textMuted, marginTop: 4, textAlign: 'center' },
+
+  // Preview modal
+  previewBackdrop: { flex: 1, backgroundColor: '#000', justifyContent: 'center' },
+  previewImage: { flex: 1 },
+  previewInfo: {
+    backgroundColor: COLORS.card, padding: SPACING.lg,
+    borderTopLeftRadius: RADIUS.xl, borderTopRightRadius: RADIUS.xl,
+  },
+  previewTitle: { fontSize: 16, fontWeight: '700', color: COLORS.textPrimary },
+  previewMeta: { fontSize: 13, color: COLORS.textSecondary, marginTop: 2 },
+  previewActions: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.md },
+  btn: { flex: 1, borderRadius: RADIUS.md, paddingVertical: 12, alignItems: 'center' },
+  btnCancel: { backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border },
+  btnCancelText: { color: COLORS.textSecondary, fontWeight: '600', fontSize: 15 },
+  btnDanger: { backgroundColor: COLORS.danger },
+  btnConfirm: { backgroundColor: COLORS.primary },
+  btnText: { color: COLORS.white, fontWeight: '700', fontSize: 15 },
+});
@@ -0,0 +1,246 @@
+// ============================================================
+// UnauthorizedAlertScreen.js — Unauthorized Entry Detail
+// ============================================================
+// Pushed from the Security tab. Shows the captured snapshot,
+// plate, camera and time of one alerts/unauthorized event, and
+// lets staff whitelist the plate (plate-list managers only) or
+// escalate the event.
+// ============================================================
+
+import React, { useState } from 'react';
+import {
+  View, Text, StyleSheet, ScrollView, Image,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { auth } from '../config/firebase';
+import {
+  useAlerts, acknowledgeAlert, escalateAlert, resolveAlert,
+} from '../hooks/useFirebase';
+import { addAllowedPlate } from '../hooks/usePlateLists';
+import { usePermissions } from '../hooks/usePermissions';
+import { QUEUED_MESSAGE } from '../hooks/useOffline';
+import OfflineBanner from '../components/OfflineBanner';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+
+export default function UnauthorizedAlertScreen({ route, navigation }) {
+  const { alertId } = route.params;
+  const { alerts, loading, syncedAt } = useAlerts();
+  const [busy, setBusy] = useState(false);
+  const { can } = usePermissions();
+
+  const alert = alerts.unauthorized.find((a) => a.id === alertId);
+  const me = auth.currentUser?.email;
+
+  if (loading || !alert) {
+    return (
+      <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientEnd]} style={styles.center}>
+        {loading ? (
+          <ActivityIndicator size="large" color={COLORS.white} />
+        ) : (
+          <>
+            <Text style={styles.missingText}>This alert no longer exists.</Text>
+            <TouchableOpacity onPress={() => navigation.goBack()}>
+              <Text style={styles.backText}>‹ Back</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </LinearGradient>
+    );
+  }
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      if (result?.queued) Alert.alert('Saved Offline', QUEUED_MESSAGE);
+    } catch (e) {
+      Alert.alert('Error', e.message || 'Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ---- Whitelist: add the plate to allowed_plates and resolve the alert ----
+  const handleWhitelist = () => {
+    Alert.alert(
+      'Whitelist Plate',
+      `Allow ${alert.plate} from now on? This also resolves the alert.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Whitelist',
+          onPress: () => run(async () => {
+            await addAllowedPlate(alert.plate, { notes: `Whitelisted from unauthorized alert ${alert.id}` }, me);
+            return resolveAlert(alert.category, alert.id, me);
+          }),
+        },
+      ]
+    );
+  };
+
+  const handleEscalate = () => {
+    Alert.alert(
+      'Escalate',
+      'Flag this entry for supervisor follow-up?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Escalate', style: 'destructive', onPress: () => run(() => escalateAlert(alert.category, alert.id, me)) },
+      ]
+    );
+  };
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+      <ScrollView contentContainerStyle={styles.container}>
+
+        {/* Page Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+            <Text style={styles.backText}>‹ Back</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Unauthorized Entry</Text>
+          <Text style={styles.headerSubtitle}>
+            {alert.time ? new Date(alert.time).toLocaleString() : 'Time unknown'}
+          </Text>
+        </View>
+
+        <OfflineBanner syncedAt={syncedAt} />
+
+        {/* Snapshot */}
+        <View style={styles.snapshotCard}>
+          {alert.snapshot_url ? (
+            <Image source={{ uri: alert.snapshot_url }} style={styles.snapshot} resizeMode="contain" />
+          ) : (
+            <View style={styles.noSnapshot}>
+              <Text style={styles.noSnapshotIcon}>📷</Text>
+              <Text style={styles.noSnapshotText}>No snapshot was captured</Text>
+            </View>
+          )}
+        </View>
+
+        {/* Details */}
+        <View style={styles.card}>
+          <View style={[styles.cardAccentBar, { backgroundColor: COLORS.danger }]} />
+          <DetailRow label="Plate" value={alert.plate || 'Not read'} />
+          <DetailRow label="Camera" value={alert.camera ? alert.camera.replace(/_/g, ' ') : 'Unknown'} />
+          <DetailRow label="Message" value={alert.message || '—'} />
+          <DetailRow
+            label="Status"
+            value={alert.resolved ? 'Resolved' : alert.escalated ? 'Escalated' : alert.acknowledged ? 'Acknowledged' : 'New'}
+          />
+          {alert.assignee ? <DetailRow label="Assignee" value={alert.assignee} /> : null}
+          {alert.escalated ? <DetailRow label="Escalated By" value={alert.escalated_by} /> : null}
+        </View>
+
+        {/* Actions */}
+        {!alert.resolved && can('handle_alerts') && (
+          <View style={styles.card}>
+            {busy ? <ActivityIndicator color={COLORS.primary} style={{ marginBottom: SPACING.sm }} /> : null}
+            <View style={styles.actionGrid}>
+              {can('manage_plate_lists') && (
+                <ActionButton
+                  label="Whitelist This Plate"
+                  color={COLORS.checkIn}
+                  onPress={handleWhitelist}
+                  disabled={busy || !alert.plate}
+                />
+              )}
+              <ActionButton
+                label="Escalate"
+                color={COLORS.danger}
+                onPress={handleEscalate}
+                disabled={busy || alert.escalated}
+              />
+              {!alert.acknowledged && (
+                <ActionButton
+                  label="Acknowledge"
+                  color={COLORS.primary}
+                  onPress={() => run(() => acknowledgeAlert(alert.category, alert.id, me))}
+                  disabled={busy}
+                />
+              )}
+              <ActionButton
+                label="Resolve"
+                color={COLORS.textSecondary}
+                onPress={() => run(() => resolveAlert(alert.category, alert.id, me))}
+                disabled={busy}
+              />
+            </View>
+          </View>
+        )}
+
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+function DetailRow({ label, value }) {
+  return (
+    <View style={styles.row}>
+      <Text style={styles.rowLabel}>{label}</Text>
+      <Text style={styles.rowValue}>{value}</Text>
+    </View>
+  );
+}
+
+function ActionButton({ label, color, onPress, disabled }) {
+  return (
+    <TouchableOpacity
+      style={[styles.actionBtn, { borderColor: color }, disabled && styles.actionBtnDisabled]}
+      onPress={onPress}
+      disabled={disabled}
+    >
+      <Text style={[styles.actionBtnText, { color }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+  center: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+  container: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+
+  header: { marginBottom: SPACING.lg },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+  missingText: { color: COLORS.white, fontSize: 16, marginBottom: SPACING.md },
+
+  snapshotCard: {
+    backgroundColor: COLORS.textPrimary, borderRadius: RADIUS.xl,
+    overflow: 'hidden', height: 240, marginBottom: SPACING.md,
+    ...SHADOW.large,
+  },
+  snapshot: { flex: 1 },
+  noSnapshot: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+  noSnapshotIcon: { fontSize: 40, marginBottom: SPACING.sm },
+  noSnapshotText: { color: COLORS.textMuted, fontSize: 14 },
+
+  card: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.lg, marginBottom: SPACING.md,
+    overflow: 'hidden', ...SHADOW.medium,
+  },
+  cardAccentBar: {
+    position: 'absolute', top: 0, left: 0, right: 0, height: 4,
+    backgroundColor: COLORS.primary,
+  },
+
+  row: {
+    flexDirection: 'row', justifyContent: 'space-between',
+    paddingVertical: SPACING.sm,
+    borderBottomWidth: 1, borderBottomColor: COLORS.border,
+  },
+  rowLabel: { fontSize: 14, color: COLORS.textSecondary },
+  rowValue: { fontSize: 14, fontWeight: '600', color: COLORS.textPrimary, flexShrink: 1, textAlign: 'right', marginLeft: SPACING.md },
+
+  actionGrid: { flexDirection: 'row', flexWrap: 'wrap', gap: SPACING.sm },
+  actionBtn: {
+    width: '48%', borderWidth: 1.5, borderRadius: RADIUS.md,
+    paddingVertical: 12, alignItems: 'center', backgroundColor: COLORS.white,
+  },
+  actionBtnDisabled: { opacity: 0.4 },
+  actionBtnText: { fontSize: 14, fontWeight: '700' },
+});
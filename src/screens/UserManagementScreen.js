@@ -0,0 +1,410 @@
+// ============================================================
+// UserManagementScreen.js — Operator Accounts
+// ============================================================
+// Pushed from Settings (admins only). Lists every operator with
+// their role, invites new ones by email, and — from the sheet
+// opened by tapping a row — changes a role, sends a password reset
+// or disables the account. Recent changes from user_audit are
+// listed at the bottom.
+// ============================================================
+
+import React, { useState } from 'react';
+import {
+  View, Text, StyleSheet, FlatList, TextInput,
+  TouchableOpacity, ActivityIndicator, Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { auth } from '../config/firebase';
+import { ROLES, ROLE_INFO, userKey } from '../config/roles';
+import {
+  useOperators, useUserAudit, validateInvite,
+  inviteOperator, setOperatorRole, setOperatorDisabled, sendOperatorPasswordReset,
+} from '../hooks/useOperators';
+import { COLORS, SPACING, RADIUS, SHADOW } from '../config/theme';
+import AppModal from '../components/AppModal';
+
+const EMPTY_INVITE = { email: '', name: '', role: 'guard' };
+
+const ROLE_COLORS = {
+  admin: COLORS.danger,
+  supervisor: COLORS.reserved,
+  guard: COLORS.primary,
+  cashier: COLORS.checkIn,
+};
+
+// ---- One line per user_audit entry ----
+function describeAudit(entry) {
+  const roleLabel = (role) => ROLE_INFO[role]?.label || role;
+  switch (entry.action) {
+    case 'invited': return `Invited ${entry.email} as ${roleLabel(entry.new_value)}`;
+    case 'role_changed': return `${entry.email}: ${roleLabel(entry.old_value)} → ${roleLabel(entry.new_value)}`;
+    case 'disabled': return `Disabled ${entry.email}`;
+    case 'enabled': return `Re-enabled ${entry.email}`;
+    case 'password_reset': return `Sent password reset to ${entry.email}`;
+    default: return `${entry.action} ${entry.email}`;
+  }
+}
+
+export default function UserManagementScreen({ navigation }) {
+  const { operators, loading } = useOperators();
+  const { entries: audit } = useUserAudit(20);
+  const [inviteVisible, setInviteVisible] = useState(false);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const me = userKey(auth.currentUser?.email);
+  const selected = operators.find((operator) => operator.key === selectedKey) || null;
+  const activeCount = operators.filter((operator) => !operator.disabled).length;
+
+  return (
+    <LinearGradient colors={[COLORS.gradientStart, COLORS.gradientMid, COLORS.gradientEnd]} style={styles.gradient}>
+
+      {/* Page Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backBtn}>
+          <Text style={styles.backText}>‹ Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Operators</Text>
+        <Text style={styles.headerSubtitle}>{activeCount} active of {operators.length}</Text>
+      </View>
+
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.toolBtn} onPress={() => setInviteVisible(true)}>
+          <Text style={styles.toolBtnText}>+ Invite Operator</Text>
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator color={COLORS.white} style={{ marginTop: SPACING.lg }} />
+      ) : (
+        <FlatList
+          data={operators}
+          keyExtractor={(item) => item.key}
+          contentContainerStyle={styles.list}
+          renderItem={({ item }) => (
+            <OperatorRow operator={item} isMe={item.key === me} onPress={() => setSelectedKey(item.key)} />
+          )}
+          ListEmptyComponent={
+            <View style={styles.card}>
+              <Text style={styles.emptyText}>No operators yet</Text>
+            </View>
+          }
+          ListFooterComponent={<AuditCard entries={audit} />}
+        />
+      )}
+
+      <InviteModal visible={inviteVisible} onClose={() => setInviteVisible(false)} />
+      <OperatorModal
+        operator={selected}
+        isMe={selected?.key === me}
+        onClose={() => setSelectedKey(null)}
+      />
+    </LinearGradient>
+  );
+}
+
+function OperatorRow({ operator, isMe, onPress }) {
+  const color = operator.disabled ? COLORS.textMuted : ROLE_COLORS[operator.role] || COLORS.textMuted;
+
+  return (
+    <TouchableOpacity style={[styles.operatorRow, { borderLeftColor: color }]} onPress={onPress}>
+      <View style={styles.operatorBody}>
+        <Text style={[styles.operatorName, operator.disabled && styles.disabledText]}>
+          {operator.name || operator.email}{isMe ? ' (you)' : ''}
+        </Text>
+        {operator.name ? <Text style={styles.operatorMeta}>{operator.email}</Text> : null}
+        {operator.invited_by ? (
+          <Text style={styles.operatorMeta}>
+            Invited by {operator.invited_by}
+            {operator.invited_at ? ` · ${new Date(operator.invited_at).toLocaleDateString()}` : ''}
+          </Text>
+        ) : null}
+      </View>
+      <View style={[styles.rolePill, { backgroundColor: color + '20' }]}>
+        <Text style={[styles.rolePillText, { color }]}>
+          {operator.disabled ? 'Disabled' : ROLE_INFO[operator.role]?.label || 'No role'}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+function AuditCard({ entries }) {
+  return (
+    <View style={[styles.card, styles.auditCard]}>
+      <Text style={styles.cardTitle}>🕘 Recent Changes</Text>
+      {entries.length === 0 ? (
+        <Text style={styles.operatorMeta}>No changes recorded yet.</Text>
+      ) : (
+        entries.map((entry) => (
+          <View key={entry.id} style={styles.auditRow}>
+            <Text style={styles.auditText}>{describeAudit(entry)}</Text>
+            <Text style={styles.operatorMeta}>
+              {entry.editor}{entry.timestamp ? ` · ${new Date(entry.timestamp).toLocaleString()}` : ''}
+            </Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+}
+
+function RoleChips({ value, onChange, disabled }) {
+  return (
+    <View style={styles.chipRow}>
+      {ROLES.map((role) => (
+        <TouchableOpacity
+          key={role}
+          style={[styles.chip, value === role && styles.chipActive]}
+          onPress={() => onChange(role)}
+          disabled={disabled}
+        >
+          <Text style={[styles.chipText, value === role && styles.chipTextActive]}>{ROLE_INFO[role].label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+// ---- Invite a new operator by email ----
+function InviteModal({ visible, onClose }) {
+  const [form, setForm] = useState(EMPTY_INVITE);
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleInvite = async () => {
+    const message = validateInvite(form);
+    setError(message);
+    if (message) return;
+
+    setSending(true);
+    try {
+      await inviteOperator(form, auth.currentUser?.email);
+      Alert.alert('Invite Sent', `${form.email.trim()} will get an email to set their password.`);
+      setForm(EMPTY_INVITE);
+      onClose();
+    } catch (e) {
+      setError(e.message || 'Could not send the invite. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <AppModal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.sheetTitle}>Invite Operator</Text>
+          <FormField
+            label="Email"
+            value={form.email}
+            onChangeText={setField('email')}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            placeholder="name@parking.com"
+          />
+          <FormField label="Name (optional)" value={form.name} onChangeText={setField('name')} />
+          <Text style={styles.fieldLabel}>Role</Text>
+          <RoleChips value={form.role} onChange={setField('role')} disabled={sending} />
+          <Text style={styles.sheetNote}>{ROLE_INFO[form.role].description}</Text>
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+          <View style={styles.sheetActions}>
+            <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={onClose} disabled={sending}>
+              <Text style={styles.btnCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.btn, styles.btnConfirm]} onPress={handleInvite} disabled={sending}>
+              {sending ? <ActivityIndicator color={COLORS.white} /> : <Text style={styles.btnConfirmText}>Send Invite</Text>}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </AppModal>
+  );
+}
+
+// ---- Role, password reset and disable for one operator ----
+function OperatorModal({ operator, isMe, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const editor = auth.currentUser?.email;
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      if (successMessage) Alert.alert('Done', successMessage);
+    } catch (e) {
+      Alert.alert('Error', e.message || 'Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirm = (title, message, confirmText, action, successMessage) => {
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: confirmText, onPress: () => run(action, successMessage) },
+    ]);
+  };
+
+  if (!operator) return null;
+
+  const handleRole = (role) => {
+    if (role === operator.role) return;
+    confirm(
+      'Change Role',
+      `Make ${operator.email} a ${ROLE_INFO[role].label}?\n\n${ROLE_INFO[role].description}`,
+      'Change',
+      () => setOperatorRole(operator, role, editor)
+    );
+  };
+
+  const handleReset = () => confirm(
+    'Reset Password',
+    `Email ${operator.email} a link to choose a new password?`,
+    'Send',
+    () => sendOperatorPasswordReset(operator, editor),
+    `Password reset sent to ${operator.email}.`
+  );
+
+  const handleDisable = () => confirm(
+    operator.disabled ? 'Enable Account' : 'Disable Account',
+    operator.disabled
+      ? `Let ${operator.email} use the app again?`
+      : `${operator.email} will lose access immediately, including any open session.`,
+    operator.disabled ? 'Enable' : 'Disable',
+    () => setOperatorDisabled(operator, !operator.disabled, editor)
+  );
+
+  return (
+    <AppModal visible transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.sheetTitle}>{operator.name || operator.email}</Text>
+          {operator.name ? <Text style={styles.sheetNote}>{operator.email}</Text> : null}
+
+          {isMe ? (
+            <Text style={styles.sheetNote}>This is your account. Another admin has to change it.</Text>
+          ) : (
+            <>
+              <Text style={styles.fieldLabel}>Role</Text>
+              <RoleChips value={operator.role} onChange={handleRole} disabled={busy} />
+              <View style={styles.sheetActions}>
+                <TouchableOpacity style={[styles.btn, styles.btnCancel]} onPress={handleReset} disabled={busy}>
+                  <Text style={styles.btnCancelText}>Reset Password</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.btn, operator.disabled ? styles.btnConfirm : styles.btnDanger]}
+                  onPress={handleDisable}
+                  disabled={busy}
+                >
+                  <Text style={styles.btnConfirmText}>{operator.disabled ? 'Enable' : 'Disable'}</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+
+          {busy ? <ActivityIndicator color={COLORS.primary} style={{ marginTop: SPACING.md }} /> : null}
+          <TouchableOpacity style={styles.closeBtn} onPress={onClose} disabled={busy}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </AppModal>
+  );
+}
+
+function FormField({ label, ...inputProps }) {
+  return (
+    <View style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        placeholderTextColor={COLORS.textMuted}
+        autoCorrect={false}
+        {...inputProps}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  gradient: { flex: 1 },
+
+  header: { padding: SPACING.md, paddingTop: SPACING.sm },
+  backBtn: { marginBottom: SPACING.xs },
+  backText: { color: COLORS.white, fontSize: 16, fontWeight: '600' },
+  headerTitle: { fontSize: 24, fontWeight: '700', color: COLORS.white },
+  headerSubtitle: { fontSize: 13, color: 'rgba(255,255,255,0.75)', marginTop: 2 },
+
+  controls: { paddingHorizontal: SPACING.md },
+  toolBtn: {
+    backgroundColor: 'rgba(255,255,255,0.2)', borderRadius: RADIUS.md,
+    paddingVertical: 10, alignItems: 'center',
+  },
+  toolBtnText: { color: COLORS.white, fontWeight: '700' },
+
+  list: { padding: SPACING.md, paddingBottom: SPACING.xxl },
+  card: {
+    backgroundColor: COLORS.card, borderRadius: RADIUS.xl,
+    padding: SPACING.lg, ...SHADOW.medium,
+  },
+  cardTitle: { fontSize: 17, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.sm },
+  emptyText: { fontSize: 16, fontWeight: '600', color: COLORS.textPrimary, textAlign: 'center' },
+
+  operatorRow: {
+    flexDirection: 'row', alignItems: 'center',
+    backgroundColor: COLORS.card, borderRadius: RADIUS.md,
+    borderLeftWidth: 4, padding: SPACING.md,
+    marginBottom: SPACING.sm, ...SHADOW.small,
+  },
+  operatorBody: { flex: 1 },
+  operatorName: { fontSize: 15, fontWeight: '700', color: COLORS.textPrimary },
+  operatorMeta: { fontSize: 12, color: COLORS.textSecondary, marginTop: 2 },
+  disabledText: { color: COLORS.textMuted, textDecorationLine: 'line-through' },
+  rolePill: { borderRadius: RADIUS.full, paddingHorizontal: 10, paddingVertical: 4, marginLeft: SPACING.sm },
+  rolePillText: { fontSize: 12, fontWeight: '700' },
+
+  auditCard: { marginTop: SPACING.md },
+  auditRow: { paddingVertical: 6, borderBottomWidth: 1, borderBottomColor: COLORS.border },
+  auditText: { fontSize: 13, color: COLORS.textPrimary },
+
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap', gap: SPACING.sm, marginBottom: SPACING.sm },
+  chip: {
+    backgroundColor: COLORS.white, borderRadius: RADIUS.full, borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: 12, paddingVertical: 6,
+  },
+  chipActive: { backgroundColor: COLORS.primary, borderColor: COLORS.primary },
+  chipText: { color: COLORS.textSecondary, fontSize: 13, fontWeight: '500' },
+  chipTextActive: { color: COLORS.white, fontWeight: '700' },
+
+  // Modals
+  backdrop: { flex: 1, justifyContent: 'flex-end', backgroundColor: COLORS.overlay },
+  sheet: {
+    backgroundColor: COLORS.card,
+    borderTopLeftRadius: RADIUS.xl, borderTopRightRadius: RADIUS.xl,
+    padding: SPACING.lg, paddingBottom: SPACING.xl,
+    ...SHADOW.large,
+  },
+  sheetTitle: { fontSize: 20, fontWeight: '700', color: COLORS.textPrimary, marginBottom: SPACING.sm },
+  sheetNote: { fontSize: 12, color: COLORS.textMuted, marginBottom: SPACING.sm },
+  field: { marginBottom: SPACING.sm },
+  fieldLabel: { fontSize: 13, fontWeight: '600', color: COLORS.textSecondary, marginBottom: 4 },
+  input: {
+    backgroundColor: COLORS.inputBg, borderRadius: RADIUS.md,
+    borderWidth: 1, borderColor: COLORS.border,
+    paddingHorizontal: SPACING.md, paddingVertical: 10,
+    fontSize: 15, color: COLORS.textPrimary,
+  },
+  errorText: { color: COLORS.danger, fontSize: 12, marginBottom: SPACING.sm },
+  sheetActions: { flexDirection: 'row', gap: SPACING.sm, marginTop: SPACING.md },
+  btn: { flex: 1, borderRadius: RADIUS.md, paddingVertical: 14, alignItems: 'center' },
+  btnCancel: { backgroundColor: COLORS.white, borderWidth: 1, borderColor: COLORS.border },
+  btnCancelText: { color: COLORS.textSecondary, fontWeight: '600', fontSize: 15 },
+  btnConfirm: { backgroundColor: COLORS.primary },
+  btnDanger: { backgroundColor: COLORS.danger },
+  btnConfirmText: { color: COLORS.white, fontWeight: '700', fontSize: 15 },
+  closeBtn: { alignItems: 'center', paddingTop: SPACING.md },
+  closeText: { color: COLORS.textSecondary, fontWeight: '600', fontSize: 15 },
+});
@@ -0,0 +1,169 @@
+// ============================================================
+// pricing.test.js — Fee Calculation Engine
+// ============================================================
+// Times are built in local time because overnight windows are
+// local clock times.
+// ============================================================
+
+import {
+  buildSchedule, entryTimeToMs, calculateFee, calculateSlotFee, DEFAULT_SCHEDULE,
+} from '../pricing';
+import { MINUTE_MS, HOUR_MS } from '../time';
+
+const at = (day, hour, minute = 0) => new Date(2024, 5, day, hour, minute).getTime();
+const ENTRY = at(10, 9);
+const fee = (minutes, extras) => calculateFee({
+  entryTime: ENTRY,
+  exitTime: ENTRY + minutes * MINUTE_MS,
+  schedule: buildSchedule(20, extras),
+});
+
+describe('buildSchedule', () => {
+  it('fills the defaults around the flat hourly rate', () => {
+    expect(buildSchedule(20)).toEqual({ ...DEFAULT_SCHEDULE, hourly: 20 });
+  });
+
+  it('accepts rates stored as strings and treats a missing rate as free', () => {
+    expect(buildSchedule('35.5').hourly).toBe(35.5);
+    expect(buildSchedule(undefined).hourly).toBe(0);
+    expect(buildSchedule('abc').hourly).toBe(0);
+  });
+
+  it('lets a per-type pricing rate override the flat rate', () => {
+    expect(buildSchedule(20, { hourly: 25, grace_minutes: 10 })).toMatchObject({ hourly: 25, grace_minutes: 10 });
+  });
+});
+
+describe('entryTimeToMs', () => {
+  it('keeps epoch milliseconds and converts epoch seconds', () => {
+    expect(entryTimeToMs(ENTRY)).toBe(ENTRY);
+    expect(entryTimeToMs(ENTRY / 1000)).toBe(ENTRY);
+    expect(entryTimeToMs(String(ENTRY))).toBe(ENTRY);
+  });
+
+  it('rejects seconds-since-boot and missing or invalid values', () => {
+    expect(entryTimeToMs(86400)).toBeNull();
+    [0, -5, null, undefined, '', 'abc', NaN].forEach((value) => {
+      expect(entryTimeToMs(value)).toBeNull();
+    });
+  });
+});
+
+describe('calculateFee', () => {
+  describe('grace period', () => {
+    it('is free up to and including the grace minutes', () => {
+      expect(fee(10, { grace_minutes: 10 })).toMatchObject({ amount: 0, free: true, durationMinutes: 10 });
+    });
+
+    it('bills the whole stay once the grace period is exceeded', () => {
+      expect(fee(11, { grace_minutes: 10 })).toMatchObject({ amount: 20, free: false, billableMinutes: 11 });
+    });
+  });
+
+  describe('rounding', () => {
+    it('rounds partial hours up by default', () => {
+      expect(fee(60).amount).toBe(20);
+      expect(fee(61).amount).toBe(40);
+    });
+
+    it('supports nearest and down rounding', () => {
+      expect(fee(89, { rounding: 'nearest' }).amount).toBe(20);
+      expect(fee(90, { rounding: 'nearest' }).amount).toBe(40);
+      expect(fee(119, { rounding: 'down' }).amount).toBe(20);
+    });
+
+    it('bills in smaller increments at the matching share of the hourly rate', () => {
+      expect(fee(70, { increment_minutes: 15 }).amount).toBe(25);
+    });
+
+    it('charges the first hour separately from later hours', () => {
+      expect(fee(30, { first_hour: 30 }).amount).toBe(30);
+      expect(fee(90, { first_hour: 30 }).amount).toBe(50);
+    });
+  });
+
+  describe('daily cap', () => {
+    it('caps each 24h period from entry', () => {
+      expect(fee(10 * 60, { daily_max: 100 })).toMatchObject({ amount: 100, capped: true });
+      expect(fee(30 * 60, { daily_max: 100 })).toMatchObject({ amount: 200, capped: true });
+    });
+
+    it('leaves stays under the cap alone', () => {
+      expect(fee(4 * 60, { daily_max: 100 })).toMatchObject({ amount: 80, capped: false });
+    });
+  });
+
+  describe('overnight window', () => {
+    const overnight = { start: '22:00', end: '06:00', flat: 50 };
+    const schedule = buildSchedule(20, { overnight });
+
+    it('bills the hours either side of a window that crosses midnight and adds the flat fee', () => {
+      const result = calculateFee({ entryTime: at(10, 21), exitTime: at(11, 7), schedule });
+      expect(result).toMatchObject({ amount: 90, nights: 1, billableMinutes: 120, durationMinutes: 600 });
+    });
+
+    it('charges only the flat fee for a stay inside the window', () => {
+      const result = calculateFee({ entryTime: at(10, 23), exitTime: at(11, 5), schedule });
+      expect(result).toMatchObject({ amount: 50, nights: 1, billableMinutes: 0 });
+    });
+
+    it('includes a window that started the evening before entry', () => {
+      const result = calculateFee({ entryTime: at(11, 2), exitTime: at(11, 8), schedule });
+      expect(result).toMatchObject({ amount: 90, nights: 1, billableMinutes: 120 });
+    });
+
+    it('adds one flat fee per night', () => {
+      const result = calculateFee({ entryTime: at(10, 21), exitTime: at(12, 7), schedule });
+      expect(result.nights).toBe(2);
+      expect(result).toMatchObject({ amount: 18 * 20 + 2 * 50, billableMinutes: 18 * 60 });
+    });
+
+    it('does not bill hourly across the switch from day to night rates', () => {
+      const result = calculateFee({ entryTime: at(10, 21, 30), exitTime: at(10, 23), schedule });
+      expect(result).toMatchObject({ amount: 70, nights: 1, billableMinutes: 30 });
+    });
+  });
+
+  describe('missing or invalid times', () => {
+    it('charges nothing without a usable entry time', () => {
+      [undefined, null, 0, 'abc', NaN].forEach((entryTime) => {
+        expect(calculateFee({ entryTime, exitTime: ENTRY, schedule: buildSchedule(20) }))
+          .toMatchObject({ amount: 0, durationMinutes: 0 });
+      });
+    });
+
+    it('charges nothing when the exit is not after the entry', () => {
+      expect(fee(0).amount).toBe(0);
+      expect(calculateFee({ entryTime: ENTRY, exitTime: ENTRY - HOUR_MS, schedule: buildSchedule(20) }))
+        .toMatchObject({ amount: 0, durationMinutes: 0 });
+    });
+
+    it('falls back to the default schedule when none is given', () => {
+      expect(calculateFee({ entryTime: ENTRY, exitTime: ENTRY + HOUR_MS }).amount).toBe(0);
+    });
+  });
+});
+
+describe('calculateSlotFee', () => {
+  const schedules = { car: buildSchedule(20), truck: buildSchedule(50) };
+  const now = ENTRY + 2 * HOUR_MS;
+
+  it('prices an occupied slot by its vehicle type', () => {
+    const slot = { occupied: true, type: 'car', vehicle_type: 'truck', entry_time: ENTRY / 1000 };
+    expect(calculateSlotFee(slot, schedules, now).amount).toBe(100);
+  });
+
+  it('falls back to the slot type when the vehicle type is missing', () => {
+    const slot = { occupied: true, type: 'car', entry_time: ENTRY };
+    expect(calculateSlotFee(slot, schedules, now).amount).toBe(40);
+  });
+
+  it('returns null for empty slots, boot-relative entry times and unpriced types', () => {
+    expect(calculateSlotFee(null, schedules, now)).toBeNull();
+    expect(calculateSlotFee({ occupied: false, type: 'car', entry_time: ENTRY }, schedules, now)).toBeNull();
+    expect(calculateSlotFee({ occupied: true, type: 'car', entry_time: 3600 }, schedules, now)).toBeNull();
+    expect(calculateSlotFee({ occupied: true, type: 'car' }, schedules, now)).toBeNull();
+    expect(calculateSlotFee({ occupied: true, type: 'motorcycle', entry_time: ENTRY }, schedules, now)).toBeNull();
+    expect(calculateSlotFee({ occupied: true, type: 'car', entry_time: ENTRY }, null, now)).toBeNull();
+  });
+});
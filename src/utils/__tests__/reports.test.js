@@ -0,0 +1,35 @@
+// ============================================================
+// reports.test.js — CSV Export
+// ============================================================
+
+import { toCsv } from '../reports';
+
+const log = (fields) => ({
+  time: null, action: 'CHECK_IN', license_plate: 'ABC 1234', vehicle_type: 'car', slot: 3, camera_id: 'entrance', ...fields,
+});
+const rows = (records) => toCsv('access_logs', records).split('\r\n');
+
+describe('toCsv', () => {
+  it('writes a header and one line per record', () => {
+    expect(rows([log()])).toEqual([
+      'Time,Action,Plate,Vehicle Type,Slot,Camera',
+      ',CHECK_IN,ABC 1234,car,3,entrance',
+      '',
+    ]);
+  });
+
+  it('quotes fields holding commas, quotes or line breaks', () => {
+    expect(rows([log({ license_plate: 'A,"B"\nC' })])[1]).toBe(',CHECK_IN,"A,""B""\nC",car,3,entrance');
+  });
+
+  it('neutralizes text that a spreadsheet would run as a formula', () => {
+    ['=HYPERLINK("x")', '+1', '-2+3', '@SUM(A1)', '\tcmd'].forEach((plate) => {
+      const field = rows([log({ license_plate: plate })])[1].split(',CHECK_IN,')[1].split(',car,')[0];
+      expect(field).toBe(`"'${plate.replace(/"/g, '""')}"`);
+    });
+  });
+
+  it('leaves numbers alone, including negative ones', () => {
+    expect(rows([log({ slot: -1 })])[1]).toBe(',CHECK_IN,ABC 1234,car,-1,entrance');
+  });
+});
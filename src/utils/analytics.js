@@ -0,0 +1,200 @@
+// ============================================================
+// analytics.js — Occupancy and Session Statistics
+// ============================================================
+// Pure functions (no Firebase, no React) behind the Analytics tab.
+// They work on two inputs:
+//   occupancy snapshots — { time, occupied, total, by_type: { car: { occupied, total } } },
+//                         one per OCCUPANCY_INTERVAL_MINUTES bucket
+//   parking sessions    — completed stays from parking_sessions
+// Ratios are 0–1; null means "no data", which is not the same as empty.
+// ============================================================
+
+import { MINUTE_MS, startOfDay } from './time';
+import { entryTimeToMs } from './pricing';
+
+export const OCCUPANCY_INTERVAL_MINUTES = 15;
+
+export const ANALYTICS_RANGES = [
+  { key: 'day', label: 'Today', days: 1 },
+  { key: 'week', label: '7 Days', days: 7 },
+  { key: 'month', label: '30 Days', days: 30 },
+];
+
+// Heatmap rows run Monday → Sunday
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// ---- Start (ms) of a range: whole local days, ending today ----
+export function rangeStart(rangeKey, now = Date.now()) {
+  const range = ANALYTICS_RANGES.find((r) => r.key === rangeKey) || ANALYTICS_RANGES[0];
+  const date = new Date(startOfDay(now));
+  date.setDate(date.getDate() - (range.days - 1));
+  return date.getTime();
+}
+
+// ---- Start (ms) of the snapshot bucket containing `time` ----
+export function snapshotBucket(time = Date.now()) {
+  const interval = OCCUPANCY_INTERVAL_MINUTES * MINUTE_MS;
+  return Math.floor(time / interval) * interval;
+}
+
+// ---- Occupancy of the slots right now, per vehicle type ----
+// Out-of-service slots cannot be used, so they count in neither
+// occupied nor total.
+export function buildOccupancySnapshot(spots) {
+  const byType = {};
+  let occupied = 0;
+  let total = 0;
+
+  Object.values(spots || {}).forEach((slot) => {
+    if (!slot || !slot.type || slot.out_of_service) return;
+    const entry = (byType[slot.type] = byType[slot.type] || { occupied: 0, total: 0 });
+    entry.total += 1;
+    total += 1;
+    if (slot.occupied) {
+      entry.occupied += 1;
+      occupied += 1;
+    }
+  });
+
+  return { occupied, total, by_type: byType };
+}
+
+// ---- Occupied share of one snapshot (type 'all' = every slot) ----
+export function occupancyRatio(snapshot, type = 'all') {
+  const counts = type === 'all' ? snapshot : snapshot?.by_type?.[type];
+  if (!counts || !counts.total) return null;
+  return counts.occupied / counts.total;
+}
+
+// Averages snapshot ratios into cells chosen by `cellOf(date)`
+function averageInto(cells, snapshots, type, cellOf) {
+  const sums = cells.map(() => 0);
+  const counts = cells.map(() => 0);
+  snapshots.forEach((snapshot) => {
+    const ratio = occupancyRatio(snapshot, type);
+    if (ratio === null) return;
+    const cell = cellOf(new Date(snapshot.time));
+    sums[cell] += ratio;
+    counts[cell] += 1;
+  });
+  return cells.map((_, i) => (counts[i] > 0 ? sums[i] / counts[i] : null));
+}
+
+// ---- Average occupancy per weekday × hour ----
+// Returns 7 rows (Monday first) of 24 ratios.
+export function occupancyHeatmap(snapshots, type = 'all') {
+  const flat = averageInto(
+    new Array(7 * 24).fill(null),
+    snapshots,
+    type,
+    (date) => ((date.getDay() + 6) % 7) * 24 + date.getHours()
+  );
+  return WEEKDAY_LABELS.map((_, row) => flat.slice(row * 24, row * 24 + 24));
+}
+
+// ---- Average occupancy per hour of the day (24 ratios) ----
+export function hourlyProfile(snapshots, type = 'all') {
+  return averageInto(new Array(24).fill(null), snapshots, type, (date) => date.getHours());
+}
+
+// ---- Busiest hours of a profile: [{ hour, ratio }], busiest first ----
+export function peakHours(profile, count = 3) {
+  return profile
+    .map((ratio, hour) => ({ hour, ratio }))
+    .filter((entry) => entry.ratio !== null && entry.ratio > 0)
+    .sort((a, b) => b.ratio - a.ratio)
+    .slice(0, count);
+}
+
+// ---- Mean and maximum occupancy across snapshots ----
+export function occupancySummary(snapshots, type = 'all') {
+  let sum = 0;
+  let count = 0;
+  let peak = null;
+  let peakTime = null;
+
+  snapshots.forEach((snapshot) => {
+    const ratio = occupancyRatio(snapshot, type);
+    if (ratio === null) return;
+    sum += ratio;
+    count += 1;
+    if (peak === null || ratio > peak) {
+      peak = ratio;
+      peakTime = snapshot.time;
+    }
+  });
+
+  return { average: count > 0 ? sum / count : null, peak, peakTime };
+}
+
+// ---- Length of a completed session in minutes, or null ----
+// App check-outs store duration_minutes; sessions recorded by a slot
+// camera only have entry and exit times.
+export function sessionDurationMinutes(session) {
+  if (typeof session.duration_minutes === 'number') return session.duration_minutes;
+  const entry = entryTimeToMs(session.entry_time);
+  const exit = Number(session.exit_time);
+  if (entry === null || !(exit > entry)) return null;
+  return Math.round((exit - entry) / MINUTE_MS);
+}
+
+// ---- Average dwell time (minutes) overall and per vehicle type ----
+// Returns { all: { average, count }, car: { average, count }, ... }.
+export function dwellByType(sessions) {
+  const totals = { all: { sum: 0, count: 0 } };
+  sessions.forEach((session) => {
+    const minutes = sessionDurationMinutes(session);
+    if (minutes === null) return;
+    const type = session.vehicle_type || 'unknown';
+    totals[type] = totals[type] || { sum: 0, count: 0 };
+    [totals.all, totals[type]].forEach((t) => {
+      t.sum += minutes;
+      t.count += 1;
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(totals).map(([type, t]) => [
+      type,
+      { average: t.count > 0 ? t.sum / t.count : null, count: t.count },
+    ])
+  );
+}
+
+// ---- Sessions per slot and per day over a range ----
+// Every configured slot is listed, so idle slots show up with zero.
+// Returns [{ slotId, type, sessions, perDay, averageDwell }], busiest first.
+export function turnoverBySlot(sessions, spots, days) {
+  const rows = {};
+  Object.entries(spots || {}).forEach(([key, slot]) => {
+    const slotId = key.replace('slot_', '');
+    rows[slotId] = { slotId, type: slot?.type || '', sessions: 0, dwellSum: 0, dwellCount: 0 };
+  });
+
+  sessions.forEach((session) => {
+    const slotId = String(session.slot_id);
+    const row = (rows[slotId] = rows[slotId] || {
+      slotId, type: session.vehicle_type || '', sessions: 0, dwellSum: 0, dwellCount: 0,
+    });
+    row.sessions += 1;
+    const minutes = sessionDurationMinutes(session);
+    if (minutes !== null) {
+      row.dwellSum += minutes;
+      row.dwellCount += 1;
+    }
+  });
+
+  return Object.values(rows)
+    .map(({ dwellSum, dwellCount, ...row }) => ({
+      ...row,
+      perDay: row.sessions / Math.max(1, days),
+      averageDwell: dwellCount > 0 ? dwellSum / dwellCount : null,
+    }))
+    .sort((a, b) => b.perDay - a.perDay || Number(a.slotId) - Number(b.slotId));
+}
+
+// ---- "9 AM", "12 PM", "11 PM" ----
+export function formatHour(hour) {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 === 0 ? 12 : hour % 12} ${suffix}`;
+}
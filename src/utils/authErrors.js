@@ -0,0 +1,49 @@
+// ============================================================
+// authErrors.js — Friendly Messages for Sign-in and Unlock
+// ============================================================
+// Firebase Auth errors carry a code like "auth/wrong-password";
+// the screen lock throws its own "lock/..." codes. Screens show
+// authErrorMessage(error) instead of the raw message.
+// ============================================================
+
+export const AUTH_ERROR_MESSAGES = {
+  // Sign-in
+  'auth/user-not-found': 'No account found with this email.',
+  'auth/wrong-password': 'Incorrect password. Please try again.',
+  'auth/invalid-credential': 'Incorrect email or password. Please try again.',
+  'auth/invalid-login-credentials': 'Incorrect email or password. Please try again.',
+  'auth/invalid-email': 'Please enter a valid email address.',
+  'auth/missing-password': 'Please enter your password.',
+  'auth/user-disabled': 'This account has been switched off in Firebase. Ask an administrator.',
+  'auth/too-many-requests': 'Too many attempts. Please wait before trying again.',
+  'auth/network-request-failed': 'Network error. Check your internet connection.',
+
+  // Forgot password
+  'auth/missing-email': 'Enter your email address first.',
+
+  // Unlocking with the account password
+  'auth/user-mismatch': 'That password belongs to a different account.',
+  'auth/requires-recent-login': 'Please sign out and sign in again.',
+  'auth/user-token-expired': 'Your session has expired. Please sign in again.',
+
+  // Screen lock
+  'lock/wrong-pin': 'Incorrect PIN. Please try again.',
+  'lock/pin-locked': 'Too many wrong PINs. Unlock with your password instead.',
+  'lock/invalid-pin': 'Use 4 to 8 digits for the PIN.',
+  'lock/pin-mismatch': 'The two PINs do not match.',
+  'lock/biometric-unavailable': 'Biometric unlock is not set up on this device.',
+  'lock/biometric-failed': 'Biometric check failed. Try again or use your PIN or password.',
+  'lock/biometric-lockout': 'Biometrics are locked after too many tries. Use your PIN or password.',
+};
+
+// ---- Error carrying one of the "lock/..." codes above ----
+export function lockError(code) {
+  const error = new Error(AUTH_ERROR_MESSAGES[code] || code);
+  error.code = code;
+  return error;
+}
+
+// ---- Message to show for any sign-in or unlock error ----
+export function authErrorMessage(error) {
+  return AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Something went wrong. Please try again.';
+}
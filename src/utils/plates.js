@@ -0,0 +1,17 @@
+// ============================================================
+// plates.js — License Plate Helpers
+// ============================================================
+// Plates come from OCR, manual entry and imports, so compare
+// them in a normalized form: uppercase letters and digits only.
+// ============================================================
+
+// ---- Normalize plates so "abc 123" matches "ABC-123" ----
+export function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// ---- True when both plates are readable and equal once normalized ----
+export function platesMatch(a, b) {
+  const left = normalizePlate(a);
+  return left !== '' && left === normalizePlate(b);
+}
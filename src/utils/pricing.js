@@ -0,0 +1,167 @@
+// ============================================================
+// pricing.js — Parking Fee Calculation
+// ============================================================
+// Pure functions (no Firebase, no React) that turn a stay into
+// an amount due. A rate schedule looks like:
+//
+//   {
+//     hourly: 20,                 // price per hour after the first
+//     first_hour: 30,             // optional, price of the first hour
+//     grace_minutes: 10,          // stays this short are free
+//     increment_minutes: 60,      // billing unit (15 = quarter hours)
+//     rounding: 'up',             // 'up' | 'nearest' | 'down' partial units
+//     daily_max: 200,             // optional cap per 24h from entry
+//     overnight: { start: '22:00', end: '06:00', flat: 50 },  // optional
+//   }
+//
+// settings/rates holds the flat hourly price per vehicle type;
+// settings/pricing/<type> holds the optional extras above.
+// ============================================================
+
+import { MINUTE_MS, HOUR_MS, DAY_MS, startOfDay } from './time';
+
+export const DEFAULT_SCHEDULE = {
+  hourly: 0,
+  first_hour: null,
+  grace_minutes: 0,
+  increment_minutes: 60,
+  rounding: 'up',
+  daily_max: null,
+  overnight: null,
+};
+
+// ---- Merge the flat hourly rate with optional pricing extras ----
+export function buildSchedule(hourlyRate, extras = {}) {
+  return {
+    ...DEFAULT_SCHEDULE,
+    ...(extras || {}),
+    hourly: Number((extras && extras.hourly) ?? hourlyRate) || 0,
+  };
+}
+
+// ---- Convert a stored entry_time to ms since epoch ----
+// Accepts epoch ms (server timestamps) or epoch seconds. Anything
+// smaller is the ESP32's seconds-since-boot and cannot be priced.
+export function entryTimeToMs(entryTime) {
+  const value = Number(entryTime);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  if (value > 1e12) return value;
+  if (value > 1e9) return value * 1000;
+  return null;
+}
+
+function roundUnits(units, mode) {
+  if (mode === 'down') return Math.floor(units);
+  if (mode === 'nearest') return Math.round(units);
+  return Math.ceil(units - 1e-9);
+}
+
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function parseClock(hhmm) {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return Number.isFinite(h) ? (h * 60 + (m || 0)) * MINUTE_MS : null;
+}
+
+// ---- Overnight windows [start, end) that intersect the stay ----
+function overnightWindows(entry, exit, overnight) {
+  const start = parseClock(overnight && overnight.start);
+  const end = parseClock(overnight && overnight.end);
+  if (start === null || end === null || start === end) return [];
+
+  const windows = [];
+  // Begin a day early so a window that started yesterday evening is included
+  for (let day = startOfDay(entry) - DAY_MS; day < exit; day = startOfDay(day + DAY_MS + HOUR_MS)) {
+    const windowStart = day + start;
+    const windowEnd = start < end ? day + end : day + DAY_MS + end;
+    if (windowStart < exit && windowEnd > entry) {
+      windows.push([windowStart, windowEnd]);
+    }
+  }
+  return windows;
+}
+
+function overlap(aStart, aEnd, bStart, bEnd) {
+  return Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+}
+
+// ---- Time-based charge for `minutes` of billable time ----
+function timeCharge(minutes, schedule, includesFirstHour) {
+  if (minutes <= 0) return 0;
+
+  const increment = schedule.increment_minutes > 0 ? schedule.increment_minutes : 60;
+  const unitPrice = schedule.hourly * (increment / 60);
+  const hasFirstHour = includesFirstHour && schedule.first_hour !== null && schedule.first_hour !== undefined;
+
+  if (!hasFirstHour) {
+    return roundUnits(minutes / increment, schedule.rounding) * unitPrice;
+  }
+  if (minutes <= 60) return Number(schedule.first_hour);
+  return Number(schedule.first_hour) + roundUnits((minutes - 60) / increment, schedule.rounding) * unitPrice;
+}
+
+// ---- Amount due for a stay from entryTime to exitTime (both ms) ----
+// Returns { amount, durationMinutes, billableMinutes, nights, capped, free }.
+// Each 24h period from entry is capped at daily_max; time inside an
+// overnight window is not billed hourly but adds one flat fee per night.
+export function calculateFee({ entryTime, exitTime = Date.now(), schedule }) {
+  const rules = { ...DEFAULT_SCHEDULE, ...(schedule || {}) };
+  const entry = Number(entryTime);
+  const exit = Math.max(entry, Number(exitTime));
+  // A missing entry_time reads as 0, which would bill from 1970
+  const durationMinutes = entry > 0 ? (exit - entry) / MINUTE_MS : 0;
+
+  const result = {
+    amount: 0,
+    durationMinutes: Math.floor(durationMinutes),
+    billableMinutes: 0,
+    nights: 0,
+    capped: false,
+    free: false,
+  };
+
+  if (!Number.isFinite(entry) || durationMinutes <= 0) return result;
+  if (durationMinutes <= (rules.grace_minutes || 0)) {
+    result.free = true;
+    return result;
+  }
+
+  const nights = rules.overnight ? overnightWindows(entry, exit, rules.overnight) : [];
+  let total = 0;
+
+  for (let periodStart = entry, first = true; periodStart < exit; periodStart += DAY_MS, first = false) {
+    const periodEnd = Math.min(periodStart + DAY_MS, exit);
+    const overnightMs = nights.reduce((sum, [s, e]) => sum + overlap(periodStart, periodEnd, s, e), 0);
+    const billable = (periodEnd - periodStart - overnightMs) / MINUTE_MS;
+
+    let charge = timeCharge(billable, rules, first);
+    if (rules.daily_max !== null && rules.daily_max !== undefined && charge > rules.daily_max) {
+      charge = Number(rules.daily_max);
+      result.capped = true;
+    }
+
+    result.billableMinutes += billable;
+    total += charge;
+  }
+
+  result.nights = nights.length;
+  total += nights.length * (Number(rules.overnight && rules.overnight.flat) || 0);
+
+  result.billableMinutes = Math.floor(result.billableMinutes);
+  result.amount = roundMoney(total);
+  return result;
+}
+
+// ---- Running fee for a parking_spots slot ----
+// Returns null when the slot is empty or its entry_time is not a wall-clock time.
+export function calculateSlotFee(slot, schedules, now = Date.now()) {
+  if (!slot || !slot.occupied) return null;
+
+  const entryTime = entryTimeToMs(slot.entry_time);
+  const type = slot.vehicle_type || slot.type;
+  if (entryTime === null || !schedules || !schedules[type]) return null;
+
+  return calculateFee({ entryTime, exitTime: now, schedule: schedules[type] });
+}
@@ -0,0 +1,37 @@
+// ============================================================
+// pushId.js — Helpers for Firebase push-ID keys
+// ============================================================
+// Nodes written with Firebase.pushString() (logs, alerts) are
+// keyed by push IDs generated on the Firebase server. The first
+// 8 characters encode the creation time in milliseconds, which
+// is the only wall-clock time we get for those entries — the
+// ESP32 itself only knows millis() since boot.
+// ============================================================
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+// ---- Decode the creation time (ms since epoch) from a push ID ----
+// Returns null for keys that are not push IDs (e.g. array indexes).
+export function pushIdToTime(key) {
+  if (typeof key !== 'string' || key.length !== 20) return null;
+
+  let time = 0;
+  for (let i = 0; i < 8; i++) {
+    const value = PUSH_CHARS.indexOf(key.charAt(i));
+    if (value === -1) return null;
+    time = time * 64 + value;
+  }
+  return time;
+}
+
+// ---- Encode a time as the 8-character push ID prefix ----
+// Useful as a startAt/endAt bound when querying by key.
+export function pushIdPrefix(time) {
+  let remaining = Math.max(0, Math.floor(time));
+  const chars = new Array(8);
+  for (let i = 7; i >= 0; i--) {
+    chars[i] = PUSH_CHARS.charAt(remaining % 64);
+    remaining = Math.floor(remaining / 64);
+  }
+  return chars.join('');
+}
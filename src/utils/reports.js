@@ -0,0 +1,195 @@
+// ============================================================
+// reports.js — CSV and Printable Report Builders
+// ============================================================
+// Pure functions (no Firebase, no React) that turn exported
+// records into CSV text and into the HTML printed to PDF.
+// Each dataset has one column list, used for both formats, so the
+// CSV and the PDF always carry the same fields. Times are written
+// as local "YYYY-MM-DD HH:MM" so they sort correctly in a
+// spreadsheet.
+// ============================================================
+
+import { toDateKey, DAY_MS } from './time';
+import { sessionDurationMinutes } from './analytics';
+import { sessionAmount, sessionsInRange, summarizeRevenue, formatPeso } from './revenue';
+import { entryTimeToMs } from './pricing';
+
+const VEHICLE_TYPES = ['motorcycle', 'car', 'truck'];
+
+export const EXPORT_DATASETS = [
+  { key: 'access_logs', label: 'Access Logs' },
+  { key: 'sessions', label: 'Parking Sessions' },
+  { key: 'alerts', label: 'Alerts' },
+  { key: 'revenue', label: 'Revenue Summary' },
+];
+
+// ---- Local "YYYY-MM-DD HH:MM", or '' when unknown ----
+export function formatExportTime(ms) {
+  if (!ms) return '';
+  const date = new Date(ms);
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${toDateKey(ms)} ${hours}:${minutes}`;
+}
+
+// ---- Column definitions: [header, (record) => value] ----
+const COLUMNS = {
+  access_logs: [
+    ['Time', (log) => formatExportTime(log.time)],
+    ['Action', (log) => log.action],
+    ['Plate', (log) => log.license_plate],
+    ['Vehicle Type', (log) => log.vehicle_type],
+    ['Slot', (log) => log.slot ?? ''],
+    ['Camera', (log) => log.camera_id],
+  ],
+  sessions: [
+    ['Slot', (s) => s.slot_id ?? ''],
+    ['Vehicle Type', (s) => s.vehicle_type || ''],
+    ['Plate', (s) => s.license_plate || ''],
+    ['Entry', (s) => formatExportTime(entryTimeToMs(s.entry_time))],
+    ['Exit', (s) => formatExportTime(Number(s.exit_time))],
+    ['Duration (min)', (s) => sessionDurationMinutes(s) ?? ''],
+    ['Amount', (s) => sessionAmount(s) ?? ''],
+    ['Checked Out By', (s) => s.checked_out_by || ''],
+  ],
+  alerts: [
+    ['Time', (a) => formatExportTime(a.time)],
+    ['Category', (a) => a.category.replace(/_/g, ' ')],
+    ['Message', (a) => a.message],
+    ['Plate', (a) => a.plate || ''],
+    ['Camera', (a) => a.camera || ''],
+    ['Acknowledged By', (a) => a.acknowledged_by],
+    ['Assignee', (a) => a.assignee],
+    ['Escalated', (a) => (a.escalated ? 'yes' : '')],
+    ['Resolved By', (a) => a.resolved_by],
+  ],
+  revenue: [
+    ['Date', (row) => row.date],
+    ['Sessions', (row) => row.billed],
+    ['Revenue', (row) => row.total],
+    ...VEHICLE_TYPES.map((type) => [
+      type.charAt(0).toUpperCase() + type.slice(1),
+      (row) => row.byType[type]?.total ?? 0,
+    ]),
+    ['Unbilled', (row) => row.unbilled],
+  ],
+};
+
+// ---- One summary row per local day in [start, end), plus a total row ----
+export function revenueRows(sessions, start, end) {
+  const rows = [];
+  for (let day = new Date(start); day.getTime() < end; day.setDate(day.getDate() + 1)) {
+    const dayStart = day.getTime();
+    const next = new Date(day);
+    next.setDate(day.getDate() + 1);
+    rows.push({ date: toDateKey(dayStart), ...summarizeRevenue(sessionsInRange(sessions, dayStart, next.getTime())) });
+  }
+  rows.push({ date: 'TOTAL', ...summarizeRevenue(sessionsInRange(sessions, start, end)) });
+  return rows;
+}
+
+// ---- Quote a CSV field when it holds a comma, quote or line break ----
+// Plates, messages and operator names come from OCR or user input; text
+// starting with = + - @ (or a tab / carriage return) would run as a
+// spreadsheet formula, so it is prefixed with ' and quoted.
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ---- CSV text for one dataset ----
+export function toCsv(datasetKey, records) {
+  const columns = COLUMNS[datasetKey];
+  const lines = [
+    columns.map(([header]) => csvField(header)).join(','),
+    ...records.map((record) => columns.map(([, value]) => csvField(value(record))).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// ---- File name for an export: smartparking_<dataset>_<from>_<to>.<ext> ----
+export function exportFileName(datasetKey, start, end, extension) {
+  return `smartparking_${datasetKey}_${toDateKey(start)}_${toDateKey(end - DAY_MS)}.${extension}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(datasetKey, records) {
+  if (records.length === 0) return '<p class="empty">No records in this period.</p>';
+  const columns = COLUMNS[datasetKey];
+  const head = columns.map(([header]) => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = records
+    .map((record) => `<tr>${columns.map(([, value]) => `<td>${escapeHtml(value(record))}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+// ---- Printable HTML report for the selected datasets ----
+// `data` holds the records per dataset key, as from fetchExportData();
+// `data.revenue` is the list of sessions the revenue rows are built from.
+export function buildReportHtml(data, { start, end, generatedBy }) {
+  const period = `${toDateKey(start)} to ${toDateKey(end - DAY_MS)}`;
+  const sections = [];
+
+  if (data.sessions || data.revenue) {
+    const summary = summarizeRevenue(data.revenue || data.sessions);
+    const typeRows = VEHICLE_TYPES.map((type) => {
+      const entry = summary.byType[type] || { total: 0, billed: 0, average: null };
+      return `<tr><td>${type}</td><td>${entry.billed}</td><td>${formatPeso(entry.total)}</td><td>${formatPeso(entry.average)}</td></tr>`;
+    }).join('');
+    sections.push(`
+      <h2>Summary</h2>
+      <div class="totals">
+        <div><span>Total revenue</span><strong>${formatPeso(summary.total)}</strong></div>
+        <div><span>Billed sessions</span><strong>${summary.billed}</strong></div>
+        <div><span>Average per session</span><strong>${formatPeso(summary.average)}</strong></div>
+        <div><span>Unbilled departures</span><strong>${summary.unbilled}</strong></div>
+      </div>
+      <table><thead><tr><th>Vehicle Type</th><th>Sessions</th><th>Revenue</th><th>Average</th></tr></thead>
+      <tbody>${typeRows}</tbody></table>`);
+  }
+
+  EXPORT_DATASETS.forEach(({ key, label }) => {
+    if (!data[key]) return;
+    const records = key === 'revenue' ? revenueRows(data.revenue, start, end) : data[key];
+    sections.push(`<h2>${label}</h2>${htmlTable(key, records)}`);
+  });
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8">
+    <style>
+      body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #333; margin: 24px; font-size: 11px; }
+      h1 { font-size: 20px; margin: 0; color: #2E6BB0; }
+      h2 { font-size: 14px; margin: 20px 0 6px; border-bottom: 2px solid #4A90E2; padding-bottom: 2px; }
+      .meta { color: #666; margin: 4px 0 0; }
+      .totals { display: flex; gap: 12px; margin-bottom: 8px; }
+      .totals div { flex: 1; background: #F5F7FA; border-radius: 6px; padding: 8px; }
+      .totals span { display: block; color: #666; font-size: 10px; }
+      .totals strong { font-size: 15px; }
+      table { width: 100%; border-collapse: collapse; }
+      th { background: #E6EDF3; text-align: left; }
+      th, td { padding: 4px 6px; border-bottom: 1px solid #E6EDF3; }
+      tr { page-break-inside: avoid; }
+      .empty { color: #8A9BB0; font-style: italic; }
+    </style>
+  </head><body>
+    <h1>Smart Parking Report</h1>
+    <p class="meta">Period: ${period}</p>
+    <p class="meta">Generated ${escapeHtml(formatExportTime(Date.now()))} by ${escapeHtml(generatedBy || 'unknown')}</p>
+    ${sections.join('\n')}
+  </body></html>`;
+}
+
+// ---- CSV records for one dataset (revenue becomes daily rows) ----
+export function csvRecords(datasetKey, data, start, end) {
+  if (datasetKey === 'revenue') return revenueRows(data.revenue || [], start, end);
+  return data[datasetKey] || [];
+}
@@ -0,0 +1,132 @@
+// ============================================================
+// revenue.js — Revenue Totals from Completed Sessions
+// ============================================================
+// Pure functions (no Firebase, no React) behind the Revenue
+// screen. Every figure is summed from the `amount` stored on each
+// parking_sessions record at check-out — nothing is re-priced or
+// estimated. Sessions without an amount (departures recorded by a
+// slot camera, nobody checked them out) are counted separately as
+// unbilled so the totals can be reconciled.
+// ============================================================
+
+import { DAY_MS, startOfDay, toDateKey } from './time';
+import { roundMoney } from './pricing';
+
+export const REVENUE_PERIODS = [
+  { key: 'day', label: 'Day' },
+  { key: 'week', label: 'Week' },
+  { key: 'month', label: 'Month' },
+];
+
+// ---- Calendar bounds of a period ----
+// `offset` 0 is the current day / week (Monday–Sunday) / month,
+// -1 the one before it, and so on. Returns { start, end, label }
+// with `end` exclusive.
+export function periodBounds(periodKey, offset = 0, now = Date.now()) {
+  const today = new Date(startOfDay(now));
+  let start;
+  let end;
+
+  if (periodKey === 'month') {
+    start = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+    end = new Date(today.getFullYear(), today.getMonth() + offset + 1, 1);
+  } else if (periodKey === 'week') {
+    const monday = new Date(today);
+    monday.setDate(today.getDate() - ((today.getDay() + 6) % 7) + offset * 7);
+    start = monday;
+    end = new Date(monday);
+    end.setDate(monday.getDate() + 7);
+  } else {
+    start = new Date(today);
+    start.setDate(today.getDate() + offset);
+    end = new Date(start);
+    end.setDate(start.getDate() + 1);
+  }
+
+  return { start: start.getTime(), end: end.getTime(), label: periodLabel(periodKey, start, end) };
+}
+
+function periodLabel(periodKey, start, end) {
+  if (periodKey === 'month') {
+    return start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  if (periodKey === 'week') {
+    const last = new Date(end.getTime() - DAY_MS);
+    return `${start.toLocaleDateString()} – ${last.toLocaleDateString()}`;
+  }
+  return start.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// ---- Stored amount of a session, or null when none was recorded ----
+export function sessionAmount(session) {
+  const amount = session.amount;
+  return typeof amount === 'number' && Number.isFinite(amount) ? amount : null;
+}
+
+// ---- Sessions whose exit_time falls in [start, end) ----
+export function sessionsInRange(sessions, start, end) {
+  return sessions.filter((s) => Number(s.exit_time) >= start && Number(s.exit_time) < end);
+}
+
+// ---- Totals for a set of sessions ----
+// Returns { total, billed, average, unbilled, byType: { car: { total, billed, average } } }
+// where `billed` counts sessions with a stored amount and `average`
+// is per billed session.
+export function summarizeRevenue(sessions) {
+  const summary = { total: 0, billed: 0, average: null, unbilled: 0, byType: {} };
+
+  sessions.forEach((session) => {
+    const amount = sessionAmount(session);
+    if (amount === null) {
+      summary.unbilled += 1;
+      return;
+    }
+    const type = session.vehicle_type || 'unknown';
+    const entry = (summary.byType[type] = summary.byType[type] || { total: 0, billed: 0, average: null });
+    [summary, entry].forEach((t) => {
+      t.total += amount;
+      t.billed += 1;
+    });
+  });
+
+  [summary, ...Object.values(summary.byType)].forEach((t) => {
+    t.total = roundMoney(t.total);
+    t.average = t.billed > 0 ? roundMoney(t.total / t.billed) : null;
+  });
+  return summary;
+}
+
+// ---- Revenue per local day in [start, end), oldest first ----
+// Days without sessions are included with zero.
+export function dailyRevenue(sessions, start, end) {
+  const days = [];
+  const index = {};
+  for (let day = new Date(start); day.getTime() < end; day.setDate(day.getDate() + 1)) {
+    const key = toDateKey(day.getTime());
+    index[key] = days.length;
+    days.push({ date: key, total: 0, billed: 0 });
+  }
+
+  sessions.forEach((session) => {
+    const amount = sessionAmount(session);
+    const day = days[index[toDateKey(Number(session.exit_time))]];
+    if (amount === null || !day) return;
+    day.total += amount;
+    day.billed += 1;
+  });
+
+  return days.map((day) => ({ ...day, total: roundMoney(day.total) }));
+}
+
+// ---- Change from `previous` to `current` as a fraction, or null ----
+// null when there is nothing to compare against.
+export function periodChange(current, previous) {
+  if (current === null || previous === null || previous === 0) return null;
+  return (current - previous) / previous;
+}
+
+// ---- "₱1,234.50" ----
+export function formatPeso(amount) {
+  if (amount === null || amount === undefined) return '—';
+  return `₱${amount.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+}
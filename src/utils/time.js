@@ -0,0 +1,90 @@
+// ============================================================
+// time.js — Date and Duration Helpers
+// ============================================================
+// All "today" logic in the app uses the device's local day.
+// ============================================================
+
+export const MINUTE_MS = 60 * 1000;
+export const HOUR_MS = 60 * MINUTE_MS;
+export const DAY_MS = 24 * HOUR_MS;
+
+// ---- Start of the local day containing `time` (ms) ----
+export function startOfDay(time = Date.now()) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+// ---- Milliseconds until the next local midnight ----
+export function msUntilNextDay(time = Date.now()) {
+  const next = new Date(startOfDay(time));
+  next.setDate(next.getDate() + 1);
+  return next.getTime() - time;
+}
+
+// ---- Local calendar date as "YYYY-MM-DD" (sorts and compares as a string) ----
+export function toDateKey(time = Date.now()) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// ---- True for a real "YYYY-MM-DD" calendar date ----
+export function isDateKey(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(text))) return false;
+  const [y, m, d] = text.split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+}
+
+// ---- Local midnight (ms) of a "YYYY-MM-DD" date, or null ----
+export function dateKeyToTime(text) {
+  if (!isDateKey(text)) return null;
+  const [y, m, d] = text.split('-').map(Number);
+  return new Date(y, m - 1, d).getTime();
+}
+
+// ---- Minutes after midnight of an "HH:MM" clock time, or null ----
+export function parseClockTime(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+// ---- Business day ("YYYY-MM-DD") containing `time` ----
+// A business day starts at `rolloverTime` ("HH:MM") on its calendar
+// date, so with "06:00" a 02:00 check-in still counts for the day before.
+export function businessDayKey(time = Date.now(), rolloverTime = '00:00') {
+  const date = new Date(time);
+  date.setMinutes(date.getMinutes() - (parseClockTime(rolloverTime) ?? 0));
+  return toDateKey(date.getTime());
+}
+
+// ---- Start (ms) of a business day, at its rollover time ----
+export function businessDayStart(dayKey, rolloverTime = '00:00') {
+  const date = new Date(dateKeyToTime(dayKey));
+  date.setMinutes(parseClockTime(rolloverTime) ?? 0);
+  return date.getTime();
+}
+
+// ---- The "YYYY-MM-DD" date `days` after (or before) another ----
+export function shiftDateKey(dayKey, days) {
+  const date = new Date(dateKeyToTime(dayKey));
+  date.setDate(date.getDate() + days);
+  return toDateKey(date.getTime());
+}
+
+// ---- Format a duration in seconds as "3d 4h", "2h 15m" or "42m" ----
+export function formatDuration(seconds) {
+  const totalMinutes = Math.max(0, Math.floor(seconds / 60));
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}